@@ -19,6 +19,7 @@
  * - spreadsheets.currentonly : Core functionality (critical)
  * - forms.currentonly        : Form management (optional)
  * - script.scriptapp         : Installable triggers (optional)
+ * - userinfo.email           : Acting user in audit history (optional)
  */
 
 // =============================================================================
@@ -28,7 +29,8 @@
 const OAUTH_SCOPES = {
   SPREADSHEETS: 'https://www.googleapis.com/auth/spreadsheets.currentonly',
   FORMS: 'https://www.googleapis.com/auth/forms.currentonly',
-  SCRIPT: 'https://www.googleapis.com/auth/script.scriptapp'
+  SCRIPT: 'https://www.googleapis.com/auth/script.scriptapp',
+  USER_EMAIL: 'https://www.googleapis.com/auth/userinfo.email'
 };
 
 const FEATURE_CONFIG = {
@@ -49,6 +51,12 @@ const FEATURE_CONFIG = {
     description: 'Automated background processing',
     scopes: [OAUTH_SCOPES.SCRIPT],
     critical: false
+  },
+  USER_IDENTITY: {
+    name: 'User Identity',
+    description: 'Record who made each change in audit history',
+    scopes: [OAUTH_SCOPES.USER_EMAIL],
+    critical: false
   }
 };
 
@@ -173,75 +173,64 @@ function _applyValidationsToActiveRow_(sheet, headerInfo, row) {
   }
 }
 
+/**
+ * Creates or updates the Active Candidates row mirroring a Candidate Database row.
+ * @param {Object} allRowObj - Candidate Database row object (with __row)
+ * @param {{resumeUrl: string, linkedinUrl: string}=} linkPayload - Links already read from the row
+ * @returns {number|undefined} The Active Candidates row
+ */
 function _upsertActiveRow_(allRowObj, linkPayload) {
-  const ss = SpreadsheetApp.getActive();
-  const all = ss.getSheetByName(SHEET_ALL);
-  const act = ss.getSheetByName(SHEET_ACTIVE);
-  if (!all || !act) return;
-
-  const allHeaderInfo = getHeaderInfo(all, ANCHOR_HEADER_ALL);
-  const actHeaderInfo = getHeaderInfo(act, ANCHOR_HEADER_ACT);
-  if (!allHeaderInfo || !actHeaderInfo) return;
-  
-  const hmAll = allHeaderInfo.headerMap;
-  const hmAct = actHeaderInfo.headerMap;
-
-  const jobId = _normStr_(allRowObj[H_ALL.JobID]);
-  const email = normEmail(allRowObj[H_ALL.Email]);
-  if (!jobId || !email) return;
-
-  const { index: idxAct } = buildCandidateIndex(act, hmAct, actHeaderInfo.dataStartRow);
-  const existingRow = idxAct.get(keyFor(jobId, email));
+  return withDataContext_((ctx) => {
+    const allT = ctx.table(SHEET_ALL, ANCHOR_HEADER_ALL);
+    const actT = ctx.table(SHEET_ACTIVE, ANCHOR_HEADER_ACT);
+    if (!allT || !actT) return;
 
-  const desired = {};
-  for (const f of MIRRORED_FIELDS) {
-    if (f === H_ALL.Resume || f === H_ALL.LinkedIn) continue;
-    if (hmAct[f]) desired[f] = allRowObj[f] || '';
-  }
+    const hmAct = actT.headerMap;
 
-  let targetRow = existingRow;
-  if (existingRow) {
-    const current = getRowObjectByHeaders(act, hmAct, existingRow);
-    const diff = _diffFields_(desired, current, Object.keys(desired));
-    if (Object.keys(diff).length) setRowValuesByHeaders(act, hmAct, existingRow, diff);
-  } else {
-    // Capture template formatting before inserting rows (handles empty sheets)
-    const template = captureTemplateFormat(act, actHeaderInfo.dataStartRow);
+    const jobId = _normStr_(allRowObj[H_ALL.JobID]);
+    const email = normEmail(allRowObj[H_ALL.Email]);
+    if (!jobId || !email) return;
 
-    const lastRow = Math.max(act.getLastRow(), actHeaderInfo.headerRow);
-    targetRow = lastRow + 1;
-    act.insertRowAfter(lastRow);
+    const existingRow = findCandidateRow_(actT.candidateIndex(), allRowObj);
 
-    applyTemplateFormat(act, template, targetRow);
-    setRowValuesByHeaders(act, hmAct, targetRow, desired);
+    const desired = {};
+    for (const f of MIRRORED_FIELDS) {
+      if (f === H_ALL.Resume || f === H_ALL.LinkedIn) continue;
+      if (hmAct[f]) desired[f] = allRowObj[f] || '';
+    }
 
-    try {
-      _applyValidationsToActiveRow_(act, actHeaderInfo, targetRow);
-    } catch (e) {
-      logWarn('Failed to apply validations to new Active row', { error: e.message });
+    let targetRow = existingRow;
+    if (existingRow) {
+      const diff = _diffFields_(desired, actT.rowObject(existingRow), Object.keys(desired));
+      if (Object.keys(diff).length) actT.set(existingRow, diff);
+    } else {
+      targetRow = actT.appendRow(desired);
+      try {
+        _applyValidationsToActiveRow_(actT.sheet, actT.headerInfo, targetRow);
+      } catch (e) {
+        logWarn('Failed to apply validations to new Active row', { error: e.message });
+      }
     }
-  }
 
-  if (targetRow) {
-    const allRow = allRowObj.__row || 0;
-    const rUrl = (linkPayload && linkPayload.resumeUrl) || (hmAll[H_ALL.Resume] ? extractUrl(all, allRow, hmAll[H_ALL.Resume]) : '');
-    const lUrl = (linkPayload && linkPayload.linkedinUrl) || (hmAll[H_ALL.LinkedIn] ? extractUrl(all, allRow, hmAll[H_ALL.LinkedIn]) : '');
+    if (targetRow) {
+      const allRow = allRowObj.__row || 0;
+      const rUrl = (linkPayload && linkPayload.resumeUrl) || allT.url(allRow, H_ALL.Resume);
+      const lUrl = (linkPayload && linkPayload.linkedinUrl) || allT.url(allRow, H_ALL.LinkedIn);
 
-    if (hmAct[H_ACT.Resume] && rUrl) setHyperlink(act, targetRow, hmAct[H_ACT.Resume], rUrl, 'Resume');
-    if (hmAct[H_ACT.LinkedIn] && lUrl) setHyperlink(act, targetRow, hmAct[H_ACT.LinkedIn], lUrl, 'LinkedIn Profile');
+      if (rUrl) actT.setLink(targetRow, H_ACT.Resume, rUrl, 'Resume');
+      if (lUrl) actT.setLink(targetRow, H_ACT.LinkedIn, lUrl, 'LinkedIn Profile');
 
-    // Sync Email as mailto: hyperlink
-    const email = normEmail(allRowObj[H_ALL.Email]);
-    if (hmAct[H_ACT.Email] && email) {
-      setHyperlink(act, targetRow, hmAct[H_ACT.Email], 'mailto:' + email, email);
-    }
+      // Sync Email as mailto: hyperlink
+      if (email) actT.setLink(targetRow, H_ACT.Email, 'mailto:' + email, email);
 
-    // Sync Phone as tel: hyperlink
-    const phone = normPhone(allRowObj[H_ALL.Phone]);
-    if (hmAct[H_ACT.Phone] && phone && phone.length >= PHONE_MIN_DIGITS) {
-      setHyperlink(act, targetRow, hmAct[H_ACT.Phone], 'tel:' + phone, allRowObj[H_ALL.Phone] || phone);
+      // Sync Phone as tel: hyperlink
+      const phone = normPhone(allRowObj[H_ALL.Phone]);
+      if (phone && phone.length >= PHONE_MIN_DIGITS) {
+        actT.setLink(targetRow, H_ACT.Phone, 'tel:' + phone, allRowObj[H_ALL.Phone] || phone);
+      }
     }
-  }
+    return targetRow;
+  });
 }
 
 /**
@@ -249,42 +238,37 @@ function _upsertActiveRow_(allRowObj, linkPayload) {
  * @param {number[]} rows - Array of row numbers to process
  */
 function autopopulateAllFromJobId_(rows) {
-  const ss = SpreadsheetApp.getActive();
-  const all = ss.getSheetByName(SHEET_ALL);
-  const req = ss.getSheetByName(SHEET_REQUISITIONS);
-  if (!all || !req) return;
-
-  const allHeaderInfo = getHeaderInfo(all, ANCHOR_HEADER_ALL);
-  const reqHeaderInfo = getHeaderInfo(req, ANCHOR_HEADER_REQ);
-  if (!allHeaderInfo || !reqHeaderInfo) return;
-  
-  const hAll = allHeaderInfo.headerMap;
-  const hReq = reqHeaderInfo.headerMap;
-  const { idx: reqIdx } = buildReqIndex(req, hReq, reqHeaderInfo.dataStartRow);
-
-  for (const row of rows) {
-    if (row < allHeaderInfo.dataStartRow) continue;
-    const cur = getRowObjectByHeaders(all, hAll, row);
-    const jobId = _normStr_(cur[H_ALL.JobID]);
-    if (!jobId) continue;
-
-    const reqRow = reqIdx.get(jobId);
-    if (!reqRow) {
-      logInfo('Autopopulate skipped – Job ID not found in Requisitions', { row, jobId });
-      continue;
-    }
-    const rObj = getRowObjectByHeaders(req, hReq, reqRow);
-
-    const want = {
-      [H_ALL.JobTitle]:  rObj[H_REQ.JobTitle]  || '',
-      [H_ALL.JobStatus]: _canonReqStatus_(rObj[H_REQ.JobStatus] || '')
-    };
-    const diff = _diffFields_(want, cur, [H_ALL.JobTitle, H_ALL.JobStatus]);
-    if (Object.keys(diff).length) {
-      diff[H_ALL.Updated] = nowDetroit();
-      setRowValuesByHeaders(all, hAll, row, diff);
+  withDataContext_((ctx) => {
+    const allT = ctx.table(SHEET_ALL, ANCHOR_HEADER_ALL);
+    const reqT = ctx.table(SHEET_REQUISITIONS, ANCHOR_HEADER_REQ);
+    if (!allT || !reqT) return;
+
+    const { idx: reqIdx } = reqT.reqIndex();
+
+    for (const row of rows) {
+      if (row < allT.dataStartRow) continue;
+      const cur = allT.rowObject(row);
+      const jobId = _normStr_(cur[H_ALL.JobID]);
+      if (!jobId) continue;
+
+      const reqRow = reqIdx.get(jobId);
+      if (!reqRow) {
+        logInfo('Autopopulate skipped – Job ID not found in Requisitions', { row, jobId });
+        continue;
+      }
+      const rObj = reqT.rowObject(reqRow);
+
+      const want = {
+        [H_ALL.JobTitle]:  rObj[H_REQ.JobTitle]  || '',
+        [H_ALL.JobStatus]: _canonReqStatus_(rObj[H_REQ.JobStatus] || '')
+      };
+      const diff = _diffFields_(want, cur, [H_ALL.JobTitle, H_ALL.JobStatus]);
+      if (Object.keys(diff).length) {
+        diff[H_ALL.Updated] = nowInTz();
+        allT.set(row, diff);
+      }
     }
-  }
+  });
 }
 
 /**
@@ -354,99 +338,117 @@ function enforceUniqueEmail_(sh, rows) {
  * @param {number[]} rows - Array of row numbers to process
  */
 function stampCreatedAndUpdated_All_(sh, rows) {
-  const headerInfo = getHeaderInfo(sh, ANCHOR_HEADER_ALL);
-  if (!headerInfo) return;
-  const { headerMap: hm, dataStartRow } = headerInfo;
-  const now = nowDetroit();
-
-  for (const row of rows) {
-    if (row < dataStartRow) continue;
-    const obj = getRowObjectByHeaders(sh, hm, row);
-    const meaningful = Object.keys(obj).some(h => !!obj[h] && String(obj[h]).trim() !== '');
-    const updates = {};
-    if (meaningful && hm[H_ALL.Created] && isBlank(obj[H_ALL.Created])) updates[H_ALL.Created] = now;
-    if (meaningful && hm[H_ALL.Updated]) updates[H_ALL.Updated] = now;
-
-    const stage  = _normStr_(obj[H_ALL.Stage]);
-    const status = _normStr_(obj[H_ALL.JobStatus]);
-    const isHired = (stage === 'Hired' || status === 'Hired');
-
-    if (isHired) {
-      if (hm[H_ALL.HiredDate] && isBlank(obj[H_ALL.HiredDate])) {
-        updates[H_ALL.HiredDate] = now;
-      }
-      const jobId = _normStr_(obj[H_ALL.JobID]);
-      const fullName = _normStr_(obj[H_ALL.FullName]);
-      const email = normEmail(obj[H_ALL.Email]);
-      if (jobId && fullName && email) {
-        applyHiredFlow_(jobId, fullName, email);
-      }
-    } else {
-      if (hm[H_ALL.HiredDate] && !isBlank(obj[H_ALL.HiredDate])) {
-        updates[H_ALL.HiredDate] = '';
+  withDataContext_((ctx) => {
+    let allT = ctx.table(sh.getName(), ANCHOR_HEADER_ALL);
+    if (!allT) return;
+    const now = nowInTz();
+
+    for (const row of rows) {
+      if (row < allT.dataStartRow) continue;
+      const hm = allT.headerMap;
+      const obj = Object.assign({}, allT.rowObject(row));
+      const meaningful = Object.keys(obj).some(h => !!obj[h] && String(obj[h]).trim() !== '');
+      const updates = {};
+      if (meaningful && hm[H_ALL.Created] && isBlank(obj[H_ALL.Created])) updates[H_ALL.Created] = now;
+      if (meaningful && hm[H_ALL.Updated]) updates[H_ALL.Updated] = now;
+      if (meaningful && hm[H_ALL.UID] && isBlank(obj[H_ALL.UID])) updates[H_ALL.UID] = newCandidateUid_();
+
+      const stage  = _normStr_(obj[H_ALL.Stage]);
+      const status = _normStr_(obj[H_ALL.JobStatus]);
+      const isHired = (stage === 'Hired' || status === 'Hired');
+
+      if (isHired) {
+        if (hm[H_ALL.HiredDate] && isBlank(obj[H_ALL.HiredDate])) {
+          updates[H_ALL.HiredDate] = now;
+        }
+        const jobId = _normStr_(obj[H_ALL.JobID]);
+        const fullName = _normStr_(obj[H_ALL.FullName]);
+        const email = normEmail(obj[H_ALL.Email]);
+        if (jobId && fullName && email) {
+          // The hired flow reads and writes the sheets directly
+          ctx.refresh();
+          applyHiredFlow_(jobId, fullName, email);
+          allT = ctx.table(sh.getName(), ANCHOR_HEADER_ALL);
+        }
+      } else {
+        if (hm[H_ALL.HiredDate] && !isBlank(obj[H_ALL.HiredDate])) {
+          updates[H_ALL.HiredDate] = '';
+          // A hire was undone: give the seat back on the requisition
+          const jobId = _normStr_(obj[H_ALL.JobID]);
+          if (jobId) {
+            const jobRows = allT.rows().filter(r => _normStr_(r.data[H_ALL.JobID]) === jobId);
+            ctx.refresh();
+            _updateHeadcountForJob_(jobId, jobRows);
+            offerHireUndo_(jobId, normEmail(obj[H_ALL.Email]));
+            allT = ctx.table(sh.getName(), ANCHOR_HEADER_ALL);
+          }
+        }
       }
-    }
 
-    if (Object.keys(updates).length) setRowValuesByHeaders(sh, hm, row, updates);
-  }
+      if (allT && Object.keys(updates).length) allT.set(row, updates);
+    }
+  });
 }
 
 /**
  * Syncs changes from Active Candidates back to Candidate Database
  * @param {Object} actRowObj - Row object from Active Candidates
+ * @returns {number|undefined} The matched Candidate Database row
  */
 function upsertAllFromActive_(actRowObj) {
-  const ss = SpreadsheetApp.getActive();
-  const all = ss.getSheetByName(SHEET_ALL);
-  const act = ss.getSheetByName(SHEET_ACTIVE);
-  if (!all || !act) return;
-
-  const allHeaderInfo = getHeaderInfo(all, ANCHOR_HEADER_ALL);
-  const actHeaderInfo = getHeaderInfo(act, ANCHOR_HEADER_ACT);
-  if (!allHeaderInfo || !actHeaderInfo) return;
-  
-  const hmAll = allHeaderInfo.headerMap;
-  const hmAct = actHeaderInfo.headerMap;
-
-  const jobId = _normStr_(actRowObj[H_ACT.JobID]);
-  const email = normEmail(actRowObj[H_ACT.Email]);
-  if (!jobId || !email) return;
-
-  const { index: idxAll } = buildCandidateIndex(all, hmAll, allHeaderInfo.dataStartRow);
-  const { index: idxAct } = buildCandidateIndex(act, hmAct, actHeaderInfo.dataStartRow);
-  const allRow = idxAll.get(keyFor(jobId, email));
-  const actRow = idxAct.get(keyFor(jobId, email));
-  if (!allRow) return;
-
-  const currentAll = getRowObjectByHeaders(all, hmAll, allRow);
-  const desiredAll = {};
-  for (const f of MIRRORED_FIELDS) {
-    if (f === H_ALL.Resume || f === H_ALL.LinkedIn) continue;
-    if (hmAll[f]) desiredAll[f] = actRowObj[f] || '';
-  }
-  desiredAll[H_ALL.Updated] = nowDetroit();
-
-  const diff = _diffFields_(desiredAll, currentAll, Object.keys(desiredAll));
-  if (Object.keys(diff).length) {
-    setRowValuesByHeaders(all, hmAll, allRow, diff);
-    stampCreatedAndUpdated_All_(all, [allRow]);
-  }
+  return withDataContext_((ctx) => {
+    const allT = ctx.table(SHEET_ALL, ANCHOR_HEADER_ALL);
+    const actT = ctx.table(SHEET_ACTIVE, ANCHOR_HEADER_ACT);
+    if (!allT || !actT) return;
+
+    const hmAll = allT.headerMap;
+
+    const jobId = _normStr_(actRowObj[H_ACT.JobID]);
+    const email = normEmail(actRowObj[H_ACT.Email]);
+    if (!jobId || !email) return;
+
+    // Match on Candidate UID so Job ID / email corrections made on Active follow the same record
+    const allRow = findCandidateRow_(allT.candidateIndex(), actRowObj);
+    const actRow = findCandidateRow_(actT.candidateIndex(), actRowObj);
+    if (!allRow) return;
+
+    // Copy: the table's row objects change as writes are queued
+    const currentAll = Object.assign({}, allT.rowObject(allRow));
+    const desiredAll = {};
+    for (const f of MIRRORED_FIELDS) {
+      if (f === H_ALL.Resume || f === H_ALL.LinkedIn || f === H_ALL.UID || f === H_ALL.StageSLA) continue;
+      if (hmAll[f]) desiredAll[f] = actRowObj[f] || '';
+    }
+    desiredAll[H_ALL.Updated] = nowInTz();
 
-  if (actRow) {
-    if (hmAll[H_ALL.Resume] && hmAct[H_ACT.Resume]) {
-      const url = extractUrl(act, actRow, hmAct[H_ACT.Resume]);
-      if (url) setHyperlink(all, allRow, hmAll[H_ALL.Resume], url, 'Resume');
+    const diff = _diffFields_(desiredAll, currentAll, Object.keys(desiredAll));
+    if (Object.keys(diff).length) {
+      allT.set(allRow, diff);
+      if (H_ALL.Stage in diff) {
+        const entry = stageTransitionFor_(Object.assign({}, currentAll, diff), currentAll[H_ALL.Stage], diff[H_ALL.Stage]);
+        if (entry) recordStageTransitions_([entry]);
+      }
+      stampCreatedAndUpdated_All_(allT.sheet, [allRow]);
     }
-    if (hmAll[H_ALL.LinkedIn] && hmAct[H_ACT.LinkedIn]) {
-      const url = extractUrl(act, actRow, hmAct[H_ACT.LinkedIn]);
-      if (url) setHyperlink(all, allRow, hmAll[H_ALL.LinkedIn], url, 'LinkedIn Profile');
+
+    // Re-read the tables: stamping may have refreshed them
+    const allNow = ctx.table(SHEET_ALL, ANCHOR_HEADER_ALL);
+    const actNow = ctx.table(SHEET_ACTIVE, ANCHOR_HEADER_ACT);
+    if (actRow && allNow && actNow) {
+      const resumeUrl = actNow.url(actRow, H_ACT.Resume);
+      if (resumeUrl) allNow.setLink(allRow, H_ALL.Resume, resumeUrl, 'Resume');
+      const linkedinUrl = actNow.url(actRow, H_ACT.LinkedIn);
+      if (linkedinUrl) allNow.setLink(allRow, H_ALL.LinkedIn, linkedinUrl, 'LinkedIn Profile');
     }
-  }
+    return allRow;
+  });
 }
 
 /**
  * Handles the complete hiring workflow with recursion protection.
- * Updates the Requisitions sheet and auto-rejects other candidates for the same job.
+ * Counts Hired candidates for the job against its Headcount Target (blank = 1),
+ * records Positions Filled and the hired names on the requisition, and only
+ * when the last seat is filled marks it Hired and auto-rejects the remaining pipeline.
  * @param {string} jobId - The Job ID that has been filled
  * @param {string} hiredFullName - The full name of the hired candidate
  * @param {string} hiredEmail - The normalized email of the hired candidate
@@ -461,35 +463,6 @@ function applyHiredFlow_(jobId, hiredFullName, hiredEmail) {
   
   try {
     const ss = SpreadsheetApp.getActive();
-    
-    // --- Part 1: Update the Requisitions Sheet ---
-    const req = ss.getSheetByName(SHEET_REQUISITIONS);
-    if (req) {
-      const reqHeaderInfo = getHeaderInfo(req, ANCHOR_HEADER_REQ);
-      if (reqHeaderInfo) {
-        const hmReq = reqHeaderInfo.headerMap;
-        const { idx: reqIdx } = buildReqIndex(req, hmReq, reqHeaderInfo.dataStartRow);
-        const reqRow = reqIdx.get(jobId);
-        if (reqRow) {
-          const reqObj = getRowObjectByHeaders(req, hmReq, reqRow);
-          const updates = {};
-
-          if (_canonReqStatus_(reqObj[H_REQ.JobStatus]) !== 'Hired') {
-            updates[H_REQ.JobStatus] = 'Hired';
-          }
-          if (hiredFullName && _normStr_(reqObj[H_REQ.HiredCandidateName]) !== _normStr_(hiredFullName)) {
-            updates[H_REQ.HiredCandidateName] = hiredFullName;
-          }
-          
-          if (Object.keys(updates).length > 0) {
-            setRowValuesByHeaders(req, hmReq, reqRow, updates);
-            applyReqStatusTransitionsForRows_([reqRow]);
-          }
-        }
-      }
-    }
-
-    // --- Part 2: Auto-reject other candidates ---
     const all = ss.getSheetByName(SHEET_ALL);
     if (!all) return;
     
@@ -498,26 +471,72 @@ function applyHiredFlow_(jobId, hiredFullName, hiredEmail) {
 
     const hmAll = allHeaderInfo.headerMap;
     const { rows: allCandRows } = buildCandidateIndex(all, hmAll, allHeaderInfo.dataStartRow);
+    const jobRows = allCandRows.filter(r => _normStr_(r.data[H_ALL.JobID]) === jobId);
+
+    // --- Part 1: Update the Requisitions Sheet ---
+    const seats = _updateHeadcountForJob_(jobId, jobRows);
+    if (!seats.targetMet) {
+      logInfo('Hire recorded; requisition stays open', { jobId, hired: hiredFullName, filled: seats.filled, target: seats.target });
+      return;
+    }
+
+    // --- Part 2: Disposition the remaining pipeline once the last seat is filled ---
+    const disposition = _getDispositionConfig_(seats.policy);
+    const transitions = [];
+    const summary = { rejected: [], pooled: [], kept: [] };
+    const touched = [];
 
-    for (const { row, data } of allCandRows) {
-      const candJobId = _normStr_(data[H_ALL.JobID]);
+    for (const { row, data } of jobRows) {
       const candEmail = normEmail(data[H_ALL.Email]);
 
-      if (candJobId === jobId && candEmail !== hiredEmail) {
+      if (candEmail !== hiredEmail) {
         const currentStage = _normStr_(data[H_ALL.Stage]);
+        if (currentStage === 'Hired' || currentStage === 'Rejected' || currentStage === disposition.talentPoolStage) continue;
+
+        const name = _normStr_(data[H_ALL.FullName]) || candEmail;
+        const action = _dispositionAction_(currentStage, disposition);
         const updates = {};
         
-        if (currentStage !== 'Hired' && currentStage !== 'Rejected') {
+        if (action === 'reject') {
           updates[H_ALL.Stage] = 'Rejected';
           updates[H_ALL.RejectedReason] = 'Hired a Different Candidate';
-          
-          if (Object.keys(updates).length > 0) {
-            updates[H_ALL.Updated] = nowDetroit();
-            setRowValuesByHeaders(all, hmAll, row, updates);
-          }
+          summary.rejected.push(name);
+        } else if (action === 'pool') {
+          updates[H_ALL.Stage] = disposition.talentPoolStage;
+          summary.pooled.push(name);
+        } else {
+          summary.kept.push(`${name} (${currentStage || 'No Status'})`);
+          continue;
         }
+        
+        updates[H_ALL.Updated] = nowInTz();
+        setRowValuesByHeaders(all, hmAll, row, updates);
+        const entry = stageTransitionFor_(data, currentStage, updates[H_ALL.Stage], SYSTEM_USER);
+        if (entry) transitions.push(entry);
+        touched.push({
+          uid: _normStr_(data[H_ALL.UID]), email: candEmail, name,
+          stage: currentStage, reason: _normStr_(data[H_ALL.RejectedReason]), newStage: updates[H_ALL.Stage],
+        });
       }
     }
+    recordStageTransitions_(transitions);
+    _reportDisposition_(jobId, disposition.policy, summary);
+
+    // Snapshot what this hire changed so it can be undone if the hire is reversed
+    if (seats.statusChanged || touched.length) {
+      const hiredRow = jobRows.find(r => normEmail(r.data[H_ALL.Email]) === hiredEmail);
+      saveHireSnapshot_({
+        jobId,
+        hired: {
+          uid: hiredRow ? _normStr_(hiredRow.data[H_ALL.UID]) : '',
+          email: hiredEmail,
+          name: hiredFullName,
+          prevStage: _stageBeforeHire_(hiredRow ? hiredRow.data : { [H_ALL.JobID]: jobId, [H_ALL.Email]: hiredEmail }),
+        },
+        req: { status: seats.priorStatus },
+        candidates: touched,
+      });
+    }
   } catch (e) {
     logWarn('applyHiredFlow_ failed', { jobId, error: e.message });
   } finally {
@@ -526,116 +545,316 @@ function applyHiredFlow_(jobId, hiredFullName, hiredEmail) {
 }
 
 /**
- * Reconciles Active Candidates membership for specific job IDs.
- * Pre-filters rows when possible for better performance.
- * @param {string[]} jobIds - Array of job IDs to reconcile, or empty for all
+ * Resolves the disposition policy for a filled requisition. The requisition's
+ * Disposition Policy column wins; otherwise the Default Disposition Policy setting.
+ * @param {string} reqPolicy - The requisition's Disposition Policy value
+ * @returns {{policy: string, talentPoolStage: string, lateStages: Set<string>, rejectBelow: string, stageOrder: string[]}}
  */
-function reconcileActiveMembership_ByJobIds_(jobIds) {
-  const ss = SpreadsheetApp.getActive();
-  const all = ss.getSheetByName(SHEET_ALL);
-  const act = ss.getSheetByName(SHEET_ACTIVE);
-  const req = ss.getSheetByName(SHEET_REQUISITIONS);
-  if (!all || !act || !req) return;
-
-  const allHeaderInfo = getHeaderInfo(all, ANCHOR_HEADER_ALL);
-  const actHeaderInfo = getHeaderInfo(act, ANCHOR_HEADER_ACT);
-  const reqHeaderInfo = getHeaderInfo(req, ANCHOR_HEADER_REQ);
-  if (!allHeaderInfo || !actHeaderInfo || !reqHeaderInfo) return;
-
-  const hAll = allHeaderInfo.headerMap;
-  const hAct = actHeaderInfo.headerMap;
-  const hReq = reqHeaderInfo.headerMap;
-
-  const { index: idxAct } = buildCandidateIndex(act, hAct, actHeaderInfo.dataStartRow);
-  const { index: idxAll, rows: allRows } = buildCandidateIndex(all, hAll, allHeaderInfo.dataStartRow);
-  const { idx: reqIdx } = buildReqIndex(req, hReq, reqHeaderInfo.dataStartRow);
-
-  const filterJob = (jid) => !jobIds || jobIds.length === 0 || jobIds.includes(jid);
-
-  const toDelete = [];
-  idxAct.forEach((row, key) => {
-    const [jid] = key.split('|');
-    if (!filterJob(jid)) return;
-    const inAll = idxAll.has(key);
-    let allowed = false;
-    if (inAll) {
-      const reqRow = reqIdx.get(jid);
-      const status = reqRow ? getRowObjectByHeaders(req, hReq, reqRow)[H_REQ.JobStatus] : '';
-      allowed = _isOpenForActive_(status);
-    }
-    if (!inAll || !allowed) toDelete.push(row);
-  });
-  toDelete.sort((a,b) => b - a).forEach(r => act.deleteRow(r));
-
-  const relevantRows = (jobIds && jobIds.length > 0) 
-    ? allRows.filter(r => {
-        const jid = _normStr_(r.data[H_ALL.JobID]);
-        return jobIds.includes(jid);
-      })
-    : allRows;
-
-  const processedKeys = new Set();
-  for (const { row, data } of relevantRows) {
-    const jid = _normStr_(data[H_ALL.JobID]);
-    const eml = normEmail(data[H_ALL.Email]);
-    if (!jid || !eml || !filterJob(jid)) continue;
-
-    const k = keyFor(jid, eml);
-    if (processedKeys.has(k)) {
-      logWarn('Duplicate candidate key encountered during reconcile; skipping duplicate', { key: k });
-      continue;
+function _getDispositionConfig_(reqPolicy) {
+  const raw = reqPolicy || _normStr_(getSettingValue_(SETTING_DEFAULT_DISPOSITION, DISPOSITION_POLICIES.REJECT));
+  let policy = Object.values(DISPOSITION_POLICIES).find(p => p.toLowerCase() === raw.toLowerCase());
+  if (!policy) {
+    logWarn('Unknown disposition policy; rejecting as default', { policy: raw });
+    policy = DISPOSITION_POLICIES.REJECT;
+  }
+
+  return {
+    policy,
+    talentPoolStage: _normStr_(getSettingValue_(SETTING_TALENT_POOL_STAGE, 'Talent Pool')),
+    lateStages: new Set(getSettingList_(SETTING_LATE_STAGES)),
+    rejectBelow: _normStr_(getSettingValue_(SETTING_REJECT_BELOW_STAGE, '')),
+    stageOrder: getCandidateStageOrder_(),
+  };
+}
+
+/**
+ * Decides what happens to one remaining candidate when a requisition is filled.
+ * @param {string} stage - The candidate's current stage
+ * @param {Object} cfg - Config from _getDispositionConfig_
+ * @returns {string} 'reject', 'pool' or 'keep'
+ */
+function _dispositionAction_(stage, cfg) {
+  switch (cfg.policy) {
+    case DISPOSITION_POLICIES.TALENT_POOL:
+      return 'pool';
+    case DISPOSITION_POLICIES.KEEP_LATE:
+      return cfg.lateStages.has(stage) ? 'keep' : 'reject';
+    case DISPOSITION_POLICIES.REJECT_BELOW: {
+      const threshold = cfg.stageOrder.indexOf(cfg.rejectBelow);
+      const idx = cfg.stageOrder.indexOf(stage);
+      // Without a usable threshold or a known stage, leave the candidate for manual review
+      if (threshold < 0 || idx < 0) return stage ? 'keep' : 'reject';
+      return idx < threshold ? 'reject' : 'keep';
     }
-    processedKeys.add(k);
+    default:
+      return 'reject';
+  }
+}
 
-    const reqRow = reqIdx.get(jid);
-    if (!reqRow) continue;
+/**
+ * Logs and toasts which candidates the hired flow dispositioned.
+ * @param {string} jobId - The filled Job ID
+ * @param {string} policy - The applied policy
+ * @param {{rejected: string[], pooled: string[], kept: string[]}} summary - Affected candidates
+ */
+function _reportDisposition_(jobId, policy, summary) {
+  const { rejected, pooled, kept } = summary;
+  if (!rejected.length && !pooled.length && !kept.length) return;
+
+  logInfo('Hired flow disposition applied', { jobId, policy, rejected, pooled, kept });
+  const parts = [];
+  if (rejected.length) parts.push(`Rejected: ${rejected.join(', ')}`);
+  if (pooled.length) parts.push(`Moved to talent pool: ${pooled.join(', ')}`);
+  if (kept.length) parts.push(`Left for review: ${kept.join(', ')}`);
+  toast(parts.join(' | '), `${jobId} filled (${policy})`, 10);
+}
 
-    const rObj = getRowObjectByHeaders(req, hReq, reqRow);
-    const reqStatusCanon = _canonReqStatus_(rObj[H_REQ.JobStatus] || '');
-    const reqTitle = rObj[H_REQ.JobTitle] || '';
+/**
+ * Recounts the Hired candidates of a job and writes Positions Filled and the
+ * hired names to its requisition. The requisition moves to Hired once the
+ * Headcount Target is met; it is never reopened automatically.
+ * @param {string} jobId - The Job ID to recount
+ * @param {Array<{row: number, data: Object}>} jobRows - Candidate Database rows for the job
+ * @returns {{filled: number, target: number, targetMet: boolean, policy: string, priorStatus: string, statusChanged: boolean}}
+ *   Seat counts, the requisition's own Disposition Policy (blank when not set) and its status before this call
+ */
+function _updateHeadcountForJob_(jobId, jobRows) {
+  const hired = jobRows.filter(r => _normStr_(r.data[H_ALL.Stage]) === 'Hired');
+  const names = hired.map(r => _normStr_(r.data[H_ALL.FullName])).filter(Boolean);
+  const result = { filled: hired.length, target: 1, targetMet: false, policy: '', priorStatus: '', statusChanged: false };
+
+  const req = SpreadsheetApp.getActive().getSheetByName(SHEET_REQUISITIONS);
+  if (!req) return result;
+  const reqHeaderInfo = ensureHeaderColumn_(req, ANCHOR_HEADER_REQ, H_REQ.PositionsFilled);
+  if (!reqHeaderInfo) return result;
+
+  const hmReq = reqHeaderInfo.headerMap;
+  const { idx: reqIdx } = buildReqIndex(req, hmReq, reqHeaderInfo.dataStartRow);
+  const reqRow = reqIdx.get(jobId);
+  if (!reqRow) return result;
+
+  const reqObj = getRowObjectByHeaders(req, hmReq, reqRow);
+  const target = parseInt(reqObj[H_REQ.HeadcountTarget], 10);
+  result.target = target > 0 ? target : 1;
+  result.targetMet = result.filled >= result.target;
+  result.policy = _normStr_(reqObj[H_REQ.DispositionPolicy]);
+  result.priorStatus = _canonReqStatus_(reqObj[H_REQ.JobStatus]);
+
+  const updates = {};
+  if (hmReq[H_REQ.PositionsFilled] && Number(reqObj[H_REQ.PositionsFilled] || 0) !== result.filled) {
+    updates[H_REQ.PositionsFilled] = result.filled;
+  }
+  const hiredNames = names.join(', ');
+  if (hmReq[H_REQ.HiredCandidateName] && _normStr_(reqObj[H_REQ.HiredCandidateName]) !== hiredNames) {
+    updates[H_REQ.HiredCandidateName] = hiredNames;
+  }
+  result.statusChanged = result.targetMet && result.priorStatus !== 'Hired';
+  if (result.statusChanged) updates[H_REQ.JobStatus] = 'Hired';
+
+  // Hires and reversed hires go to the requisition history ahead of any status change
+  const priorNames = _normStr_(reqObj[H_REQ.HiredCandidateName]).split(',').map(n => n.trim()).filter(Boolean);
+  const seats = `${result.filled} of ${result.target} seats`;
+  recordReqEvents_([
+    ...names.filter(n => !priorNames.includes(n)).map(n => ({ jobId, details: `Hired ${n} (${seats})` })),
+    ...priorNames.filter(n => !names.includes(n)).map(n => ({ jobId, details: `Hire of ${n} reversed (${seats})` })),
+  ]);
+
+  if (Object.keys(updates).length > 0) {
+    setRowValuesByHeaders(req, hmReq, reqRow, updates);
+    if (result.statusChanged) applyReqStatusTransitionsForRows_([reqRow], `Headcount Target met (${seats})`);
+  }
+  if (!result.targetMet && _canonReqStatus_(reqObj[H_REQ.JobStatus]) === 'Hired') {
+    logWarn('Requisition is Hired but below its Headcount Target', { jobId, filled: result.filled, target: result.target });
+  }
+  return result;
+}
 
-    const curAll = data;
-    const wantAll = {
-      [H_ALL.JobTitle]:  reqTitle,
-      [H_ALL.JobStatus]: reqStatusCanon
+/**
+ * Reconciles Active Candidates membership for specific job IDs.
+ * Pre-filters rows when possible for better performance. Candidates whose
+ * Sync Fingerprint shows no change since the last pass (on either sheet) are
+ * skipped; a change to the requisition's title or status changes the fingerprint.
+ * @param {string[]} jobIds - Array of job IDs to reconcile, or empty for all
+ * @param {{offset: number, limit: number}=} chunk - Optional slice of the candidates
+ *   in scope (resumable Full Resync); Active rows are pruned with the first slice
+ * @returns {number} Number of Candidate Database rows in scope
+ */
+function reconcileActiveMembership_ByJobIds_(jobIds, chunk) {
+  _ensureFingerprintColumns_();
+  return withDataContext_((ctx) => {
+    const allT = ctx.table(SHEET_ALL, ANCHOR_HEADER_ALL);
+    const actT = ctx.table(SHEET_ACTIVE, ANCHOR_HEADER_ACT);
+    const reqT = ctx.table(SHEET_REQUISITIONS, ANCHOR_HEADER_REQ);
+    if (!allT || !actT || !reqT) return 0;
+
+    const allIdx = allT.candidateIndex();
+    const { rows: allRows } = allIdx;
+    const allDataByRow = new Map(allRows.map(r => [r.row, r.data]));
+    const { idx: reqIdx } = reqT.reqIndex();
+    const reqStatus = (jid) => {
+      const reqRow = reqIdx.get(jid);
+      return reqRow ? reqT.rowObject(reqRow)[H_REQ.JobStatus] : '';
     };
-    const diffAll = _diffFields_(wantAll, curAll, [H_ALL.JobTitle, H_ALL.JobStatus]);
-    if (Object.keys(diffAll).length) {
-      diffAll[H_ALL.Updated] = nowDetroit();
-      setRowValuesByHeaders(all, hAll, row, diffAll);
-      for (const [k2,v2] of Object.entries(diffAll)) data[k2] = v2;
+
+    const filterJob = (jid) => !jobIds || jobIds.length === 0 || jobIds.includes(jid);
+
+    const toDelete = [];
+    if (!chunk || !chunk.offset) {
+      const seenActKeys = new Set();
+      for (const { row, data } of actT.candidateIndex().rows) {
+        const allRow = findCandidateRow_(allIdx, data);
+        const allData = allRow ? allDataByRow.get(allRow) : null;
+        const actJid = _normStr_(data[H_ACT.JobID]);
+        const jid = allData ? _normStr_(allData[H_ALL.JobID]) : actJid;
+        if (!filterJob(jid) && !filterJob(actJid)) continue;
+
+        const key = candidateKey_(allData || data);
+        let allowed = false;
+        if (allData && !seenActKeys.has(key)) {
+          allowed = _isOpenForActive_(reqStatus(jid));
+        }
+        seenActKeys.add(key);
+        if (!allowed) toDelete.push(row);
+      }
+      actT.deleteRows(toDelete);
     }
 
-    const resumeUrl   = hAll[H_ALL.Resume]   ? extractUrl(all, row, hAll[H_ALL.Resume])     : '';
-    const linkedinUrl = hAll[H_ALL.LinkedIn] ? extractUrl(all, row, hAll[H_ALL.LinkedIn])   : '';
+    const relevantRows = (jobIds && jobIds.length > 0) 
+      ? allRows.filter(r => {
+          const jid = _normStr_(r.data[H_ALL.JobID]);
+          return jobIds.includes(jid);
+        })
+      : allRows;
+    const rowsToSync = chunk ? relevantRows.slice(chunk.offset, chunk.offset + chunk.limit) : relevantRows;
+    const fpFields = _fingerprintFields_(allT, actT);
+
+    const processedKeys = new Set();
+    let skipped = 0;
+    for (const { row, data } of rowsToSync) {
+      const jid = _normStr_(data[H_ALL.JobID]);
+      const eml = normEmail(data[H_ALL.Email]);
+      if (!jid || !eml || !filterJob(jid)) continue;
+
+      const k = candidateKey_(data);
+      if (processedKeys.has(k)) {
+        logWarn('Duplicate candidate key encountered during reconcile; skipping duplicate', { key: k });
+        continue;
+      }
+      processedKeys.add(k);
 
-    if (_isOpenForActive_(reqStatusCanon)) {
-      const k = keyFor(jid, eml);
-      const wasRecentlyEdited = isRecentlyEdited(SHEET_ACTIVE, k);
-      
-      if (processedKeys.size % 10 === 0 || processedKeys.size === 1) {
-        logInfo('Reconcile progress', { 
-          processed: processedKeys.size, 
-          total: relevantRows.length,
-          lastKey: k
-        });
+      const reqRow = reqIdx.get(jid);
+      if (!reqRow) continue;
+
+      const rObj = reqT.rowObject(reqRow);
+      const reqStatusCanon = _canonReqStatus_(rObj[H_REQ.JobStatus] || '');
+      const reqTitle = rObj[H_REQ.JobTitle] || '';
+
+      const wantAll = {
+        [H_ALL.JobTitle]:  reqTitle,
+        [H_ALL.JobStatus]: reqStatusCanon
+      };
+      const diffAll = _diffFields_(wantAll, data, [H_ALL.JobTitle, H_ALL.JobStatus]);
+      if (Object.keys(diffAll).length) {
+        diffAll[H_ALL.Updated] = nowInTz();
+        allT.set(row, diffAll);
       }
-      
-      if (!wasRecentlyEdited) {
+
+      const isOpen = _isOpenForActive_(reqStatusCanon);
+      const fp = _syncFingerprint_(allT, row, fpFields);
+      const storedFp = _normStr_(data[H_ALL.Fingerprint]);
+      if (fp === storedFp && (!isOpen || _activeRowInSync_(actT, data, fp, fpFields))) {
+        skipped++;
+        continue;
+      }
+
+      if (isOpen) {
+        const wasRecentlyEdited = isRecentlyEdited(SHEET_ACTIVE, k);
+        
+        if (processedKeys.size % 10 === 0 || processedKeys.size === 1) {
+          logDebug('Reconcile progress', { 
+            processed: processedKeys.size, 
+            total: rowsToSync.length,
+            lastKey: k
+          });
+        }
+        
+        // Leave the fingerprint stale so the next pass picks the row up again
+        if (wasRecentlyEdited) continue;
+
         const objWithRow = Object.assign({ __row: row }, data);
-        _upsertActiveRow_(objWithRow, { resumeUrl, linkedinUrl });
+        const actRow = _upsertActiveRow_(objWithRow, {
+          resumeUrl: allT.url(row, H_ALL.Resume),
+          linkedinUrl: allT.url(row, H_ALL.LinkedIn),
+        });
+        if (actRow) {
+          const actNow = ctx.table(SHEET_ACTIVE, ANCHOR_HEADER_ACT);
+          actNow.set(actRow, { [H_ACT.Fingerprint]: _syncFingerprint_(actNow, actRow, fpFields) });
+        }
       }
+      if (fp !== storedFp) allT.set(row, { [H_ALL.Fingerprint]: fp });
     }
-  }
-  
-  logInfo('Reconcile complete', { 
-    jobIds: jobIds && jobIds.length > 0 ? jobIds : 'all', 
-    totalCandidates: relevantRows.length,
-    synced: processedKeys.size,
-    deleted: toDelete.length
+    
+    logInfo('Reconcile complete', { 
+      jobIds: jobIds && jobIds.length > 0 ? jobIds : 'all', 
+      totalCandidates: relevantRows.length,
+      chunk: chunk ? `${chunk.offset}+${rowsToSync.length}` : undefined,
+      synced: processedKeys.size - skipped,
+      skipped,
+      deleted: toDelete.length
+    });
+    return relevantRows.length;
   });
 }
 
+/**
+ * Adds the hidden Sync Fingerprint column to both candidate sheets if missing.
+ */
+function _ensureFingerprintColumns_() {
+  const ss = SpreadsheetApp.getActive();
+  const all = ss.getSheetByName(SHEET_ALL);
+  const act = ss.getSheetByName(SHEET_ACTIVE);
+  if (all) ensureHeaderColumn_(all, ANCHOR_HEADER_ALL, H_ALL.Fingerprint, { hidden: true });
+  if (act) ensureHeaderColumn_(act, ANCHOR_HEADER_ACT, H_ACT.Fingerprint, { hidden: true });
+}
+
+/**
+ * Mirrored fields present on both candidate sheets; the fingerprint covers these.
+ * @param {Object} allT - Candidate Database table (data context)
+ * @param {Object} actT - Active Candidates table (data context)
+ * @returns {string[]} Headers
+ */
+function _fingerprintFields_(allT, actT) {
+  return MIRRORED_FIELDS.filter(f => allT.headerMap[f] && actT.headerMap[f]);
+}
+
+/**
+ * Fingerprints a candidate row's mirrored fields. Resume and LinkedIn count by
+ * their URL since the cells only show a label.
+ * @param {Object} table - Candidate table (data context)
+ * @param {number} row - Row number
+ * @param {string[]} fields - From _fingerprintFields_
+ * @returns {string} Fingerprint
+ */
+function _syncFingerprint_(table, row, fields) {
+  const data = table.rowObject(row);
+  return fingerprint_(fields.map(f => (f === H_ALL.Resume || f === H_ALL.LinkedIn) ? table.url(row, f) : data[f]));
+}
+
+/**
+ * Whether a candidate's Active row still matches the last sync: it exists,
+ * carries the Candidate Database fingerprint and was not edited since.
+ * @param {Object} actT - Active Candidates table (data context)
+ * @param {Object} allData - Candidate Database row object
+ * @param {string} fp - Current Candidate Database fingerprint
+ * @param {string[]} fields - From _fingerprintFields_
+ * @returns {boolean} True when the Active row needs no work
+ */
+function _activeRowInSync_(actT, allData, fp, fields) {
+  const actRow = findCandidateRow_(actT.candidateIndex(), allData);
+  if (!actRow || _normStr_(actT.rowObject(actRow)[H_ACT.Fingerprint]) !== fp) return false;
+  return _syncFingerprint_(actT, actRow, fields) === fp;
+}
+
 /**
  * Reconciles all Active Candidates (no job filter)
  */
@@ -647,37 +866,99 @@ function reconcileActiveMembership_All_() {
  * Sweeps Candidate Database and autopopulates job info from requisitions
  */
 function Sweep_Autopopulate_All_From_Reqs_() {
-  const ss = SpreadsheetApp.getActive();
-  const all = ss.getSheetByName(SHEET_ALL);
-  const req = ss.getSheetByName(SHEET_REQUISITIONS);
-  if (!all || !req) return;
-
-  const allHeaderInfo = getHeaderInfo(all, ANCHOR_HEADER_ALL);
-  const reqHeaderInfo = getHeaderInfo(req, ANCHOR_HEADER_REQ);
-  if (!allHeaderInfo || !reqHeaderInfo) return;
-
-  const hAll = allHeaderInfo.headerMap;
-  const hReq = reqHeaderInfo.headerMap;
-  const { rows: allRows } = buildCandidateIndex(all, hAll, allHeaderInfo.dataStartRow);
-  const { idx: reqIdx } = buildReqIndex(req, hReq, reqHeaderInfo.dataStartRow);
-
-  let updates = 0;
-  for (const { row, data } of allRows) {
-    const jid = _normStr_(data[H_ALL.JobID]);
-    if (!jid) continue;
-    const r = reqIdx.get(jid);
-    if (!r) continue;
-    const rObj = getRowObjectByHeaders(req, hReq, r);
-    const want = {
-      [H_ALL.JobTitle]:  rObj[H_REQ.JobTitle]  || '',
-      [H_ALL.JobStatus]: _canonReqStatus_(rObj[H_REQ.JobStatus] || '')
-    };
-    const diff = _diffFields_(want, data, [H_ALL.JobTitle, H_ALL.JobStatus]);
-    if (Object.keys(diff).length) {
-      diff[H_ALL.Updated] = nowDetroit();
-      setRowValuesByHeaders(all, hAll, row, diff);
-      updates++;
+  withDataContext_((ctx) => {
+    const allT = ctx.table(SHEET_ALL, ANCHOR_HEADER_ALL);
+    const reqT = ctx.table(SHEET_REQUISITIONS, ANCHOR_HEADER_REQ);
+    if (!allT || !reqT) return;
+
+    const { idx: reqIdx } = reqT.reqIndex();
+
+    let updates = 0;
+    for (const { row, data } of allT.rows()) {
+      const jid = _normStr_(data[H_ALL.JobID]);
+      if (!jid) continue;
+      const r = reqIdx.get(jid);
+      if (!r) continue;
+      const rObj = reqT.rowObject(r);
+      const want = {
+        [H_ALL.JobTitle]:  rObj[H_REQ.JobTitle]  || '',
+        [H_ALL.JobStatus]: _canonReqStatus_(rObj[H_REQ.JobStatus] || '')
+      };
+      const diff = _diffFields_(want, data, [H_ALL.JobTitle, H_ALL.JobStatus]);
+      if (Object.keys(diff).length) {
+        diff[H_ALL.Updated] = nowInTz();
+        allT.set(row, diff);
+        updates++;
+      }
     }
-  }
-  logInfo('Sweep_Autopopulate_All_From_Reqs_ complete', { updatedRows: updates });
-}
\ No newline at end of file
+    logInfo('Sweep_Autopopulate_All_From_Reqs_ complete', { updatedRows: updates });
+  });
+}
+
+/**
+ * One-time migration: adds the Candidate UID column to both candidate sheets
+ * (hidden, system-managed) and backfills UIDs for existing rows. Active rows
+ * inherit the UID of their Candidate Database row via the composite key, and
+ * Stage_History entries are moved onto the same UID keys.
+ */
+function Migrate_Backfill_Candidate_UIDs() {
+  withLock(() => {
+    const ss = SpreadsheetApp.getActive();
+    const all = ss.getSheetByName(SHEET_ALL);
+    const act = ss.getSheetByName(SHEET_ACTIVE);
+    if (!all || !act) {
+      toast('Migration failed: Candidate Database and Active Candidates sheets are required.', 'Error', 10);
+      return;
+    }
+
+    const allHeaderInfo = ensureHeaderColumn_(all, ANCHOR_HEADER_ALL, H_ALL.UID, { hidden: true });
+    const actHeaderInfo = ensureHeaderColumn_(act, ANCHOR_HEADER_ACT, H_ACT.UID, { hidden: true });
+    if (!allHeaderInfo || !actHeaderInfo) {
+      toast('Migration failed: could not find candidate sheet headers.', 'Error', 10);
+      return;
+    }
+
+    const uidByKey = new Map();
+    const allAssigned = _backfillUidColumn_(all, allHeaderInfo, (data) => {
+      const uid = _normStr_(data[H_ALL.UID]) || newCandidateUid_();
+      uidByKey.set(keyFor(data[H_ALL.JobID], data[H_ALL.Email]), uid);
+      return uid;
+    });
+    const actAssigned = _backfillUidColumn_(act, actHeaderInfo, (data) => {
+      return _normStr_(data[H_ACT.UID]) || uidByKey.get(keyFor(data[H_ACT.JobID], data[H_ACT.Email])) || '';
+    });
+
+    const historyRekeyed = rekeyStageHistoryToUids_(uidByKey);
+
+    logInfo('Candidate UID backfill complete', { allAssigned, activeAssigned: actAssigned, historyRekeyed });
+    toast(`Candidate UIDs assigned: ${allAssigned} in Candidate Database, ${actAssigned} in Active Candidates.`, 'Migration Complete', 8);
+  }, LOCK_TIMEOUT_LONG_MS);
+}
+
+/**
+ * Rewrites a sheet's Candidate UID column in one batch.
+ * @param {Sheet} sh - The candidate sheet
+ * @param {Object} headerInfo - Header info including the UID column
+ * @param {Function} uidFor - Returns the UID to store for a row object (called for every candidate row)
+ * @returns {number} Number of rows that received a new UID
+ */
+function _backfillUidColumn_(sh, headerInfo, uidFor) {
+  const { headerMap: hm, dataStartRow } = headerInfo;
+  const lastRow = sh.getLastRow();
+  if (lastRow < dataStartRow) return 0;
+
+  const col = hm[H_ALL.UID];
+  const values = sh.getRange(dataStartRow, 1, lastRow - dataStartRow + 1, sh.getLastColumn()).getValues();
+  let assigned = 0;
+  const out = values.map(r => {
+    const data = {};
+    for (const [h, c] of Object.entries(hm)) data[h] = r[c - 1];
+    const current = _normStr_(data[H_ALL.UID]);
+    if (!_normStr_(data[H_ALL.JobID]) && !_normStr_(data[H_ALL.Email])) return [current];
+    const uid = uidFor(data);
+    if (!current && uid) assigned++;
+    return [uid];
+  });
+  sh.getRange(dataStartRow, col, out.length, 1).setValues(out);
+  return assigned;
+}
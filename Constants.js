@@ -5,8 +5,9 @@ const ATS_VERSION = '1.0.0';
 const ATS_TIER = 'Tier 1';
 
 // ---------- Timezone Configuration
-// Note: Must match timeZone in appsscript.json
-const TZ = 'America/New_York';
+// Fallback only: the "Timezone" setting or the spreadsheet's timezone wins (see getTimezone_)
+const DEFAULT_TZ = 'America/New_York';
+const SETTING_TIMEZONE = 'Timezone';
 
 // ---------- Sheet Names
 const SHEET_REQUISITIONS = 'Requisitions';
@@ -16,12 +17,29 @@ const SHEET_SYS_LOG      = 'SYS_LOGS';
 const SHEET_SETTINGS     = 'Settings';
 const SHEET_DASHBOARD    = 'Dashboard';
 const SHEET_DASH_DATA    = 'Dashboard_Data';
+const SHEET_STAGE_HISTORY = 'Stage_History';
+const SHEET_HIRE_SNAPSHOTS = 'Hire_Snapshots';
+const SHEET_REQ_HISTORY  = 'Req_History';
 
 // ---------- Dynamic Header Configuration
 const MAX_HEADER_SEARCH_ROWS = 20; // How many rows to scan to find the header
 
 // ---------- Logging
 const LOG_PREFIX = '[ATS]';
+const LOG_LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+const SYS_LOG_HEADERS = ['Timestamp', 'Level', 'Message', 'Context', 'Correlation ID'];
+// "Log Level" SETTINGS value: entries below it are dropped
+const SETTING_LOG_LEVEL = 'Log Level';
+const DEFAULT_LOG_LEVEL = 'INFO';
+// "Log Retention (Rows)" SETTINGS value: SYS_LOGS keeps at most this many entries
+const SETTING_LOG_MAX_ROWS = 'Log Retention (Rows)';
+const DEFAULT_LOG_MAX_ROWS = 5000;
+// Rows allowed past the retention limit before trimming, so trims happen in batches
+const LOG_TRIM_SLACK_ROWS = 500;
+// Buffered entries written early once this many are waiting
+const LOG_BUFFER_MAX_ENTRIES = 200;
+// Longest Context value written to a cell
+const LOG_CONTEXT_MAX_CHARS = 5000;
 
 // ---------- Cache TTLs (seconds)
 const CACHE_TTL_SHORT    = 15;   // Recent edit guard window
@@ -30,11 +48,35 @@ const CACHE_TTL_MUTATION = 120;  // Header map, etc.
 // ---------- Lock Timeouts (milliseconds)
 const LOCK_TIMEOUT_MS = 5000;      // Standard operations (5 seconds)
 const LOCK_TIMEOUT_LONG_MS = 8000; // Long-running operations (8 seconds)
+const REC_GUARD_MAX_AGE_MS = 360000; // Executions stop at 6 minutes; older recursion guards are stale
 
 // ---------- Debounce Delays (milliseconds)
 const DEBOUNCE_RECONCILE_MS = 5000;     // Reconciliation delay (5 seconds)
 const DEBOUNCE_LINK_HYGIENE_MS = 3000;  // Link hygiene delay (3 seconds)
 
+// ---------- Resumable Jobs (see JobRunner.js)
+const JOB_TIME_BUDGET_MS  = 270000; // Checkpoint after 4.5 minutes (executions stop at 6)
+const JOB_CHUNK_ROWS      = 500;    // Rows processed between checkpoints
+const JOB_RESUME_DELAY_MS = 60000;  // Delay before a checkpointed job continues
+
+// ---------- Edit Replay (see EditReplay.js)
+const EDIT_REPLAY_DELAY_MS   = 10000; // Delay before edits that hit a busy lock are replayed
+const EDIT_QUEUE_MAX_ENTRIES = 50;    // Beyond this, queued edits are merged per sheet
+
+// ---------- Task Queue (see TaskQueue.js)
+const TASK_TYPES = {
+  RECONCILE: 'reconcile',
+  LINK_HYGIENE: 'linkHygiene',
+  FORM_REFRESH: 'formRefresh',
+  DAYS_OPEN: 'daysOpen',
+  NOTIFY: 'notify',
+};
+const TASK_MAX_ATTEMPTS     = 5;       // Failed runs before a task moves to the dead-letter list
+const TASK_BACKOFF_BASE_MS  = 30000;   // Retry delay after the first failure; doubles per attempt
+const TASK_BACKOFF_MAX_MS   = 3600000; // Longest retry delay (1 hour)
+const TASK_LOCK_RETRY_MS    = 15000;   // Delay before the worker tries again when the lock is busy
+const TASK_DEAD_LETTER_MAX  = 25;      // Dead letters kept (oldest dropped first)
+
 // ---------- Import/Resume Limits
 const IMPORT_MAX_ROWS = 1000;           // Maximum rows per import
 const IMPORT_MAX_FIELD_LENGTH = 5000;   // Maximum characters per field
@@ -54,15 +96,99 @@ const CACHE_KEYS = {
 };
 
 // ---------- Document Properties Keys
-const PROP_QUEUE_JOBIDS    = 'ATS:queue:jobIds';
-const PROP_QUEUE_SCHEDULED = 'ATS:queue:scheduled';
+const PROP_QUEUE_JOBIDS    = 'ATS:queue:jobIds';    // Legacy reconcile queue, migrated to the task queue
+const PROP_QUEUE_SCHEDULED = 'ATS:queue:scheduled'; // Legacy reconcile trigger ID
+const PROP_TASK_QUEUE      = 'ATS:tasks';
+const PROP_TASK_DEAD       = 'ATS:tasks:dead';
+const PROP_TASK_SCHEDULED  = 'ATS:tasks:scheduled';
+const PROP_HANDLER_RUN_PREFIX = 'ATS:lastrun:';
 const PROP_FORM_ID         = 'ATS:form:id';
 const PROP_JOBSEQ_PREFIX   = 'ATS:jobseq:';
 const PROP_SETTINGS_HASH   = 'ATS:settings:hash';
+const PROP_HOLDS_PREFIX    = 'ATS:holds:';
+const PROP_REQ_STATUS_PREFIX  = 'ATS:reqstatus:';       // Last status recorded in Req_History, per Job ID
+const PROP_REQ_STATUS_INDEXED = 'ATS:reqstatus-indexed'; // Set once the per-Job ID statuses were backfilled
+const PROP_JOB_PREFIX      = 'ATS:job:';
+const PROP_EDIT_QUEUE      = 'ATS:queue:edits';
+const PROP_EDIT_QUEUE_SCHEDULED = 'ATS:queue:edits:scheduled';
+
+// ---------- Highlight Colors
+const DUPLICATE_JOB_ID_COLOR = '#f4cccc';
 
 // ---------- Job Status Sets
 const OPEN_STATUSES = new Set(['Open', 'On Hold']);
 
+// ---------- Settings Keys (single-value SETTINGS columns)
+const SETTING_PROPAGATE_PROFILE = 'Propagate Profile Edits';
+const SETTING_JOB_ID_TEMPLATE   = 'Job ID Template';
+const SETTING_JOB_ID_SEPARATOR  = 'Job ID Separator';
+const SETTING_JOB_ID_PREFIX     = 'Job ID Prefix';
+const SETTING_FY_START_MONTH    = 'Fiscal Year Start Month';
+const DEFAULT_JOB_ID_TEMPLATE   = '{YYYY}{SEP}{SEQ:4}';
+const SETTING_DEFAULT_DISPOSITION = 'Default Disposition Policy';
+const SETTING_TALENT_POOL_STAGE   = 'Talent Pool Stage';
+const SETTING_LATE_STAGES         = 'Late Stages';
+const SETTING_REJECT_BELOW_STAGE  = 'Reject Below Stage';
+
+const SETTING_REQ_TRANSITIONS     = 'Req Status Transitions';
+const SETTING_REQ_REQUIREMENTS    = 'Req Status Requirements';
+
+// ---------- Requisition Status Workflow
+// Used when the "Req Status Requirements" setting is absent ("A | B" = either field)
+const DEFAULT_REQ_STATUS_REQUIREMENTS = [
+  'Open -> Hiring Manager, Minimum Salary | Hourly Pay Rate Minimum',
+  'Hired -> Hired Candidate',
+];
+// Pseudo-field satisfied when the requisition has at least one Hired candidate
+const REQ_REQUIREMENT_HIRED_CANDIDATE = 'Hired Candidate';
+// Moving from one of these back to an open status counts as a reopen
+const REOPEN_FROM_STATUSES = new Set(['Closed', 'Hired']);
+
+const SETTING_STAGE_TRANSITIONS   = 'Candidate Stage Transitions';
+const SETTING_TERMINAL_STAGES     = 'Terminal Stages';
+const SETTING_STAGE_REQUIREMENTS  = 'Stage Requirements';
+
+// ---------- Candidate Stage Workflow
+// Used when the "Stage Requirements" setting is absent ("A | B" = either field)
+const DEFAULT_STAGE_REQUIREMENTS = [
+  'Rejected -> Rejected Reasoning',
+  'Offer -> Targeted Compensation (Salary) | Targeted Compensation (Hourly)',
+];
+// Transition value allowing any stage after the current one in the SETTINGS stage order
+const TRANSITION_LATER_STAGES = 'Later Stages';
+
+// ---------- Hired Flow Disposition Policies (values for Disposition Policy settings/column)
+const DISPOSITION_POLICIES = {
+  REJECT:       'Reject All',
+  TALENT_POOL:  'Move to Talent Pool',
+  KEEP_LATE:    'Keep Late Stages',
+  REJECT_BELOW: 'Reject Below Stage',
+};
+
+// ---------- Requisition Aging SLAs
+// "Priority SLA (Business Days)" cells look like "Critical -> 20" ("*" for any other priority)
+const SETTING_PRIORITY_SLA        = 'Priority SLA (Business Days)';
+const SETTING_SLA_AT_RISK         = 'SLA At Risk %';
+const DEFAULT_SLA_AT_RISK_RATIO   = 0.8;
+// "Stage SLA (Business Days)" cells look like "New Applicant -> 3": time allowed in that stage
+const SETTING_STAGE_SLA           = 'Stage SLA (Business Days)';
+const SLA_STATUS = {
+  ON_TRACK: 'On Track',
+  AT_RISK:  'At Risk',
+  BREACHED: 'Breached',
+};
+
+// ---------- Holiday Calendars (see Holidays.js for the built-in calendars)
+const SETTING_HOLIDAY_CALENDAR    = 'Holiday Calendar';
+const SETTING_CLOSURE_DATES       = 'Company Closure Dates';
+const SETTING_LOCATION_CALENDARS  = 'Location Holiday Calendars';
+const SETTING_CUSTOM_HOLIDAYS     = 'Custom Holidays';
+const DEFAULT_HOLIDAY_CALENDAR    = 'US Federal';
+
+// ---------- Candidate Stage Sets
+// Stages that end a candidate's pipeline without progressing (counted as drop-offs)
+const EXIT_STAGES = new Set(['Rejected']);
+
 // ---------- Requisitions Headers
 const H_REQ = {
   JobStatus:          'Job Status',
@@ -87,6 +213,12 @@ const H_REQ = {
   ClosedDate:         'Closed Date',
   PositionHiredDate:  'Position Hired Date',
   HiredCandidateName: 'Hired Candidate\'s Name',
+  PositionsFilled:    'Positions Filled',
+  DispositionPolicy:  'Disposition Policy',
+  ReopenCount:        'Reopen Count',
+  DaysOnHold:         'Days On Hold',
+  SLAStatus:          'SLA Status',
+  Department:         'Department',
 };
 
 // ---------- Candidate Database Headers
@@ -114,6 +246,11 @@ const H_ALL = {
   Created:        'Created Date',
   Updated:        'Last Updated',
   HiredDate:      'Hired Date',
+  UID:            'Candidate UID',
+  PersonID:       'Person ID',
+  OtherApps:      'Other Applications',
+  StageSLA:       'Stage SLA Status',
+  Fingerprint:    'Sync Fingerprint',
 };
 
 // ---------- Active Candidates Headers
@@ -133,13 +270,62 @@ const H_ACT = {
   State:          'State',
   TargetSalary:   'Targeted\nCompensation (Salary)',
   TargetHourly:   'Targeted\nCompensation (Hourly)',
+  UID:            'Candidate UID',
+  StageSLA:       'Stage SLA Status',
+  Fingerprint:    'Sync Fingerprint',
+};
+
+// ---------- Stage History Headers (fixed column order)
+const H_STAGE_HIST = {
+  Key:       'Candidate Key',
+  JobID:     'Job ID',
+  FromStage: 'From Stage',
+  ToStage:   'To Stage',
+  Timestamp: 'Timestamp',
+  User:      'Changed By',
 };
 
+// ---------- Hire Snapshot Headers (fixed column order)
+const H_HIRE_SNAP = {
+  Timestamp:  'Timestamp',
+  JobID:      'Job ID',
+  HiredEmail: 'Hired Email',
+  HiredName:  'Hired Candidate',
+  Snapshot:   'Snapshot',
+  RestoredAt: 'Restored At',
+};
+
+// ---------- Requisition History Headers (fixed column order)
+const H_REQ_HIST = {
+  JobID:      'Job ID',
+  FromStatus: 'From Status',
+  ToStatus:   'To Status',
+  Timestamp:  'Timestamp',
+  User:       'Changed By',
+  Details:    'Details',
+};
+
+// Acting user recorded for automated stage changes (e.g. hired-flow auto-reject)
+const SYSTEM_USER = 'system';
+
 // ---------- Anchor Headers for Dynamic Finding
 const ANCHOR_HEADER_REQ = H_REQ.JobID;
 const ANCHOR_HEADER_ALL = H_ALL.FullName;
 const ANCHOR_HEADER_ACT = H_ACT.FullName;
 
+// ---------- Person Profiles
+// Fields shared by every application of the same person (optionally propagated on edit).
+// Email is left out: it is how applications are linked to a person, so an edit must not spread.
+const PROFILE_SHARED_FIELDS = [
+  H_ALL.Resume,
+  H_ALL.LinkedIn,
+  H_ALL.Phone,
+  H_ALL.HomeAddress,
+  H_ALL.City,
+  H_ALL.State,
+  H_ALL.Zip,
+];
+
 // ---------- Mirrored Fields (All ↔ Active)
 const MIRRORED_FIELDS = [
   H_ALL.Stage, 
@@ -158,5 +344,7 @@ const MIRRORED_FIELDS = [
   H_ALL.FullName, 
   H_ALL.JobID,
   H_ALL.Created, 
-  H_ALL.HiredDate
+  H_ALL.HiredDate,
+  H_ALL.UID,
+  H_ALL.StageSLA
 ];
\ No newline at end of file
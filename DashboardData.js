@@ -1,5 +1,10 @@
 /** @file DashboardData.gs - Dashboard data foundation with metrics and historical tracking. */
 
+// Column blocks for script-computed sections (to the right of the reference guide in L:N)
+const DASH_SECTION_STAGE_VELOCITY = { col: 16, width: 8, percentCols: [6] };
+const DASH_SECTION_SLA            = { col: 25, width: 7, percentCols: [6] };
+const DASH_SECTION_STALE          = { col: 33, width: 7 };
+
 /**
  * Main setup function - creates dashboard data foundation
  */
@@ -52,7 +57,7 @@ function setupDashboardData() {
   
   // Populate the data sheet
   try {
-    _buildDataSheet(dataSheet, reqHeaderInfo, allHeaderInfo, settingsSheet);
+    _buildDataSheet(dataSheet, reqHeaderInfo, allHeaderInfo);
   } catch (e) {
     logWarn('Failed to build data sheet', { error: e.message });
     ss.toast('Dashboard setup failed. Check SYS_LOGS for details.', 'Error', 10);
@@ -97,7 +102,7 @@ function _validateSheetName(name) {
 /**
  * Builds the complete data sheet with all metrics and historical tracking.
  */
-function _buildDataSheet(dataSheet, reqHeaderInfo, allHeaderInfo, settingsSheet) {
+function _buildDataSheet(dataSheet, reqHeaderInfo, allHeaderInfo) {
   const hmReq = reqHeaderInfo.headerMap;
   const hmAll = allHeaderInfo.headerMap;
   
@@ -126,6 +131,14 @@ function _buildDataSheet(dataSheet, reqHeaderInfo, allHeaderInfo, settingsSheet)
   const allFullNameCol = allSheetName + _colToLetter(hmAll[H_ALL.FullName]) + ":" + _colToLetter(hmAll[H_ALL.FullName]);
   const allJobIdCol = allSheetName + _colToLetter(hmAll[H_ALL.JobID]) + ":" + _colToLetter(hmAll[H_ALL.JobID]);
   
+  // Seat-level fill rate: Positions Filled against Headcount Target (blank target = 1 seat)
+  const reqColRef = (h) => reqSheetName + _colToLetter(hmReq[h]) + ":" + _colToLetter(hmReq[h]);
+  const seatsFilled = hmReq[H_REQ.PositionsFilled] ? `SUM(${reqColRef(H_REQ.PositionsFilled)})` : 'B6';
+  const reqRowsMask = `(${reqJobIdCol}<>"")*(${reqJobIdCol}<>"${H_REQ.JobID}")`;
+  const seatsTarget = hmReq[H_REQ.HeadcountTarget]
+    ? `ARRAYFORMULA(SUMPRODUCT(${reqRowsMask}*IF(ISNUMBER(${reqColRef(H_REQ.HeadcountTarget)}), ${reqColRef(H_REQ.HeadcountTarget)}, 1)))`
+    : `SUMPRODUCT(${reqRowsMask})`;
+  
   // ===== SECTION A: CURRENT METRICS =====
   dataSheet.getRange('A1').setValue('CURRENT METRICS');
   const currentMetrics = [
@@ -201,9 +214,12 @@ function _buildDataSheet(dataSheet, reqHeaderInfo, allHeaderInfo, settingsSheet)
     ['Rejection Rate %', `=IFERROR(B14/B7, 0)`, 'RejectionRate', 'Rejected / Total Candidate Profiles'],
     ['Fill Rate %', `=IFERROR(B16/(B16+B2), 0)`, 'FillRate', 'Filled / (Filled + Open)'],
     ['Time to Hire (Days)', `=B15`, 'TimeToHire', 'Same as Time to Fill Avg'],
+    ['Seat Fill Rate %', `=IFERROR(${seatsFilled}/${seatsTarget}, 0)`, 'SeatFillRate', 'Positions Filled / Headcount Target (all reqs)'],
+    ['Avg Days On Hold (Filled)', hmReq[H_REQ.DaysOnHold] ? `=IFERROR(ROUND(AVERAGE(FILTER(${reqColRef(H_REQ.DaysOnHold)}, ${reqStatusCol}="Hired")), 0), 0)` : '=0', 'AvgDaysOnHold', 'Paused time excluded from Time to Fill'],
   ];
   dataSheet.getRange(conversionStart, 1, conversionMetrics.length, 4).setValues(conversionMetrics);
   dataSheet.getRange(conversionStart + 1, 2, conversionMetrics.length - 1, 1).setNumberFormat('0.0%');
+  dataSheet.getRange(conversionStart + conversionMetrics.length - 1, 2).setNumberFormat('0');
   
   // ===== SECTION E: CANDIDATE FUNNEL =====
   const funnelStart = conversionStart + conversionMetrics.length + 2;
@@ -214,25 +230,8 @@ function _buildDataSheet(dataSheet, reqHeaderInfo, allHeaderInfo, settingsSheet)
   let stageColFound = false;
   
   try {
-    const headerWithBreak = "Candidate\nWorkflow Status";
-    const settingsVals = settingsSheet.getDataRange().getValues();
-    let stageHeaderIdx = settingsVals[0].indexOf(headerWithBreak);
-    
-    if (stageHeaderIdx === -1) {
-      stageHeaderIdx = settingsVals[0].indexOf('Candidate Workflow Status');
-    }
-    
-    if (stageHeaderIdx === -1) {
-      const funnelHeader = Object.keys(allHeaderInfo.headerMap).find(h => h.trim() === H_ALL.Stage.trim());
-      stageHeaderIdx = settingsVals[0].indexOf(funnelHeader);
-    }
-    
-    if (stageHeaderIdx !== -1) {
-      funnelStages = settingsVals.slice(1).map(row => row[stageHeaderIdx]).filter(String);
-      if (funnelStages.length > 0) {
-        stageColFound = true;
-      }
-    }
+    funnelStages = getCandidateStageOrder_();
+    stageColFound = funnelStages.length > 0;
   } catch (e) {
     logWarn('Error reading funnel stages from Settings', { error: e.message });
   }
@@ -289,9 +288,201 @@ function _buildDataSheet(dataSheet, reqHeaderInfo, allHeaderInfo, settingsSheet)
   // ===== DOCUMENTATION SECTION =====
   _addDocumentation(dataSheet);
   
+  // ===== SCRIPT-COMPUTED SECTIONS (refreshed daily) =====
+  _refreshComputedSections_(dataSheet);
+  
   logInfo('Dashboard data sheet built successfully');
 }
 
+/**
+ * Refreshes the script-computed sections of Dashboard_Data.
+ * Installed as a daily trigger; safe to run manually from the menu.
+ */
+function Refresh_Dashboard_Metrics() {
+  return trackHandlerRun_('Refresh_Dashboard_Metrics', () => {
+    const dataSheet = SpreadsheetApp.getActive().getSheetByName(SHEET_DASH_DATA);
+    if (!dataSheet) {
+      logInfo('Dashboard_Data not found - skipping metrics refresh');
+      return 'Dashboard_Data not found';
+    }
+    _refreshComputedSections_(dataSheet);
+    logInfo('Dashboard metrics refreshed');
+  });
+}
+
+/**
+ * Rewrites every script-computed section. Each section owns a fixed column
+ * block to the right of the reference guide, so sections can grow or shrink
+ * without shifting the formula-driven sections and their named ranges.
+ */
+function _refreshComputedSections_(dataSheet) {
+  try {
+    _writeComputedSection_(dataSheet, DASH_SECTION_STAGE_VELOCITY, 'STAGE VELOCITY (from Stage_History)',
+      _buildStageVelocityRows_(readStageHistory_(), getCandidateStageOrder_()));
+  } catch (e) {
+    logWarn('Failed to refresh stage velocity metrics', { error: e.message });
+  }
+  try {
+    _writeComputedSection_(dataSheet, DASH_SECTION_SLA, 'REQUISITION SLA (open reqs)', _buildSlaRows_());
+  } catch (e) {
+    logWarn('Failed to refresh SLA metrics', { error: e.message });
+  }
+  try {
+    _writeComputedSection_(dataSheet, DASH_SECTION_STALE, 'STALE CANDIDATES (past stage SLA)', _buildStaleCandidateRows_());
+  } catch (e) {
+    logWarn('Failed to refresh stale candidates', { error: e.message });
+  }
+}
+
+/**
+ * Clears a section's column block and writes its title, header and rows.
+ * @param {Sheet} dataSheet - The Dashboard_Data sheet
+ * @param {{col: number, width: number, percentCols?: number[]}} section - Column block
+ * @param {string} title - Section title
+ * @param {Array[]} rows - Header row followed by data rows
+ */
+function _writeComputedSection_(dataSheet, section, title, rows) {
+  const { col, width } = section;
+  const maxRows = dataSheet.getMaxRows();
+  dataSheet.getRange(1, col, maxRows, width).clearContent();
+
+  dataSheet.getRange(1, col).setValue(title).setFontWeight('bold');
+  if (!rows.length) return;
+
+  const padded = rows.map(r => r.concat(Array(Math.max(0, width - r.length)).fill('')).slice(0, width));
+  if (padded.length + 1 > maxRows) dataSheet.insertRowsAfter(maxRows, padded.length + 1 - maxRows);
+  dataSheet.getRange(2, col, padded.length, width).setValues(padded);
+  dataSheet.getRange(2, col, 1, width).setFontWeight('bold');
+  for (const pc of (section.percentCols || [])) {
+    if (padded.length > 1) dataSheet.getRange(3, col + pc, padded.length - 1, 1).setNumberFormat('0.0%');
+  }
+}
+
+/**
+ * Computes time-in-stage and stage-to-stage conversion from the stage ledger.
+ *
+ * - Avg/Median Days: completed stints only (entry until the next recorded transition).
+ * - Converted: candidates who entered the stage and later reached any later pipeline stage.
+ * - Dropped Off: transitions from the stage straight into an exit stage (e.g. Rejected).
+ *
+ * @param {Object[]} history - Ledger entries from readStageHistory_()
+ * @param {string[]} stageOrder - Stages in SETTINGS order
+ * @returns {Array[]} Header row followed by one row per pipeline stage
+ */
+function _buildStageVelocityRows_(history, stageOrder) {
+  const header = ['Stage', 'Entered', 'Avg Days', 'Median Days', 'Next Stage', 'Converted', 'Conversion %', 'Dropped Off'];
+  const pipeline = stageOrder.filter(s => !EXIT_STAGES.has(s));
+  if (!pipeline.length) return [header];
+  const order = new Map(pipeline.map((s, i) => [s, i]));
+
+  const byKey = new Map();
+  for (const h of history) {
+    if (!byKey.has(h.key)) byKey.set(h.key, []);
+    byKey.get(h.key).push(h);
+  }
+
+  const durations = new Map(pipeline.map(s => [s, []]));
+  const entered = new Map(pipeline.map(s => [s, 0]));
+  const converted = new Map(pipeline.map(s => [s, 0]));
+  const dropped = new Map(pipeline.map(s => [s, 0]));
+
+  for (const entries of byKey.values()) {
+    entries.sort((a, b) => a.timestamp - b.timestamp);
+
+    for (let i = 0; i < entries.length; i++) {
+      const cur = entries[i];
+      const next = entries[i + 1];
+      if (next && durations.has(cur.to)) {
+        durations.get(cur.to).push((next.timestamp - cur.timestamp) / 86400000);
+      }
+      if (dropped.has(cur.from) && EXIT_STAGES.has(cur.to)) {
+        dropped.set(cur.from, dropped.get(cur.from) + 1);
+      }
+    }
+
+    // First entry into each stage, and the furthest stage reached after it
+    const firstEntry = new Map();
+    entries.forEach((h, i) => { if (order.has(h.to) && !firstEntry.has(h.to)) firstEntry.set(h.to, i); });
+    for (const [stage, idx] of firstEntry) {
+      entered.set(stage, entered.get(stage) + 1);
+      const progressed = entries.slice(idx + 1).some(h => order.has(h.to) && order.get(h.to) > order.get(stage));
+      if (progressed) converted.set(stage, converted.get(stage) + 1);
+    }
+  }
+
+  const round1 = n => Math.round(n * 10) / 10;
+  const rows = pipeline.map((stage, i) => {
+    const d = durations.get(stage);
+    const avg = d.length ? round1(d.reduce((a, b) => a + b, 0) / d.length) : '';
+    const median = d.length ? round1(_median_(d)) : '';
+    const n = entered.get(stage);
+    const isLast = i === pipeline.length - 1;
+    return [
+      stage,
+      n,
+      avg,
+      median,
+      isLast ? '' : pipeline[i + 1],
+      isLast ? '' : converted.get(stage),
+      isLast || !n ? '' : converted.get(stage) / n,
+      dropped.get(stage),
+    ];
+  });
+  return [header].concat(rows);
+}
+
+/**
+ * Counts open requisitions per recruiter and priority by SLA Status
+ * (as last set by Recompute_DaysOpen_Rows_), with a total row.
+ * @returns {Array[]} Header row followed by one row per recruiter/priority
+ */
+function _buildSlaRows_() {
+  const header = ['Recruiter', 'Priority', 'Open Reqs', SLA_STATUS.ON_TRACK, SLA_STATUS.AT_RISK, SLA_STATUS.BREACHED, 'Breached %'];
+  const req = SpreadsheetApp.getActive().getSheetByName(SHEET_REQUISITIONS);
+  const headerInfo = req && getHeaderInfo(req, ANCHOR_HEADER_REQ);
+  if (!headerInfo || !headerInfo.headerMap[H_REQ.SLAStatus]) return [header];
+
+  const { headerMap: hm, dataStartRow } = headerInfo;
+  const last = req.getLastRow();
+  if (last < dataStartRow) return [header];
+  const values = req.getRange(dataStartRow, 1, last - dataStartRow + 1, req.getLastColumn()).getValues();
+  const cell = (r, h) => hm[h] ? _normStr_(r[hm[h] - 1]) : '';
+
+  const groups = new Map();
+  const total = { recruiter: 'All', priority: 'All', open: 0, counts: {} };
+  for (const r of values) {
+    if (!cell(r, H_REQ.JobID) || !OPEN_STATUSES.has(cell(r, H_REQ.JobStatus))) continue;
+    const recruiter = cell(r, H_REQ.JobOwner) || 'Unassigned';
+    const priority = cell(r, H_REQ.Priority) || 'No Priority';
+    const key = `${recruiter}|${priority}`;
+    if (!groups.has(key)) groups.set(key, { recruiter, priority, open: 0, counts: {} });
+    const sla = cell(r, H_REQ.SLAStatus);
+    for (const g of [groups.get(key), total]) {
+      g.open++;
+      if (sla) g.counts[sla] = (g.counts[sla] || 0) + 1;
+    }
+  }
+
+  const toRow = (g) => {
+    const breached = g.counts[SLA_STATUS.BREACHED] || 0;
+    return [g.recruiter, g.priority, g.open, g.counts[SLA_STATUS.ON_TRACK] || 0,
+      g.counts[SLA_STATUS.AT_RISK] || 0, breached, g.open ? breached / g.open : 0];
+  };
+  const rows = Array.from(groups.values())
+    .sort((a, b) => a.recruiter.localeCompare(b.recruiter) || a.priority.localeCompare(b.priority))
+    .map(toRow);
+  return [header].concat(rows, rows.length ? [toRow(total)] : []);
+}
+
+/**
+ * Returns the median of a numeric array.
+ */
+function _median_(nums) {
+  const sorted = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
 /**
  * Adds comprehensive documentation to the data sheet.
  */
@@ -392,6 +583,8 @@ function _createNamedRanges(ss, dataSheet) {
     {name: 'RejectionRate', cell: 'B52'},
     {name: 'FillRate', cell: 'B53'},
     {name: 'TimeToHire', cell: 'B54'},
+    {name: 'SeatFillRate', cell: 'B55'},
+    {name: 'AvgDaysOnHold', cell: 'B56'},
   ];
   
   let successCount = 0;
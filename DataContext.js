@@ -0,0 +1,286 @@
+/** @file DataContext.gs - Request-scoped, in-memory view of the data sheets with batched writes. */
+
+// Context shared by everything running inside withDataContext_ (one per execution)
+let _dataContext = null;
+
+/**
+ * Runs fn with a data context. Nested calls share the outermost context,
+ * which flushes its pending writes when it finishes (even on error).
+ * Code inside the scope that writes to a loaded sheet directly must call
+ * ctx.refresh(sheetName) afterwards so later reads see its changes.
+ * @param {function(Object): *} fn - Receives the context
+ * @returns {*} Whatever fn returns
+ */
+function withDataContext_(fn) {
+  if (_dataContext) return fn(_dataContext);
+
+  _dataContext = _createDataContext_();
+  try {
+    return fn(_dataContext);
+  } finally {
+    const ctx = _dataContext;
+    _dataContext = null;
+    ctx.flush();
+  }
+}
+
+/**
+ * Flushes and drops a sheet from the active context, if any. Used after
+ * structural changes (inserted columns, direct writes) made outside the context.
+ * @param {string} sheetName - Sheet to refresh (all sheets when omitted)
+ */
+function refreshDataContext_(sheetName) {
+  if (_dataContext) _dataContext.refresh(sheetName);
+}
+
+/**
+ * Creates a data context: sheets are read once on first use and kept in memory.
+ * @returns {{table: function(string, string): Object, flush: function(), refresh: function(string=)}}
+ */
+function _createDataContext_() {
+  const tables = new Map();
+  return {
+    /**
+     * Returns the in-memory table for a sheet, loading it on first use.
+     * @param {string} sheetName - Sheet name
+     * @param {string} anchor - Anchor header used to locate the header row
+     * @returns {Object|null} Table, or null when the sheet or headers are missing
+     */
+    table(sheetName, anchor) {
+      if (!tables.has(sheetName)) tables.set(sheetName, _loadSheetTable_(sheetName, anchor));
+      return tables.get(sheetName);
+    },
+    /** Writes all pending changes. */
+    flush() {
+      tables.forEach(t => { if (t) t.flush(); });
+    },
+    /** Writes pending changes and forgets the sheet(s) so the next read reloads them. */
+    refresh(sheetName) {
+      for (const name of sheetName ? [sheetName] : Array.from(tables.keys())) {
+        const t = tables.get(name);
+        if (t) t.flush();
+        tables.delete(name);
+      }
+    },
+  };
+}
+
+/**
+ * Reads a data sheet into memory.
+ *
+ * Reads are served from memory; writes update memory at once and are queued
+ * until flush(), which writes each column's runs of consecutive changed rows
+ * with one setValues call. Formulas and rich-text links are only read when
+ * first needed.
+ *
+ * @param {string} sheetName - Sheet name
+ * @param {string} anchor - Anchor header
+ * @returns {Object|null} Table
+ */
+function _loadSheetTable_(sheetName, anchor) {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(sheetName);
+  const headerInfo = sheet && getHeaderInfo(sheet, anchor);
+  if (!headerInfo) return null;
+
+  const hm = headerInfo.headerMap;
+  const dataStartRow = headerInfo.dataStartRow;
+  const width = Math.max(sheet.getLastColumn(), ...Object.values(hm));
+  let lastRow = Math.max(sheet.getLastRow(), dataStartRow - 1);
+  const values = lastRow >= dataStartRow
+    ? sheet.getRange(dataStartRow, 1, lastRow - dataStartRow + 1, width).getValues()
+    : [];
+
+  let formulas = null;
+  const richText = new Map();
+  let rowObjs = null;
+  let candIdx = null;
+  let reqIdx = null;
+  const pending = new Map(); // row -> Map(col -> value)
+  const keyHeaders = new Set([H_ALL.JobID, H_ALL.Email, H_ALL.UID, H_REQ.JobID]);
+
+  const inData = (row) => row >= dataStartRow && row <= lastRow;
+
+  // Queues a write; memory gets the displayed value (the label, for formulas)
+  const queue = (row, header, written, shown) => {
+    const col = hm[header];
+    const i = row - dataStartRow;
+    const obj = table.rowObject(row);
+    if (keyHeaders.has(header) && !_valsEqual_(obj[header], shown)) candIdx = reqIdx = null;
+    values[i][col - 1] = shown;
+    obj[header] = shown;
+    if (formulas) formulas[i][col - 1] = written !== shown ? written : '';
+    richText.delete(col);
+    if (!pending.has(row)) pending.set(row, new Map());
+    pending.get(row).set(col, written);
+  };
+  const getFormulas = () => {
+    if (!formulas) {
+      formulas = values.length ? sheet.getRange(dataStartRow, 1, values.length, width).getFormulas() : [];
+    }
+    return formulas;
+  };
+
+  const table = {
+    sheet,
+    headerInfo,
+    headerMap: hm,
+    dataStartRow,
+    lastRow: () => lastRow,
+
+    /** Row object keyed by header, or {} outside the data area. */
+    rowObject(row) {
+      if (!inData(row)) return {};
+      return table.rows()[row - dataStartRow].data;
+    },
+
+    /** Every data row as {row, data}; data objects are live (updated by set). */
+    rows() {
+      if (!rowObjs) rowObjs = rowObjectsFromValues_(values, hm, dataStartRow);
+      return rowObjs;
+    },
+
+    /** Same shape as buildCandidateIndex, served from memory. */
+    candidateIndex() {
+      if (!candIdx) candIdx = indexCandidateRows_(table.rows());
+      return candIdx;
+    },
+
+    /** Same shape as buildReqIndex, served from memory. */
+    reqIndex() {
+      if (!reqIdx) reqIdx = indexReqRows_(table.rows());
+      return reqIdx;
+    },
+
+    /** Formula in a cell ('' when none). */
+    formula(row, header) {
+      if (!inData(row) || !hm[header]) return '';
+      return getFormulas()[row - dataStartRow][hm[header] - 1] || '';
+    },
+
+    /** URL behind a cell: rich-text link, HYPERLINK formula or plain URL text. */
+    url(row, header) {
+      if (!inData(row) || !hm[header]) return '';
+      const f = table.formula(row, header);
+      const m = f && f.match(/^=HYPERLINK\(\s*"([^"]+)"/i);
+      if (m) return m[1];
+
+      const col = hm[header];
+      if (!richText.has(col)) {
+        richText.set(col, values.length ? sheet.getRange(dataStartRow, col, values.length, 1).getRichTextValues() : []);
+      }
+      const rtv = (richText.get(col)[row - dataStartRow] || [])[0];
+      const link = rtv && rtv.getLinkUrl();
+      if (link) return String(link);
+
+      const v = values[row - dataStartRow][col - 1];
+      return typeof v === 'string' && /^https?:\/\//i.test(v) ? v.trim() : '';
+    },
+
+    /** Queues updates for a row (header -> value). Unknown headers are ignored. */
+    set(row, updates) {
+      if (!inData(row)) return;
+      for (const [header, value] of Object.entries(updates)) {
+        if (hm[header]) queue(row, header, value, value);
+      }
+    },
+
+    /**
+     * Queues a HYPERLINK formula (see setHyperlink) unless the cell already
+     * holds the same one. Memory keeps the label as the cell's value, as the
+     * sheet would display it.
+     * @returns {boolean} False when the URL was rejected
+     */
+    setLink(row, header, url, label) {
+      if (!inData(row) || !hm[header]) return false;
+      const formula = hyperlinkFormula_(url, label, sheetName, row, hm[header]);
+      if (!formula) return false;
+      if (table.formula(row, header) !== formula) queue(row, header, formula, label);
+      return true;
+    },
+
+    /**
+     * Appends a row at the bottom of the sheet, copying the last row's formatting,
+     * and queues its values.
+     * @param {Object} obj - Header -> value
+     * @returns {number} The new row number
+     */
+    appendRow(obj) {
+      const template = lastRow >= dataStartRow ? { type: 'row', row: lastRow } : captureTemplateFormat(sheet, dataStartRow);
+      const after = Math.max(lastRow, headerInfo.headerRow);
+      sheet.insertRowAfter(after);
+      applyTemplateFormat(sheet, template, after + 1);
+
+      lastRow = after + 1;
+      values.push(Array(width).fill(''));
+      if (formulas) formulas.push(Array(width).fill(''));
+      richText.clear();
+      if (rowObjs) rowObjs.push(rowObjectsFromValues_([values[values.length - 1]], hm, lastRow)[0]);
+
+      // Extend the candidate index in place rather than rebuilding it per append
+      const built = candIdx;
+      table.set(lastRow, obj);
+      if (built) {
+        addToCandidateIndex_(built, table.rows()[lastRow - dataStartRow]);
+        candIdx = built;
+      }
+      reqIdx = null;
+      return lastRow;
+    },
+
+    /**
+     * Deletes rows with one sheet.deleteRows call per run of consecutive rows,
+     * from the bottom up, so formulas, formatting, notes and validation stay
+     * attached to the rows that remain.
+     * @param {number[]} rowsToDelete - Row numbers
+     * @returns {number} Number of rows deleted
+     */
+    deleteRows(rowsToDelete) {
+      const doomed = Array.from(new Set(rowsToDelete.filter(inData))).sort((a, b) => b - a);
+      if (!doomed.length) return 0;
+      table.flush();
+
+      let i = 0;
+      while (i < doomed.length) {
+        let j = i;
+        while (j + 1 < doomed.length && doomed[j + 1] === doomed[j] - 1) j++;
+        const start = doomed[j];
+        const count = j - i + 1;
+        sheet.deleteRows(start, count);
+        values.splice(start - dataStartRow, count);
+        i = j + 1;
+      }
+
+      lastRow -= doomed.length;
+      formulas = null;
+      richText.clear();
+      rowObjs = candIdx = reqIdx = null;
+      return doomed.length;
+    },
+
+    /** Writes queued values: one setValues per run of consecutive rows in a column. */
+    flush() {
+      if (!pending.size) return;
+      const byCol = new Map();
+      pending.forEach((cols, row) => cols.forEach((value, col) => {
+        if (!byCol.has(col)) byCol.set(col, []);
+        byCol.get(col).push([row, value]);
+      }));
+      pending.clear();
+
+      let writes = 0;
+      byCol.forEach((cells, col) => {
+        cells.sort((a, b) => a[0] - b[0]);
+        let start = 0;
+        for (let i = 1; i <= cells.length; i++) {
+          if (i < cells.length && cells[i][0] === cells[i - 1][0] + 1) continue;
+          const run = cells.slice(start, i);
+          sheet.getRange(run[0][0], col, run.length, 1).setValues(run.map(c => [c[1]]));
+          writes++;
+          start = i;
+        }
+      });
+      if (writes > 20) logInfo('Data context flushed', { sheet: sheetName, writes });
+    },
+  };
+  return table;
+}
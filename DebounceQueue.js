@@ -1,283 +1,95 @@
-/** @file DebounceQueue.gs - Debounced queues for reconciliation and link hygiene. */
+/** @file DebounceQueue.gs - Debounced reconciliation and link hygiene, run as task-queue tasks. */
+
+// Trigger handlers of the queues that predate the task queue
+const LEGACY_QUEUE_HANDLERS = ['Debounced_Reconcile_', 'Debounced_LinkHygiene_'];
 
 /**
- * Adds Job IDs to a queue with race condition protection.
- * @param {string[]} jobIds - Array of Job IDs to process
+ * Queues a Days Open recompute and Active reconciliation for Job IDs. Calls
+ * within DEBOUNCE_RECONCILE_MS of the first are combined into one run.
+ * @param {string[]} jobIds - Array of Job IDs to process (['all'] for every candidate)
  */
 function enqueueAndSchedule_Reconcile(jobIds) {
-  // Use a mini-lock for queue operations to prevent race conditions
-  const scriptLock = LockService.getScriptLock();
-  const gotLock = scriptLock.tryLock(2000);
-  
-  if (!gotLock) {
-    logWarn('Could not acquire queue lock, skipping enqueue', { jobIds });
+  if (jobIds.includes('all')) {
+    enqueueTask_(TASK_TYPES.RECONCILE, { all: true }, DEBOUNCE_RECONCILE_MS);
     return;
   }
-  
-  try {
-    const dp = PropertiesService.getDocumentProperties();
-    const key = PROP_QUEUE_JOBIDS;
-
-    // If a full resync is already queued ('all'), we don't need to add specific IDs.
-    const existing = dp.getProperty(key);
-    if (existing === 'all') {
-      _scheduleReconcileTrigger();
-      return;
-    }
-    
-    // Parse existing queue atomically
-    let existingIds = [];
-    try {
-      existingIds = JSON.parse(existing || '[]');
-      if (!Array.isArray(existingIds)) {
-        logWarn('Queue corrupted, resetting', { existing });
-        existingIds = [];
-      }
-    } catch (e) {
-      logWarn('Queue parse error, resetting', { existing, error: e.message });
-      existingIds = [];
-    }
-    
-    // Add new job IDs to the existing queue, ensuring uniqueness
-    const newIdSet = new Set([...existingIds, ...jobIds]);
-    
-    // Write atomically
-    try {
-      dp.setProperty(key, JSON.stringify(Array.from(newIdSet)));
-    } catch (e) {
-      logWarn('Failed to update queue', { error: e.message });
-      return;
-    }
-
-    _scheduleReconcileTrigger();
-  } finally {
-    scriptLock.releaseLock();
-  }
-}
-
-/**
- * Worker function that processes the queued reconciliation.
- */
-function Debounced_Reconcile_() {
-  withLock(() => {
-    const dp = PropertiesService.getDocumentProperties();
-    const key = PROP_QUEUE_JOBIDS;
-    const scheduledKey = PROP_QUEUE_SCHEDULED;
-    
-    try {
-      const jobIdsRaw = dp.getProperty(key);
-      if (!jobIdsRaw) {
-        logInfo('Queue empty, nothing to reconcile', {});
-        return;
-      }
-
-      if (jobIdsRaw === 'all') {
-        logInfo('Running debounced Full Resync.', {});
-        reconcileActiveMembership_All_();
-      } else {
-        let jobIds = [];
-        try {
-          jobIds = JSON.parse(jobIdsRaw);
-        } catch (e) {
-          logWarn('Could not parse queue, skipping reconcile', { jobIdsRaw, error: e.message });
-          return;
-        }
-        
-        if (!Array.isArray(jobIds) || jobIds.length === 0) {
-          logInfo('Queue empty or invalid, nothing to reconcile', { jobIdsRaw });
-          return;
-        }
-
-        logInfo('Running debounced reconcile', { jobIds: jobIds, count: jobIds.length });
-        
-        // Improved Days Open recompute
-        try {
-          const ss = SpreadsheetApp.getActive();
-          const reqSheet = ss.getSheetByName(SHEET_REQUISITIONS);
-          if (reqSheet) {
-            const reqHeaderInfo = getHeaderInfo(reqSheet, ANCHOR_HEADER_REQ);
-            if (reqHeaderInfo) {
-              const { idx } = buildReqIndex(reqSheet, reqHeaderInfo.headerMap, reqHeaderInfo.dataStartRow);
-              const rowsToUpdate = jobIds.map(id => idx.get(id)).filter(Boolean);
-              if (rowsToUpdate.length > 0) {
-                Recompute_DaysOpen_Rows_(rowsToUpdate);
-              }
-            }
-          }
-        } catch (e) {
-          logWarn('Days Open recompute failed', { error: e.message });
-        }
-
-        // Run reconciliation
-        try {
-          reconcileActiveMembership_ByJobIds_(jobIds);
-        } catch (e) {
-          logWarn('Reconciliation failed', { error: e.message, jobIds });
-        }
-      }
-    } catch (e) {
-      logWarn('Debounced_Reconcile_ failed', { error: e.message });
-    } finally {
-      // Always clean up, even if errors occurred
-      try {
-        dp.deleteProperty(key);
-        dp.deleteProperty(scheduledKey);
-        _deleteReconcileTrigger();
-      } catch (e) {
-        logWarn('Cleanup failed', { error: e.message });
-      }
-    }
-  }, 8000); // Longer timeout for reconciliation
+  enqueueTask_(TASK_TYPES.DAYS_OPEN, { jobIds }, DEBOUNCE_RECONCILE_MS);
+  enqueueTask_(TASK_TYPES.RECONCILE, { jobIds }, DEBOUNCE_RECONCILE_MS);
 }
 
 /**
- * Schedules a reconcile trigger with duplicate prevention.
+ * Task handler: recomputes Days Open for the requisitions of the given Job IDs.
+ * @param {{jobIds: string[]}} payload - Job IDs
  */
-function _scheduleReconcileTrigger() {
-  const dp = PropertiesService.getDocumentProperties();
-  const scheduledKey = PROP_QUEUE_SCHEDULED;
+function _runDaysOpenTask_(payload) {
+  const reqSheet = SpreadsheetApp.getActive().getSheetByName(SHEET_REQUISITIONS);
+  const reqHeaderInfo = reqSheet && getHeaderInfo(reqSheet, ANCHOR_HEADER_REQ);
+  if (!reqHeaderInfo) return;
 
-  // Clean up any orphaned triggers before scheduling
-  _cleanupOrphanedTriggers_('Debounced_Reconcile_');
-  
-  // Check if already scheduled to prevent duplicate triggers
-  const existingTriggerId = dp.getProperty(scheduledKey);
-  if (existingTriggerId) {
-    // Verify trigger still exists
-    const triggers = ScriptApp.getProjectTriggers();
-    const triggerExists = triggers.some(t => t.getUniqueId() === existingTriggerId);
-    if (triggerExists) {
-      logInfo('Reconcile trigger already scheduled', { triggerId: existingTriggerId });
-      return;
-    } else {
-      // Orphaned trigger ID - clean up
-      dp.deleteProperty(scheduledKey);
-      logInfo('Removed orphaned trigger ID from properties', { triggerId: existingTriggerId });
-    }
-  }
-
-  try {
-    const trigger = ScriptApp.newTrigger('Debounced_Reconcile_')
-      .timeBased()
-      .after(DEBOUNCE_RECONCILE_MS)
-      .create();
-
-    dp.setProperty(scheduledKey, trigger.getUniqueId());
-    logInfo('Scheduled reconcile trigger', { triggerId: trigger.getUniqueId() });
-  } catch (e) {
-    // Check if this is an authorization error
-    if (typeof isAuthorizationError === 'function' && isAuthorizationError(e.message)) {
-      logWarn('Cannot schedule trigger - Script Triggers permission not granted. ' +
-              'Background sync is disabled. Grant permission via System Admin > Authorization.',
-              { error: e.message });
-    } else {
-      logWarn('Failed to schedule trigger', { error: e.message });
-    }
+  const { idx } = buildReqIndex(reqSheet, reqHeaderInfo.headerMap, reqHeaderInfo.dataStartRow);
+  const rowsToUpdate = (payload.jobIds || []).map(id => idx.get(id)).filter(Boolean);
+  if (rowsToUpdate.length > 0) {
+    Recompute_DaysOpen_Rows_(rowsToUpdate);
   }
 }
 
 /**
- * Deletes the scheduled reconcile trigger.
+ * Task handler: reconciles Active Candidates for the given Job IDs, or for
+ * every candidate.
+ * @param {{jobIds: string[], all: boolean}} payload - Job IDs, or all: true
  */
-function _deleteReconcileTrigger() {
-  const dp = PropertiesService.getDocumentProperties();
-  const scheduledKey = PROP_QUEUE_SCHEDULED;
-  const triggerId = dp.getProperty(scheduledKey);
-  if (!triggerId) return;
-
-  try {
-    const triggers = ScriptApp.getProjectTriggers();
-    let deleted = false;
-    
-    for (const trigger of triggers) {
-      if (trigger.getUniqueId() === triggerId) {
-        ScriptApp.deleteTrigger(trigger);
-        deleted = true;
-        break;
-      }
-    }
-    
-    if (deleted) {
-      logInfo('Deleted reconcile trigger', { triggerId });
-    }
-  } catch (e) {
-    logWarn('Failed to delete trigger', { error: e.message, triggerId });
-  } finally {
-    dp.deleteProperty(scheduledKey);
+function _runReconcileTask_(payload) {
+  if (payload.all) {
+    logInfo('Running debounced Full Resync.', {});
+    reconcileActiveMembership_All_();
+    return;
   }
+  const jobIds = payload.jobIds || [];
+  if (!jobIds.length) {
+    logInfo('Queue empty, nothing to reconcile', {});
+    return;
+  }
+  logInfo('Running debounced reconcile', { jobIds: jobIds, count: jobIds.length });
+  reconcileActiveMembership_ByJobIds_(jobIds);
 }
 
-
 /**
- * Schedules link hygiene with duplicate prevention.
+ * Schedules link hygiene for the cells flagged with StateManager.markLinkDirty.
  */
 function scheduleDebouncedLinkHygiene_() {
-  const dp = PropertiesService.getDocumentProperties();
-  const key = 'ATS:queue:link:scheduled';
-
-  // Clean up any orphaned link hygiene triggers
-  _cleanupOrphanedTriggers_('Debounced_LinkHygiene_');
-  
-  // Check if already scheduled
-  const existing = dp.getProperty(key);
-  if (existing) {
-    const scheduledTime = Number(existing);
-    const now = Date.now();
-    // If scheduled less than 2 seconds ago, don't schedule again
-    if (!isNaN(scheduledTime) && (now - scheduledTime) < 2000) {
-      return;
-    }
-  }
-  
-  try {
-    ScriptApp.newTrigger('Debounced_LinkHygiene_').timeBased().after(DEBOUNCE_LINK_HYGIENE_MS).create();
-    dp.setProperty(key, String(Date.now()));
-    logInfo('Scheduled Debounced_LinkHygiene_', {});
-  } catch (e) {
-    logWarn('Failed to schedule link hygiene', { error: e.message });
-  }
+  enqueueTask_(TASK_TYPES.LINK_HYGIENE, {}, DEBOUNCE_LINK_HYGIENE_MS);
 }
 
 /**
- * Worker function that processes dirty link cleanup.
+ * Task handler: normalizes every link cell flagged dirty. Flags of blocks that
+ * could not be normalized stay set, and the task fails so it is retried.
  */
-function Debounced_LinkHygiene_() {
-  withLock(() => {
-    const dp = PropertiesService.getDocumentProperties();
-    const key = 'ATS:queue:link:scheduled';
-    
-    try {
-      _consumeLinkDirtySet_(SHEET_ALL, H_ALL.Resume, 'Resume');
-      _consumeLinkDirtySet_(SHEET_ALL, H_ALL.LinkedIn, 'LinkedIn Profile');
-      _consumeLinkDirtySet_(SHEET_ACTIVE, H_ACT.Resume, 'Resume');
-      _consumeLinkDirtySet_(SHEET_ACTIVE, H_ACT.LinkedIn, 'LinkedIn Profile');
-
-      // Check if more work remains
-      if (_hasAnyLinkDirty_()) {
-        scheduleDebouncedLinkHygiene_();
-      }
-    } catch (e) {
-      logWarn('Link hygiene failed', { error: e.message });
-    } finally {
-      dp.deleteProperty(key);
-    }
-  }, 5000);
+function _runLinkHygieneTask_() {
+  const failed =
+    _consumeLinkDirtySet_(SHEET_ALL, H_ALL.Resume, 'Resume') +
+    _consumeLinkDirtySet_(SHEET_ALL, H_ALL.LinkedIn, 'LinkedIn Profile') +
+    _consumeLinkDirtySet_(SHEET_ACTIVE, H_ACT.Resume, 'Resume') +
+    _consumeLinkDirtySet_(SHEET_ACTIVE, H_ACT.LinkedIn, 'LinkedIn Profile');
+  if (failed) throw new Error(`Link normalization failed for ${failed} block(s)`);
 }
 
 /**
  * Processes dirty links for a specific sheet and header with batching.
+ * Flags are cleared once their block is normalized.
+ * @returns {number} Number of blocks that failed
  */
 function _consumeLinkDirtySet_(sheetName, header, label) {
   const ss = SpreadsheetApp.getActive();
   const sh = ss.getSheetByName(sheetName);
-  if (!sh) return;
+  if (!sh) return 0;
 
   const headerInfo = getHeaderInfo(sh, getAnchorForSheet(sheetName));
-  if (!headerInfo || !headerInfo.headerMap[header]) return;
+  if (!headerInfo || !headerInfo.headerMap[header]) return 0;
 
   const col = headerInfo.headerMap[header];
   const dirtyProps = StateManager.getDirtyLinkProperties();
   const prefix = `ATS:linkdirty:${sheetName}:${header}:`;
+  const keyFor = (row) => `${prefix}${row}`;
   
   const rowsToProcess = [];
   for (const key in dirtyProps) {
@@ -285,16 +97,18 @@ function _consumeLinkDirtySet_(sheetName, header, label) {
       const row = Number(key.substring(prefix.length));
       if (!isNaN(row) && row >= headerInfo.dataStartRow) {
         rowsToProcess.push(row);
+      } else {
+        StateManager.deleteLinkDirtyProperty(key);
       }
-      StateManager.deleteLinkDirtyProperty(key);
     }
   }
 
-  if (rowsToProcess.length === 0) return;
+  if (rowsToProcess.length === 0) return 0;
 
   // Batch process contiguous rows
   rowsToProcess.sort((a, b) => a - b);
   
+  let failed = 0;
   let i = 0;
   while (i < rowsToProcess.length) {
     const startRow = rowsToProcess[i];
@@ -309,7 +123,9 @@ function _consumeLinkDirtySet_(sheetName, header, label) {
     // Process this block
     try {
       _normalizeColumnLinks_URLOnly_(sh, col, startRow, endRow, label);
+      for (let row = startRow; row <= endRow; row++) StateManager.deleteLinkDirtyProperty(keyFor(row));
     } catch (e) {
+      failed++;
       logWarn('Link normalization failed for block', { 
         sheet: sheetName, 
         startRow, 
@@ -320,6 +136,7 @@ function _consumeLinkDirtySet_(sheetName, header, label) {
     
     i++;
   }
+  return failed;
 }
 
 /**
@@ -331,50 +148,134 @@ function _hasAnyLinkDirty_() {
 }
 
 /**
- * Cleans up orphaned triggers for a specific function.
- * Triggers are considered orphaned if they exist but are not tracked in properties
+ * Handler of reconcile triggers scheduled before the task queue existed:
+ * moves their queue onto the task queue and runs it.
+ */
+function Debounced_Reconcile_() {
+  _retireLegacyQueue_('Debounced_Reconcile_');
+  Process_Task_Queue_();
+}
+
+/**
+ * Handler of link hygiene triggers scheduled before the task queue existed:
+ * queues the flagged links on the task queue and runs it.
+ */
+function Debounced_LinkHygiene_() {
+  _retireLegacyQueue_('Debounced_LinkHygiene_');
+  Process_Task_Queue_();
+}
+
+/**
+ * Deletes the triggers of a pre-task-queue handler and moves the work those
+ * queues held onto the task queue.
+ * @param {string} handlerFunction - Legacy trigger handler
+ */
+function _retireLegacyQueue_(handlerFunction) {
+  try {
+    for (const trigger of ScriptApp.getProjectTriggers()) {
+      if (trigger.getHandlerFunction() === handlerFunction) ScriptApp.deleteTrigger(trigger);
+    }
+  } catch (e) {
+    logWarn('Failed to delete legacy queue triggers', { function: handlerFunction, error: e.message });
+  }
+  _migrateLegacyQueues_();
+}
+
+/**
+ * Moves work left in the pre-task-queue stores (reconcile Job ID list,
+ * link-dirty flags) onto the task queue, due at once.
+ */
+function _migrateLegacyQueues_() {
+  const legacy = StateManager.getProperty(PROP_QUEUE_JOBIDS);
+  if (legacy) {
+    let jobIds = [];
+    try {
+      jobIds = legacy === 'all' ? ['all'] : JSON.parse(legacy);
+    } catch (e) {
+      logWarn('Could not parse legacy queue, skipping reconcile', { legacy, error: e.message });
+    }
+    if (Array.isArray(jobIds) && jobIds.length) {
+      if (jobIds.includes('all')) {
+        enqueueTask_(TASK_TYPES.RECONCILE, { all: true }, 0);
+      } else {
+        enqueueTask_(TASK_TYPES.DAYS_OPEN, { jobIds }, 0);
+        enqueueTask_(TASK_TYPES.RECONCILE, { jobIds }, 0);
+      }
+    }
+    StateManager.deleteProperty(PROP_QUEUE_JOBIDS);
+  }
+  StateManager.deleteProperty(PROP_QUEUE_SCHEDULED);
+  StateManager.deleteProperty('ATS:queue:link:scheduled');
+  if (_hasAnyLinkDirty_()) enqueueTask_(TASK_TYPES.LINK_HYGIENE, {}, 0);
+}
+
+/**
+ * IDs of the triggers a one-shot handler is expected to have, from the
+ * properties that track them.
+ * @param {string} handlerFunction - Trigger handler name
+ * @returns {string[]|null} Tracked trigger IDs, or null when the handler is not a one-shot handler
+ */
+function _trackedTriggerIds_(handlerFunction) {
+  switch (handlerFunction) {
+    case 'Process_Task_Queue_': {
+      const scheduled = _getTaskWorkerSchedule_();
+      return scheduled ? [scheduled.id] : [];
+    }
+    case 'Replay_Queued_Edits_':
+      return [StateManager.getProperty(PROP_EDIT_QUEUE_SCHEDULED)].filter(Boolean);
+    case 'Resume_Jobs_': {
+      const cursor = StateManager.getJobCursor(JOB_FULL_RESYNC);
+      return cursor && cursor.triggerId ? [cursor.triggerId] : [];
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Why a trigger counts as orphaned, if it does: its handler no longer exists,
+ * it belongs to a pre-task-queue handler, or it is a one-shot trigger that no
+ * property tracks.
+ * @param {string} handlerFunction - Trigger handler name
+ * @param {string} triggerId - Trigger unique ID
+ * @param {string[]|null} tracked - IDs from _trackedTriggerIds_(handlerFunction)
+ * @returns {string} Reason, or '' when the trigger is not orphaned
+ */
+function _orphanedTriggerReason_(handlerFunction, triggerId, tracked) {
+  if (typeof globalThis[handlerFunction] !== 'function') return 'handler no longer exists';
+  if (LEGACY_QUEUE_HANDLERS.includes(handlerFunction)) return 'replaced by the task queue';
+  if (tracked && !tracked.includes(triggerId)) return 'not tracked';
+  return '';
+}
+
+/**
+ * Cleans up orphaned triggers for a specific function (see _orphanedTriggerReason_).
+ * Triggers of the pre-task-queue handlers are retired and their work moved
+ * onto the task queue.
  * @param {string} handlerFunction - The handler function name to clean up
+ * @returns {number} Number of triggers deleted
  */
 function _cleanupOrphanedTriggers_(handlerFunction) {
+  let cleanedCount = 0;
   try {
-    const triggers = ScriptApp.getProjectTriggers();
-    const dp = PropertiesService.getDocumentProperties();
-    
-    // Get tracked trigger IDs
-    const trackedIds = new Set();
-    if (handlerFunction === 'Debounced_Reconcile_') {
-      const id = dp.getProperty(PROP_QUEUE_SCHEDULED);
-      if (id) trackedIds.add(id);
-    } else if (handlerFunction === 'Debounced_LinkHygiene_') {
-      const key = 'ATS:queue:link:scheduled';
-      const timestamp = dp.getProperty(key);
-      // For link hygiene, we track by timestamp, so we can't directly match trigger IDs
-      // We'll just check if the trigger was created recently
+    const triggers = ScriptApp.getProjectTriggers().filter(t => t.getHandlerFunction() === handlerFunction);
+    if (!triggers.length) return 0;
+
+    if (LEGACY_QUEUE_HANDLERS.includes(handlerFunction)) {
+      _retireLegacyQueue_(handlerFunction);
+      logInfo('Retired legacy queue triggers', { function: handlerFunction, cleaned: triggers.length });
+      return triggers.length;
     }
-    
-    let cleanedCount = 0;
-    const now = new Date().getTime();
-    const maxAge = 5 * 60 * 1000; // 5 minutes in milliseconds
-    
+
+    // Get tracked trigger IDs
+    const tracked = _trackedTriggerIds_(handlerFunction);
     for (const trigger of triggers) {
-      if (trigger.getHandlerFunction() === handlerFunction) {
-        const triggerId = trigger.getUniqueId();
-        
-        // For reconcile triggers, check if tracked
-        if (handlerFunction === 'Debounced_Reconcile_' && !trackedIds.has(triggerId)) {
-          // Check if trigger is old (created more than 5 minutes ago suggests it's stuck)
-          const triggerAge = now - trigger.getTriggerSource();
-          if (triggerAge > maxAge) {
-            ScriptApp.deleteTrigger(trigger);
-            cleanedCount++;
-            logInfo('Cleaned up orphaned trigger', { 
-              function: handlerFunction, 
-              triggerId,
-              ageMinutes: Math.round(triggerAge / 60000)
-            });
-          }
-        }
-      }
+      const triggerId = trigger.getUniqueId();
+      const reason = _orphanedTriggerReason_(handlerFunction, triggerId, tracked);
+      if (!reason) continue;
+      ScriptApp.deleteTrigger(trigger);
+      cleanedCount++;
+      logInfo('Cleaned up orphaned trigger', { function: handlerFunction, triggerId, reason });
     }
     
     if (cleanedCount > 0) {
@@ -389,4 +290,5 @@ function _cleanupOrphanedTriggers_(handlerFunction) {
       error: e.message 
     });
   }
-}
\ No newline at end of file
+  return cleanedCount;
+}
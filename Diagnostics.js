@@ -27,8 +27,69 @@ function Diagnose_Setup() {
     logInfo('Diagnose: header row snapshot', { sheet: c.name, headerRow: headerInfo.headerRow, cells: headerRowText.slice(0, 15) });
   }
 
+  const tz = getTimezone_();
+  const scriptTz = Session.getScriptTimeZone();
+  const sheetTz = getSpreadsheetTimezone_();
+  const tzInfo = { timezone: tz, script: scriptTz, spreadsheet: sheetTz, locale: ss.getSpreadsheetLocale() };
+  if (tz !== scriptTz || (sheetTz && tz !== sheetTz)) {
+    logWarn('Diagnose: timezone mismatch — dates may be off around midnight. Align the Timezone setting, ' +
+      'File > Settings and the appsscript.json timeZone.', tzInfo);
+  } else {
+    logInfo('Diagnose: timezone OK', tzInfo);
+  }
+
+  const queuedEdits = StateManager.getEditQueue();
+  if (queuedEdits.length) {
+    logWarn('Diagnose: edits waiting for replay (the document lock was busy when they were made)', {
+      count: queuedEdits.length,
+      oldest: new Date(Math.min(...queuedEdits.map(q => q.at))).toISOString(),
+      sheets: Array.from(new Set(queuedEdits.map(q => q.sheet))),
+      replayScheduled: !!StateManager.getProperty(PROP_EDIT_QUEUE_SCHEDULED),
+    });
+  } else {
+    logInfo('Diagnose: no edits waiting for replay');
+  }
+
+  const guard = StateManager.getRecursionGuard();
+  const stuckGuard = !!guard && guard.expires <= Date.now();
+  if (stuckGuard) {
+    logWarn('Diagnose: stuck recursion guard — left by an execution that did not finish; the next locked run reclaims it', {
+      owner: guard.owner,
+      setAt: guard.setAt ? new Date(guard.setAt).toISOString() : 'unknown',
+    });
+  } else if (guard) {
+    logInfo('Diagnose: recursion guard held by a running execution', {
+      owner: guard.owner,
+      expires: new Date(guard.expires).toISOString(),
+    });
+  } else {
+    logInfo('Diagnose: recursion guard clear');
+  }
+
+  const tasks = StateManager.getTaskQueue();
+  const deadLetters = StateManager.getDeadLetters();
+  logInfo('Diagnose: background tasks', {
+    queued: tasks.length,
+    retrying: tasks.filter(t => t.attempts).length,
+    workerScheduled: !!_getTaskWorkerSchedule_(),
+  });
+  if (deadLetters.length) {
+    logWarn('Diagnose: background tasks failed and were set aside (System Admin > Failed Background Tasks)', {
+      count: deadLetters.length,
+      types: Array.from(new Set(deadLetters.map(d => d.type))),
+      lastError: deadLetters[deadLetters.length - 1].lastError,
+    });
+  }
+
   const trig = ScriptApp.getProjectTriggers().map(t => ({ handler: t.getHandlerFunction(), type: String(t.getEventType()) }));
   logInfo('Diagnose: triggers', { triggers: trig });
 
-  toast('Diagnosis complete — see SYS_LOGS.');
+  const pending = [
+    queuedEdits.length ? `${queuedEdits.length} edit(s) still waiting for replay` : '',
+    deadLetters.length ? `${deadLetters.length} failed background task(s)` : '',
+    stuckGuard ? 'stuck recursion guard' : '',
+  ].filter(Boolean);
+  toast(pending.length
+    ? `Diagnosis complete — ${pending.join(', ')}; see SYS_LOGS.`
+    : 'Diagnosis complete — see SYS_LOGS.');
 }
\ No newline at end of file
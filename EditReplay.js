@@ -0,0 +1,232 @@
+/** @file EditReplay.gs - Durable queue for edits that found the document lock busy, replayed in order. */
+
+/**
+ * onBusy callback of the edit handlers: marks the event as deferred and,
+ * unless it is already a replay, queues it so the edit is not lost.
+ * @param {Object} e - The edit event
+ */
+function deferEdit_(e) {
+  e.deferred = true;
+  if (!e.replayed) enqueueEdit_(e);
+}
+
+/**
+ * Queues an edit for replay and schedules the replay trigger. Only the range is
+ * stored; the handlers read current values when replaying. Single-cell edits
+ * also keep their old and new value.
+ * @param {Object} e - The edit event
+ */
+function enqueueEdit_(e) {
+  const r = e.range;
+  const entry = {
+    id: Utilities.getUuid().slice(0, 8),
+    sheet: r.getSheet().getName(),
+    row: r.getRow(),
+    col: r.getColumn(),
+    rows: r.getNumRows(),
+    cols: r.getNumColumns(),
+    at: Date.now(),
+  };
+  if (entry.rows === 1 && entry.cols === 1) {
+    if (e.oldValue !== undefined) entry.oldValue = e.oldValue;
+    if (e.value !== undefined) entry.value = e.value;
+    if (e.oldValue !== undefined && _needsOldValueOnReplay_(r.getSheet(), entry.col)) entry.pinned = true;
+  }
+
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(2000)) {
+    logWarn('Could not acquire queue lock; edit not queued', { sheet: entry.sheet, range: r.getA1Notation() });
+    return;
+  }
+  try {
+    const queue = _coalesceEdits_(StateManager.getEditQueue().concat([entry]));
+    StateManager.setEditQueue(queue);
+    logInfo('Edit queued for replay (lock busy)', { sheet: entry.sheet, range: r.getA1Notation(), queued: queue.length });
+  } finally {
+    scriptLock.releaseLock();
+  }
+  _scheduleEditReplay_();
+}
+
+/**
+ * Whether a column's edit handlers need the edit's old value: Job ID renames
+ * cascade from it, duplicate Job IDs revert to it and workflow checks start
+ * from it.
+ * @param {Sheet} sh - The edited sheet
+ * @param {number} col - The edited column
+ * @returns {boolean} True for the Job ID, Stage and Job Status columns
+ */
+function _needsOldValueOnReplay_(sh, col) {
+  const anchor = {
+    [SHEET_ALL]:          ANCHOR_HEADER_ALL,
+    [SHEET_ACTIVE]:       ANCHOR_HEADER_ACT,
+    [SHEET_REQUISITIONS]: ANCHOR_HEADER_REQ,
+  }[sh.getName()];
+  const headerInfo = anchor && getHeaderInfo(sh, anchor);
+  if (!headerInfo) return false;
+  return [H_REQ.JobID, H_REQ.JobStatus, H_ALL.JobID, H_ALL.Stage].some(h => headerInfo.headerMap[h] === col);
+}
+
+/**
+ * Merges queued edits that cover the same columns of a sheet and overlapping or
+ * adjacent rows; repeated edits of one cell keep the first old value and the
+ * last new value. Pinned entries (single cells whose old value the handlers
+ * need) only merge with edits of the same cell. Entries already claimed by a
+ * running replay are left alone. Past EDIT_QUEUE_MAX_ENTRIES, everything else
+ * queued for a sheet becomes one range.
+ * @param {Array<Object>} entries - Queue entries, oldest first
+ * @returns {Array<Object>} Coalesced queue
+ */
+function _coalesceEdits_(entries) {
+  const out = [];
+  for (const entry of entries) {
+    const prev = entry.claimed ? null : out.find(o => !o.claimed && o.sheet === entry.sheet &&
+      o.col === entry.col && o.cols === entry.cols &&
+      entry.row <= o.row + o.rows && o.row <= entry.row + entry.rows &&
+      ((!o.pinned && !entry.pinned) || (o.rows === 1 && entry.rows === 1 && o.cols === 1 && o.row === entry.row)));
+    if (!prev) {
+      out.push(Object.assign({}, entry));
+    } else if (prev.rows === 1 && entry.rows === 1 && prev.cols === 1 && prev.row === entry.row) {
+      prev.value = entry.value;
+    } else {
+      const end = Math.max(prev.row + prev.rows, entry.row + entry.rows);
+      prev.row = Math.min(prev.row, entry.row);
+      prev.rows = end - prev.row;
+      delete prev.oldValue;
+      delete prev.value;
+    }
+  }
+  if (out.length <= EDIT_QUEUE_MAX_ENTRIES) return out;
+
+  const bySheet = new Map();
+  const result = [];
+  for (const entry of out) {
+    if (entry.pinned) {
+      result.push(entry);
+      continue;
+    }
+    const merged = bySheet.get(entry.sheet);
+    if (!merged) {
+      bySheet.set(entry.sheet, { id: entry.id, sheet: entry.sheet, row: entry.row, col: entry.col, rows: entry.rows, cols: entry.cols, at: entry.at });
+      result.push(bySheet.get(entry.sheet));
+      continue;
+    }
+    const rowEnd = Math.max(merged.row + merged.rows, entry.row + entry.rows);
+    const colEnd = Math.max(merged.col + merged.cols, entry.col + entry.cols);
+    merged.row = Math.min(merged.row, entry.row);
+    merged.col = Math.min(merged.col, entry.col);
+    merged.rows = rowEnd - merged.row;
+    merged.cols = colEnd - merged.col;
+  }
+  logWarn('Edit queue full; merged queued edits per sheet', { entries: out.length, sheets: bySheet.size });
+  return result;
+}
+
+/**
+ * Runs fn on the queue under the script lock and stores what it returns.
+ * @param {function(Array<Object>): Array<Object>} fn - Receives and returns the queue
+ * @returns {Array<Object>|null} The stored queue, or null when the lock was busy
+ */
+function _updateEditQueue_(fn) {
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(5000)) return null;
+  try {
+    const queue = fn(StateManager.getEditQueue());
+    StateManager.setEditQueue(queue);
+    return queue;
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Trigger handler: replays queued edits in order through the regular edit
+ * handlers. Entries are claimed before replay and removed one by one, so an
+ * execution that dies part-way leaves the rest queued. Stops and reschedules
+ * when the lock is busy again.
+ * @returns {string} Summary of the run
+ */
+function Replay_Queued_Edits_() {
+  return trackHandlerRun_('Replay_Queued_Edits_', _replayQueuedEdits_);
+}
+
+/**
+ * Body of Replay_Queued_Edits_.
+ * @returns {string} Summary of the run
+ */
+function _replayQueuedEdits_() {
+  _deleteEditReplayTrigger_();
+
+  const claimed = _updateEditQueue_(queue => queue.map(entry => Object.assign(entry, { claimed: true })));
+  if (!claimed) {
+    _scheduleEditReplay_();
+    return 'Queue busy; retry scheduled';
+  }
+
+  const ss = SpreadsheetApp.getActive();
+  let replayed = 0;
+  for (const entry of claimed) {
+    const sh = ss.getSheetByName(entry.sheet);
+    const handler = _editHandlerFor_(entry.sheet);
+    if (!sh || !handler || entry.row > sh.getMaxRows() || entry.col > sh.getMaxColumns()) {
+      logWarn('Queued edit dropped: sheet or range no longer exists', { sheet: entry.sheet, row: entry.row, col: entry.col });
+    } else {
+      const e = {
+        source: ss,
+        range: sh.getRange(entry.row, entry.col,
+          Math.min(entry.rows, sh.getMaxRows() - entry.row + 1), Math.min(entry.cols, sh.getMaxColumns() - entry.col + 1)),
+        oldValue: entry.oldValue,
+        value: entry.value,
+        replayed: true,
+      };
+      try {
+        handler(e);
+      } catch (err) {
+        logWarn('Replayed edit failed', { sheet: entry.sheet, range: e.range.getA1Notation(), error: err.message });
+      }
+      if (e.deferred) {
+        logInfo('Edit replay paused: lock busy', { replayed, remaining: claimed.length - replayed });
+        _scheduleEditReplay_();
+        return `${replayed} replayed; paused (lock busy)`;
+      }
+      replayed++;
+    }
+    _updateEditQueue_(queue => queue.filter(q => q.id !== entry.id));
+  }
+  if (replayed) logInfo('Queued edits replayed', { count: replayed });
+
+  // Edits queued while this replay ran
+  if (StateManager.getEditQueue().length) _scheduleEditReplay_();
+  return `${replayed} replayed`;
+}
+
+/**
+ * Schedules the replay trigger unless one is already pending.
+ */
+function _scheduleEditReplay_() {
+  const existing = StateManager.getProperty(PROP_EDIT_QUEUE_SCHEDULED);
+  if (existing && ScriptApp.getProjectTriggers().some(t => t.getUniqueId() === existing)) return;
+
+  try {
+    const trigger = ScriptApp.newTrigger('Replay_Queued_Edits_').timeBased().after(EDIT_REPLAY_DELAY_MS).create();
+    StateManager.setProperty(PROP_EDIT_QUEUE_SCHEDULED, trigger.getUniqueId());
+  } catch (e) {
+    logWarn('Failed to schedule edit replay', { error: e.message });
+  }
+}
+
+/**
+ * Deletes the pending replay trigger, if any.
+ */
+function _deleteEditReplayTrigger_() {
+  const triggerId = StateManager.getProperty(PROP_EDIT_QUEUE_SCHEDULED);
+  if (!triggerId) return;
+  try {
+    const trigger = ScriptApp.getProjectTriggers().find(t => t.getUniqueId() === triggerId);
+    if (trigger) ScriptApp.deleteTrigger(trigger);
+  } catch (e) {
+    logWarn('Failed to delete edit replay trigger', { triggerId, error: e.message });
+  } finally {
+    StateManager.deleteProperty(PROP_EDIT_QUEUE_SCHEDULED);
+  }
+}
@@ -69,9 +69,10 @@ function processFormSubmission(e) {
     // Automatically set the candidate source for all form submissions
     newRowObj[H_ALL.Source] = 'Career Site (Form)';
 
-    // Add timestamps
-    newRowObj[H_ALL.Created] = nowDetroit();
-    newRowObj[H_ALL.Updated] = nowDetroit();
+    // Assign a system-managed identity and timestamps
+    newRowObj[H_ALL.UID] = newCandidateUid_();
+    newRowObj[H_ALL.Created] = nowInTz();
+    newRowObj[H_ALL.Updated] = nowInTz();
 
     // Append to sheet
     const template = captureTemplateFormat(allSheet, dataStartRow);
@@ -97,10 +98,16 @@ function processFormSubmission(e) {
       logWarn('Failed to apply validations to form submission row', { error: e.message });
     }
 
+    if (newRowObj[H_ALL.Stage]) {
+      const entry = stageTransitionFor_(newRowObj, '', newRowObj[H_ALL.Stage]);
+      if (entry) recordStageTransitions_([entry]);
+    }
+
     logInfo('Successfully processed and added new candidate.', { email: submittedEmail, row: newRowIdx, jobId: submittedJobId });
 
-    // Autopopulate job details and reconcile
+    // Autopopulate job details, link the person's other applications, and reconcile
     autopopulateAllFromJobId_([newRowIdx]);
+    refreshPersonProfiles_([newRowIdx]);
     const jobId = (newRowObj[H_ALL.JobID] || '').toString().trim();
     if (jobId) {
       reconcileActiveMembership_ByJobIds_([jobId]);
@@ -173,63 +180,72 @@ function _applyValidationsToFormRow_(sheet, headerInfo, row) {
 
 /**
  * Time-driven function to refresh the Job ID choices in the live Google Form.
+ * Only queues the refresh; the task worker runs it (and retries it).
+ * @returns {string} Summary of the run
  */
 function refreshJobIdChoicesInForm() {
-  withLock(() => {
-    const formId = StateManager.getFormId();
-    if (!formId) {
-      logInfo('No form configured - skipping Job ID refresh');
-      return;
-    }
-
-    let form;
-    try {
-      form = FormApp.openById(formId);
-    } catch (err) {
-      // Check if this is a permissions error
-      if (isAuthorizationError && isAuthorizationError(err.message)) {
-        logWarn('Forms permission not granted - cannot refresh Job IDs in form. ' +
-                'Grant Forms access via System Admin > Authorization if you want automatic Job ID updates.',
-                { formId, error: err.message });
-      } else {
-        logWarn('Could not open Google Form to refresh Job IDs. The form may have been deleted or moved.',
-                { formId, error: err.message });
-      }
-      return;
-    }
+  return trackHandlerRun_('refreshJobIdChoicesInForm',
+    () => enqueueTask_(TASK_TYPES.FORM_REFRESH, {}, 0) ? 'Queued' : 'Not queued: queue busy');
+}
 
-    const jobIdItem = form.getItems().find(item => item.getTitle() === H_ALL.JobID);
-    if (!jobIdItem || jobIdItem.getType() !== FormApp.ItemType.LIST) {
-      logWarn('Could not find a dropdown/list item with the title "Job ID" in the form.');
-      return;
-    }
-    const jobIdListItem = jobIdItem.asListItem();
+/**
+ * Replaces the form's Job ID choices with the currently open requisitions.
+ * Callers must already hold the document lock.
+ */
+function _refreshJobIdChoicesInForm_() {
+  const formId = StateManager.getFormId();
+  if (!formId) {
+    logInfo('No form configured - skipping Job ID refresh');
+    return;
+  }
 
-    // Fetch open jobs from Requisitions sheet
-    const ss = SpreadsheetApp.getActive();
-    const reqSheet = ss.getSheetByName(SHEET_REQUISITIONS);
-    if (!reqSheet) {
-      logWarn('Cannot refresh Job IDs in form: Requisitions sheet not found.');
-      return;
-    }
-    
-    const reqHeaderInfo = getHeaderInfo(reqSheet, ANCHOR_HEADER_REQ);
-    if (!reqHeaderInfo) return;
-
-    const { rows } = buildReqIndex(reqSheet, reqHeaderInfo.headerMap, reqHeaderInfo.dataStartRow);
-    const choices = rows
-      .filter(r => OPEN_STATUSES.has((r.data[H_REQ.JobStatus] || '').toString().trim()))
-      .map(r => r.data[H_REQ.JobID])
-      .filter(Boolean)
-      .map(String);
-
-    if (choices.length > 0) {
-      jobIdListItem.setChoiceValues(choices);
-      logInfo('Successfully refreshed Job ID choices in the live Google Form.', { count: choices.length });
+  let form;
+  try {
+    form = FormApp.openById(formId);
+  } catch (err) {
+    // Check if this is a permissions error
+    if (isAuthorizationError && isAuthorizationError(err.message)) {
+      logWarn('Forms permission not granted - cannot refresh Job IDs in form. ' +
+              'Grant Forms access via System Admin > Authorization if you want automatic Job ID updates.',
+              { formId, error: err.message });
     } else {
-      // It's valid to have no open jobs, so clear the list if that's the case.
-      jobIdListItem.setChoiceValues([]);
-      logInfo('No open jobs found. Cleared Job ID list in the form.');
+      logWarn('Could not open Google Form to refresh Job IDs. The form may have been deleted or moved.',
+              { formId, error: err.message });
     }
-  });
+    return;
+  }
+
+  const jobIdItem = form.getItems().find(item => item.getTitle() === H_ALL.JobID);
+  if (!jobIdItem || jobIdItem.getType() !== FormApp.ItemType.LIST) {
+    logWarn('Could not find a dropdown/list item with the title "Job ID" in the form.');
+    return;
+  }
+  const jobIdListItem = jobIdItem.asListItem();
+
+  // Fetch open jobs from Requisitions sheet
+  const ss = SpreadsheetApp.getActive();
+  const reqSheet = ss.getSheetByName(SHEET_REQUISITIONS);
+  if (!reqSheet) {
+    logWarn('Cannot refresh Job IDs in form: Requisitions sheet not found.');
+    return;
+  }
+  
+  const reqHeaderInfo = getHeaderInfo(reqSheet, ANCHOR_HEADER_REQ);
+  if (!reqHeaderInfo) return;
+
+  const { rows } = buildReqIndex(reqSheet, reqHeaderInfo.headerMap, reqHeaderInfo.dataStartRow);
+  const choices = rows
+    .filter(r => OPEN_STATUSES.has((r.data[H_REQ.JobStatus] || '').toString().trim()))
+    .map(r => r.data[H_REQ.JobID])
+    .filter(Boolean)
+    .map(String);
+
+  if (choices.length > 0) {
+    jobIdListItem.setChoiceValues(choices);
+    logInfo('Successfully refreshed Job ID choices in the live Google Form.', { count: choices.length });
+  } else {
+    // It's valid to have no open jobs, so clear the list if that's the case.
+    jobIdListItem.setChoiceValues([]);
+    logInfo('No open jobs found. Cleared Job ID list in the form.');
+  }
 }
\ No newline at end of file
@@ -0,0 +1,210 @@
+/** @file HireUndo.gs - Snapshots taken by the hired flow and restoring them when a hire is reversed. */
+
+/**
+ * Returns the hidden Hire_Snapshots sheet, creating it on first use.
+ * @returns {Sheet} The snapshot sheet
+ */
+function _getHireSnapshotSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(SHEET_HIRE_SNAPSHOTS);
+  if (!sh) {
+    const headers = Object.values(H_HIRE_SNAP);
+    sh = ss.insertSheet(SHEET_HIRE_SNAPSHOTS);
+    sh.hideSheet();
+    sh.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sh.setFrozenRows(1);
+  }
+  return sh;
+}
+
+/**
+ * Stores the state the hired flow is about to overwrite.
+ * @param {Object} snapshot - { jobId, hired: {uid, email, name, prevStage}, req: {status}, candidates: [...] }
+ *   where each candidate is { uid, email, name, stage, reason, newStage }
+ */
+function saveHireSnapshot_(snapshot) {
+  try {
+    const sh = _getHireSnapshotSheet_();
+    sh.appendRow([nowInTz(), snapshot.jobId, snapshot.hired.email, snapshot.hired.name, JSON.stringify(snapshot), '']);
+  } catch (e) {
+    logWarn('Failed to save hire snapshot', { jobId: snapshot.jobId, error: e.message });
+  }
+}
+
+/**
+ * Finds the most recent snapshot that has not been restored yet.
+ * @param {string} jobId - Optional Job ID filter
+ * @param {string} hiredEmail - Optional hired candidate filter
+ * @returns {{row: number, snapshot: Object}|null} The snapshot and its sheet row
+ */
+function findLatestHireSnapshot_(jobId, hiredEmail) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET_HIRE_SNAPSHOTS);
+  if (!sh || sh.getLastRow() < 2) return null;
+
+  const width = Object.keys(H_HIRE_SNAP).length;
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, width).getValues();
+  for (let i = values.length - 1; i >= 0; i--) {
+    const [, snapJobId, snapEmail, , json, restoredAt] = values[i];
+    if (restoredAt) continue;
+    if (jobId && _normStr_(snapJobId) !== jobId) continue;
+    if (hiredEmail && normEmail(snapEmail) !== hiredEmail) continue;
+    try {
+      return { row: i + 2, snapshot: JSON.parse(json) };
+    } catch (e) {
+      logWarn('Unreadable hire snapshot skipped', { row: i + 2, error: e.message });
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the stage a candidate held before their most recent move to Hired.
+ * @param {Object} rowObj - Candidate Database row object (see stageHistoryKeysFor_)
+ * @returns {string} Previous stage, or '' when unknown
+ */
+function _stageBeforeHire_(rowObj) {
+  const keys = new Set(stageHistoryKeysFor_(rowObj));
+  const history = readStageHistory_();
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (keys.has(history[i].key) && history[i].to === 'Hired') return history[i].from;
+  }
+  return '';
+}
+
+/**
+ * Restores the candidates and requisition captured by a hire snapshot.
+ * Candidates whose stage was changed again since the hire are left alone; the
+ * hired candidate moves back to their previous stage if still Hired.
+ * The requisition is reopened (Hired -> Open) and its closing dates cleared
+ * through applyReqStatusTransitionsForRows_.
+ * @param {{row: number, snapshot: Object}} found - Result of findLatestHireSnapshot_
+ * @returns {{restored: string[], skipped: string[]}} Candidate names per outcome
+ */
+function restoreHireSnapshot_(found) {
+  const { snapshot } = found;
+  const ss = SpreadsheetApp.getActive();
+  const all = ss.getSheetByName(SHEET_ALL);
+  const allHeaderInfo = all && getHeaderInfo(all, ANCHOR_HEADER_ALL);
+  if (!allHeaderInfo) throw new Error('Candidate Database not found');
+
+  const { headerMap: hmAll, dataStartRow } = allHeaderInfo;
+  const built = buildCandidateIndex(all, hmAll, dataStartRow);
+  const dataByRow = new Map(built.rows.map(r => [r.row, r.data]));
+  const user = currentUserEmail_();
+  const now = nowInTz();
+  const result = { restored: [], skipped: [] };
+  const transitions = [];
+
+  const locate = (c) => findCandidateRow_(built, { [H_ALL.UID]: c.uid, [H_ALL.JobID]: snapshot.jobId, [H_ALL.Email]: c.email });
+
+  for (const c of snapshot.candidates) {
+    const row = locate(c);
+    const data = row && dataByRow.get(row);
+    if (!data || _normStr_(data[H_ALL.Stage]) !== c.newStage) {
+      result.skipped.push(c.name);
+      continue;
+    }
+    setRowValuesByHeaders(all, hmAll, row, {
+      [H_ALL.Stage]: c.stage,
+      [H_ALL.RejectedReason]: c.reason,
+      [H_ALL.Updated]: now,
+    });
+    const entry = stageTransitionFor_(data, c.newStage, c.stage, user);
+    if (entry) transitions.push(entry);
+    result.restored.push(c.name);
+  }
+
+  const hiredRow = locate(snapshot.hired);
+  const hiredData = hiredRow && dataByRow.get(hiredRow);
+  if (hiredData && _normStr_(hiredData[H_ALL.Stage]) === 'Hired') {
+    const updates = { [H_ALL.Stage]: snapshot.hired.prevStage, [H_ALL.Updated]: now };
+    if (hmAll[H_ALL.HiredDate]) updates[H_ALL.HiredDate] = '';
+    setRowValuesByHeaders(all, hmAll, hiredRow, updates);
+    const entry = stageTransitionFor_(hiredData, 'Hired', snapshot.hired.prevStage, user);
+    if (entry) transitions.push(entry);
+  }
+  recordStageTransitions_(transitions);
+
+  const req = ss.getSheetByName(SHEET_REQUISITIONS);
+  const reqHeaderInfo = req && getHeaderInfo(req, ANCHOR_HEADER_REQ);
+  if (reqHeaderInfo) {
+    const { idx } = buildReqIndex(req, reqHeaderInfo.headerMap, reqHeaderInfo.dataStartRow);
+    const reqRow = idx.get(snapshot.jobId);
+    if (reqRow) {
+      const current = _canonReqStatus_(getRowObjectByHeaders(req, reqHeaderInfo.headerMap, reqRow)[H_REQ.JobStatus]);
+      const status = snapshot.req.status && snapshot.req.status !== 'Hired' ? snapshot.req.status : 'Open';
+      setRowValuesByHeaders(req, reqHeaderInfo.headerMap, reqRow, { [H_REQ.JobStatus]: status });
+      if (REOPEN_FROM_STATUSES.has(current) && OPEN_STATUSES.has(status)) recordReqReopen_(req, reqRow);
+      applyReqStatusTransitionsForRows_([reqRow], `Hire of ${snapshot.hired.name} undone`);
+    }
+  }
+
+  const { rows: freshRows } = buildCandidateIndex(all, hmAll, dataStartRow);
+  _updateHeadcountForJob_(snapshot.jobId, freshRows.filter(r => _normStr_(r.data[H_ALL.JobID]) === snapshot.jobId));
+
+  _getHireSnapshotSheet_().getRange(found.row, Object.keys(H_HIRE_SNAP).length).setValue(now);
+  enqueueAndSchedule_Reconcile([snapshot.jobId]);
+  logInfo('Hire snapshot restored', { jobId: snapshot.jobId, hired: snapshot.hired.name, ...result });
+  return result;
+}
+
+/**
+ * Builds the confirmation text for a snapshot restore.
+ */
+function _describeHireSnapshot_(snapshot) {
+  const names = snapshot.candidates.map(c => `${c.name}: ${c.newStage} -> ${c.stage || 'No Status'}`);
+  const shown = names.slice(0, 15).join('\n') + (names.length > 15 ? `\n...and ${names.length - 15} more` : '');
+  return `Requisition ${snapshot.jobId} (hire of ${snapshot.hired.name}) will be reopened` +
+    (names.length ? ` and these candidates restored:\n\n${shown}` : '.');
+}
+
+/**
+ * Called when a Hired stage is reverted on the Candidate Database. Points the
+ * user to the Undo Hire menu command when a snapshot of that hire exists; the
+ * restore itself never runs from the edit handler, which holds the lock.
+ * @param {string} jobId - The candidate's Job ID
+ * @param {string} email - The candidate's normalized email
+ */
+function offerHireUndo_(jobId, email) {
+  const found = findLatestHireSnapshot_(jobId, email);
+  if (!found) return;
+  toast(`Hire of ${found.snapshot.hired.name} reversed. Use Candidate Management > Undo Hire ` +
+    `and enter ${jobId} to restore the requisition and candidates.`, 'Hire Reversed', 10);
+}
+
+/**
+ * Menu command: restores the most recent hire snapshot (optionally for a given
+ * Job ID), including moving the hired candidate back to their previous stage.
+ */
+function Undo_Hire() {
+  const ui = SpreadsheetApp.getUi();
+  const latest = findLatestHireSnapshot_();
+  if (!latest) {
+    ui.alert('Undo Hire', 'There are no hires to undo.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const prompt = ui.prompt('Undo Hire',
+    `Job ID to undo (leave blank for the most recent hire, ${latest.snapshot.jobId}):`,
+    ui.ButtonSet.OK_CANCEL);
+  if (prompt.getSelectedButton() !== ui.Button.OK) return;
+
+  const jobId = _normStr_(prompt.getResponseText());
+  const found = jobId ? findLatestHireSnapshot_(jobId) : latest;
+  if (!found) {
+    ui.alert('Undo Hire', `No hire to undo was found for ${jobId}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const snapshot = found.snapshot;
+  const response = ui.alert('Undo Hire',
+    `${_describeHireSnapshot_(snapshot)}\n\n${snapshot.hired.name} will move back to ` +
+    `${snapshot.hired.prevStage || 'a blank stage'}. Continue?`, ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+
+  withLock(() => {
+    const result = restoreHireSnapshot_(found);
+    toast(`${snapshot.jobId} reopened. Restored ${result.restored.length} candidate(s)` +
+      (result.skipped.length ? `; ${result.skipped.length} changed since the hire were left as is.` : '.'), 'Hire Undone', 8);
+  }, LOCK_TIMEOUT_LONG_MS);
+}
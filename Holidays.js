@@ -0,0 +1,313 @@
+/** @file Holidays.gs - Rule-based holiday calendars used by business day calculations. */
+
+/**
+ * Built-in calendars. Each rule is "Name: rule" where the rule is one of
+ *   "MM-DD"               fixed date every year
+ *   "3rd Mon Jan"         nth weekday of a month ("last" for the final one)
+ *   "Mon before 05-25"    last given weekday before a date
+ *   "Easter -2"           offset in days from Easter Sunday
+ *   "YYYY-MM-DD"          a single date
+ * optionally followed by "observed" (shift off weekends) and "from YYYY".
+ * `observe` sets how shifted dates move: "nearest" (Sat -> Fri, Sun -> Mon)
+ * or "next" (the next free weekday, so Christmas and Boxing Day don't collide).
+ */
+const HOLIDAY_CALENDARS = {
+  'US Federal': {
+    observe: 'nearest',
+    rules: [
+      "New Year's Day: 01-01 observed",
+      'Martin Luther King Jr. Day: 3rd Mon Jan',
+      "Presidents' Day: 3rd Mon Feb",
+      'Memorial Day: last Mon May',
+      'Juneteenth: 06-19 observed from 2021',
+      'Independence Day: 07-04 observed',
+      'Labor Day: 1st Mon Sep',
+      'Columbus Day: 2nd Mon Oct',
+      'Veterans Day: 11-11 observed',
+      'Thanksgiving: 4th Thu Nov',
+      'Christmas Day: 12-25 observed',
+    ],
+  },
+  'UK': {
+    observe: 'next',
+    rules: [
+      "New Year's Day: 01-01 observed",
+      'Good Friday: Easter -2',
+      'Easter Monday: Easter +1',
+      'Early May Bank Holiday: 1st Mon May',
+      'Spring Bank Holiday: last Mon May',
+      'Summer Bank Holiday: last Mon Aug',
+      'Christmas Day: 12-25 observed',
+      'Boxing Day: 12-26 observed',
+    ],
+  },
+  'Canada': {
+    observe: 'next',
+    rules: [
+      "New Year's Day: 01-01 observed",
+      'Good Friday: Easter -2',
+      'Victoria Day: Mon before 05-25',
+      'Canada Day: 07-01 observed',
+      'Labour Day: 1st Mon Sep',
+      'National Day for Truth and Reconciliation: 09-30 observed from 2021',
+      'Thanksgiving: 2nd Mon Oct',
+      'Remembrance Day: 11-11 observed',
+      'Christmas Day: 12-25 observed',
+      'Boxing Day: 12-26 observed',
+    ],
+  },
+};
+
+// Calendar names with special meaning in SETTINGS
+const HOLIDAY_CALENDAR_CUSTOM = 'Custom';
+const HOLIDAY_CALENDAR_NONE = 'None';
+
+const HOLIDAY_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HOLIDAY_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const HOLIDAY_ORDINALS = { '1st': 1, '2nd': 2, '3rd': 3, '4th': 4, '5th': 5, 'last': -1 };
+
+// Per-execution cache: settings are read once, generated years are memoized
+let _holidayCache = null;
+
+/**
+ * Formats a calendar date as a yyyy-MM-dd key.
+ */
+function _holidayKey_(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns Easter Sunday for a year (anonymous Gregorian algorithm).
+ * @param {number} year - The year
+ * @returns {{month: number, day: number}} Month (1-12) and day
+ */
+function _easterSunday_(year) {
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  return { month, day: ((h + l - 7 * m + 114) % 31) + 1 };
+}
+
+/**
+ * Parses one holiday rule line (see HOLIDAY_CALENDARS for the syntax).
+ * Date cells are read in the spreadsheet's timezone, the one they were entered in.
+ * @param {string|Date} line - Rule text, or a date cell from SETTINGS
+ * @returns {Object|null} Parsed rule, or null when the line is not understood
+ */
+function _parseHolidayRule_(line) {
+  if (line instanceof Date) {
+    return { name: '', date: Utilities.formatDate(line, getSpreadsheetTimezone_(), 'yyyy-MM-dd') };
+  }
+  let text = String(line).trim();
+  let name = '';
+  const labelled = text.match(/^(.+?):\s*(.+)$/);
+  if (labelled && !/^\d/.test(labelled[1])) {
+    name = labelled[1].trim();
+    text = labelled[2];
+  }
+
+  const rule = { name, observed: false, from: 0 };
+  text = text.toLowerCase()
+    .replace(/\s+from\s+(\d{4})$/, (_, y) => { rule.from = Number(y); return ''; })
+    .replace(/\s+observed$/, () => { rule.observed = true; return ''; })
+    .trim();
+
+  let m;
+  if ((m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    return { ...rule, date: _holidayKey_(Number(m[1]), Number(m[2]), Number(m[3])) };
+  }
+  if ((m = text.match(/^(\d{1,2})-(\d{1,2})$/))) {
+    return { ...rule, month: Number(m[1]), day: Number(m[2]) };
+  }
+  if ((m = text.match(/^(1st|2nd|3rd|4th|5th|last)\s+([a-z]{3})[a-z]*\s+([a-z]{3})[a-z]*$/))) {
+    const weekday = HOLIDAY_WEEKDAYS.indexOf(m[2]);
+    const month = HOLIDAY_MONTHS.indexOf(m[3]) + 1;
+    if (weekday < 0 || !month) return null;
+    return { ...rule, month, weekday, nth: HOLIDAY_ORDINALS[m[1]] };
+  }
+  if ((m = text.match(/^([a-z]{3})[a-z]*\s+before\s+(\d{1,2})-(\d{1,2})$/))) {
+    const weekday = HOLIDAY_WEEKDAYS.indexOf(m[1]);
+    if (weekday < 0) return null;
+    return { ...rule, weekday, before: { month: Number(m[2]), day: Number(m[3]) } };
+  }
+  if ((m = text.match(/^easter(?:\s*([+-]\s*\d+))?$/))) {
+    return { ...rule, easter: m[1] ? Number(m[1].replace(/\s/g, '')) : 0 };
+  }
+  return null;
+}
+
+/**
+ * Resolves a rule to its (unshifted) date in a year.
+ * @returns {Date|null} UTC date, or null when the rule does not apply that year
+ */
+function _resolveHolidayRule_(rule, year) {
+  if (rule.from && year < rule.from) return null;
+  if (rule.date) return Number(rule.date.slice(0, 4)) === year ? new Date(rule.date + 'T00:00:00Z') : null;
+
+  if (rule.easter !== undefined) {
+    const easter = _easterSunday_(year);
+    return new Date(Date.UTC(year, easter.month - 1, easter.day + rule.easter));
+  }
+  if (rule.before) {
+    const d = new Date(Date.UTC(year, rule.before.month - 1, rule.before.day - 1));
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() - rule.weekday + 7) % 7));
+    return d;
+  }
+  if (rule.nth) {
+    if (rule.nth > 0) {
+      const first = new Date(Date.UTC(year, rule.month - 1, 1));
+      const day = 1 + ((rule.weekday - first.getUTCDay() + 7) % 7) + (rule.nth - 1) * 7;
+      const d = new Date(Date.UTC(year, rule.month - 1, day));
+      return d.getUTCMonth() === rule.month - 1 ? d : null;
+    }
+    const last = new Date(Date.UTC(year, rule.month, 0));
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - rule.weekday + 7) % 7));
+    return last;
+  }
+  return new Date(Date.UTC(year, rule.month - 1, rule.day));
+}
+
+/**
+ * Generates the holiday dates of a rule set for one year, applying observed shifts.
+ * @param {Object[]} rules - Parsed rules
+ * @param {string} observe - "nearest" or "next"
+ * @param {number} year - The year
+ * @returns {string[]} yyyy-MM-dd keys (observed dates can fall in the adjacent year)
+ */
+function _generateHolidays_(rules, observe, year) {
+  const taken = new Set();
+  for (const rule of rules) {
+    const d = _resolveHolidayRule_(rule, year);
+    if (!d) continue;
+
+    if (rule.observed) {
+      const weekend = () => d.getUTCDay() === 0 || d.getUTCDay() === 6;
+      if (observe === 'nearest') {
+        if (d.getUTCDay() === 6) d.setUTCDate(d.getUTCDate() - 1);
+        else if (d.getUTCDay() === 0) d.setUTCDate(d.getUTCDate() + 1);
+      } else {
+        while (weekend() || taken.has(d.toISOString().slice(0, 10))) d.setUTCDate(d.getUTCDate() + 1);
+      }
+    }
+    taken.add(d.toISOString().slice(0, 10));
+  }
+  return Array.from(taken);
+}
+
+/**
+ * Expands closure entries: single dates or ranges ("2026-12-24 to 2026-12-31").
+ * Date cells are read in the spreadsheet's timezone.
+ * @param {Array<string|Date>} entries - SETTINGS values
+ * @returns {Set<string>} yyyy-MM-dd keys
+ */
+function _parseClosureDates_(entries) {
+  const out = new Set();
+  const toKey = (v) => {
+    if (v instanceof Date) return Utilities.formatDate(v, getSpreadsheetTimezone_(), 'yyyy-MM-dd');
+    const m = String(v).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    return m ? _holidayKey_(Number(m[1]), Number(m[2]), Number(m[3])) : '';
+  };
+  for (const entry of entries) {
+    const parts = entry instanceof Date ? [entry] : String(entry).split(/\s+(?:to|through)\s+|\s*\.\.\s*/i);
+    const start = toKey(parts[0]);
+    const end = parts.length > 1 ? toKey(parts[1]) : start;
+    if (!start || !end) {
+      logWarn('Unrecognized company closure date ignored', { value: String(entry) });
+      continue;
+    }
+    for (let d = new Date(start + 'T00:00:00Z'); d.toISOString().slice(0, 10) <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+      out.add(d.toISOString().slice(0, 10));
+    }
+  }
+  return out;
+}
+
+/**
+ * Loads the holiday settings once per execution.
+ * @returns {{defaultCalendar: string, closures: Set<string>, byLocation: Map<string, string>, calendars: Object, years: Map, parsed: Map}}
+ */
+function _getHolidayConfig_() {
+  if (_holidayCache) return _holidayCache;
+
+  const config = getDropdownConfigurations();
+  const calendars = Object.assign({}, HOLIDAY_CALENDARS);
+  const custom = config.get(SETTING_CUSTOM_HOLIDAYS);
+  if (custom) calendars[HOLIDAY_CALENDAR_CUSTOM] = { observe: 'nearest', rules: custom };
+
+  const byLocation = new Map();
+  const locationRules = config.get(SETTING_LOCATION_CALENDARS);
+  if (locationRules) {
+    parseSettingRules_(locationRules).forEach((values, location) => {
+      if (values.length) byLocation.set(location.toLowerCase(), values[0]);
+    });
+  }
+
+  const defaultSetting = config.get(SETTING_HOLIDAY_CALENDAR);
+  _holidayCache = {
+    defaultCalendar: defaultSetting ? String(defaultSetting[0]).trim() : DEFAULT_HOLIDAY_CALENDAR,
+    closures: _parseClosureDates_(config.get(SETTING_CLOSURE_DATES) || []),
+    byLocation,
+    calendars,
+    years: new Map(),
+    parsed: new Map(),
+  };
+  return _holidayCache;
+}
+
+/**
+ * Returns the holiday calendar name for a Reporting Location, falling back
+ * to the "Holiday Calendar" setting (US Federal when unset).
+ * @param {string} location - Requisition Reporting Location
+ * @returns {string} Calendar name
+ */
+function getHolidayCalendarForLocation_(location) {
+  const cfg = _getHolidayConfig_();
+  const key = _normStr_(location).toLowerCase();
+  return (key && cfg.byLocation.get(key)) || cfg.byLocation.get('*') || cfg.defaultCalendar;
+}
+
+/**
+ * Returns the non-working dates of a calendar for one year, including
+ * company closure dates. Unknown calendar names fall back to the default.
+ * @param {string} calendar - Calendar name ("US Federal", "UK", "Canada", "Custom", "None")
+ * @param {number} year - The year
+ * @returns {Set<string>} yyyy-MM-dd keys
+ */
+function getHolidaysForYear_(calendar, year) {
+  const cfg = _getHolidayConfig_();
+  const name = _normStr_(calendar) || cfg.defaultCalendar;
+  const cacheKey = `${name.toLowerCase()}|${year}`;
+  if (cfg.years.has(cacheKey)) return cfg.years.get(cacheKey);
+
+  const out = new Set();
+  if (name.toLowerCase() !== HOLIDAY_CALENDAR_NONE.toLowerCase()) {
+    const match = Object.keys(cfg.calendars).find(k => k.toLowerCase() === name.toLowerCase());
+    const def = cfg.calendars[match || ''] ||
+      cfg.calendars[Object.keys(cfg.calendars).find(k => k.toLowerCase() === cfg.defaultCalendar.toLowerCase()) || DEFAULT_HOLIDAY_CALENDAR];
+    if (!match) logWarn('Unknown holiday calendar; using default', { calendar: name, fallback: cfg.defaultCalendar });
+
+    if (!cfg.parsed.has(def)) {
+      cfg.parsed.set(def, def.rules.map(line => {
+        const rule = _parseHolidayRule_(line);
+        if (!rule) logWarn('Unrecognized holiday rule ignored', { rule: String(line) });
+        return rule;
+      }).filter(Boolean));
+    }
+    // Observed dates can spill into the adjacent year (e.g. Jan 1 on a Saturday)
+    for (const y of [year - 1, year, year + 1]) {
+      for (const key of _generateHolidays_(cfg.parsed.get(def), def.observe, y)) {
+        if (Number(key.slice(0, 4)) === year) out.add(key);
+      }
+    }
+  }
+  cfg.closures.forEach(key => { if (Number(key.slice(0, 4)) === year) out.add(key); });
+
+  cfg.years.set(cacheKey, out);
+  return out;
+}
@@ -69,8 +69,9 @@ function Bulk_Import_AllCandidates(rows) {
       emails.add(em);
 
       rowObj[H_ALL.Source] = 'Resume Import';
-      rowObj[H_ALL.Created] = nowDetroit();
-      rowObj[H_ALL.Updated] = nowDetroit();
+      rowObj[H_ALL.UID] = newCandidateUid_();
+      rowObj[H_ALL.Created] = nowInTz();
+      rowObj[H_ALL.Updated] = nowInTz();
 
       toAppend.push(rowObj);
     });
@@ -101,6 +102,15 @@ function Bulk_Import_AllCandidates(rows) {
         }
       }
       
+      // Seed the stage ledger for rows imported with a workflow status
+      try {
+        recordStageTransitions_(toAppend
+          .map(r => stageTransitionFor_(r, '', r[H_ALL.Stage]))
+          .filter(Boolean));
+      } catch (e) {
+        logWarn('Failed to record stage history after import', { error: e.message });
+      }
+      
       // Apply data validations to new rows
       try {
         _applyValidationsToRows_(all, headerInfo, newRowIndices);
@@ -117,6 +127,7 @@ function Bulk_Import_AllCandidates(rows) {
       // Autopopulate job details and reconcile Active Candidates
       if (newRowIndices.length > 0) {
         autopopulateAllFromJobId_(newRowIndices);
+        refreshPersonProfiles_(newRowIndices);
       }
       if (uniqueJobIds.length > 0) {
         reconcileActiveMembership_ByJobIds_(uniqueJobIds);
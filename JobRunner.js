@@ -0,0 +1,229 @@
+/** @file JobRunner.gs - Resumable multi-step jobs that checkpoint and continue past the execution time limit. */
+
+const JOB_FULL_RESYNC = 'fullResync';
+
+/**
+ * Returns a job's definition. Steps with a total() are processed in chunks of
+ * JOB_CHUNK_ROWS rows (run(offset, limit)); the others run in one go (run()).
+ * Steps marked direct write to the sheets themselves rather than through the
+ * data context, which is flushed and reset before they run.
+ * @param {string} name - Job name
+ * @returns {{title: string, steps: Array<Object>}|null} Definition, or null when unknown
+ */
+function _getJobDefinition_(name) {
+  if (name !== JOB_FULL_RESYNC) return null;
+
+  const reqRows = () => _dataRowCount_(SHEET_REQUISITIONS, ANCHOR_HEADER_REQ);
+  const allRows = () => _dataRowCount_(SHEET_ALL, ANCHOR_HEADER_ALL);
+  return {
+    title: 'Full Resync',
+    steps: [
+      { name: 'Job IDs', desc: 'Assigning IDs', run: ensureJobIds_, direct: true },
+      { name: 'Days Open', desc: 'Calculating days open', total: reqRows,
+        run: (offset, limit) => Recompute_DaysOpen_Rows_(_dataRowRange_(SHEET_REQUISITIONS, ANCHOR_HEADER_REQ, offset, limit)) },
+      { name: 'Validations', desc: 'Applying dropdowns', run: rebuildAllValidations_, direct: true },
+      { name: 'Job Sync', desc: 'Syncing job details', total: allRows,
+        run: (offset, limit) => autopopulateAllFromJobId_(_dataRowRange_(SHEET_ALL, ANCHOR_HEADER_ALL, offset, limit)) },
+      { name: 'Profiles', desc: 'Linking person profiles', run: refreshPersonProfiles_ },
+      { name: 'Active Sync', desc: 'Updating Active sheet', total: allRows,
+        run: (offset, limit) => reconcileActiveMembership_ByJobIds_([], { offset, limit }) },
+      { name: 'Links', desc: 'Cleaning links', direct: true,
+        total: () => Math.max(allRows(), _dataRowCount_(SHEET_ACTIVE, ANCHOR_HEADER_ACT)),
+        run: (offset, limit) => linkHygieneSweep_({ offset, limit }) },
+    ],
+  };
+}
+
+/**
+ * Number of data rows on a sheet (0 when missing).
+ * @param {string} sheetName - Sheet name
+ * @param {string} anchor - Anchor header
+ * @returns {number} Data row count
+ */
+function _dataRowCount_(sheetName, anchor) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(sheetName);
+  const headerInfo = sh && getHeaderInfo(sh, anchor);
+  return headerInfo ? Math.max(0, sh.getLastRow() - headerInfo.dataStartRow + 1) : 0;
+}
+
+/**
+ * Row numbers of a slice of a sheet's data rows.
+ * @param {string} sheetName - Sheet name
+ * @param {string} anchor - Anchor header
+ * @param {number} offset - Rows to skip from the first data row
+ * @param {number} limit - Maximum rows
+ * @returns {number[]} Row numbers
+ */
+function _dataRowRange_(sheetName, anchor, offset, limit) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(sheetName);
+  const headerInfo = sh && getHeaderInfo(sh, anchor);
+  if (!headerInfo) return [];
+  const first = headerInfo.dataStartRow + offset;
+  const count = Math.min(limit, sh.getLastRow() - first + 1);
+  return count > 0 ? Array.from({ length: count }, (_, i) => first + i) : [];
+}
+
+/**
+ * Starts a job from its first step, or continues it when it is already under way.
+ * Runs the first slice now; the rest continues from a time-based trigger.
+ * @param {string} name - Job name
+ * @returns {boolean} True when the job finished within this execution
+ */
+function startJob_(name) {
+  _initJobCursor_(name);
+  return runJobSlice_(name);
+}
+
+/**
+ * Creates a job's cursor at its first step unless the job is already under way.
+ * @param {string} name - Job name
+ * @returns {Object} The job cursor
+ */
+function _initJobCursor_(name) {
+  let cursor = StateManager.getJobCursor(name);
+  if (!cursor) {
+    cursor = { step: 0, offset: 0, total: null, failed: [], runs: 0, startedAt: new Date().toISOString() };
+    StateManager.setJobCursor(name, cursor);
+    logInfo('Job started', { job: name });
+  }
+  return cursor;
+}
+
+/**
+ * Runs a job's steps from its checkpoint until it finishes or the time budget
+ * (JOB_TIME_BUDGET_MS) is spent, saving the cursor after every chunk. When
+ * time runs out a trigger is scheduled to continue. Failed steps are logged
+ * and skipped so the rest of the job still runs.
+ * @param {string} name - Job name
+ * @returns {boolean} True when the job finished
+ */
+function runJobSlice_(name) {
+  const job = _getJobDefinition_(name);
+  const cursor = StateManager.getJobCursor(name);
+  if (!job || !cursor) return true;
+
+  const started = Date.now();
+  cursor.runs++;
+  let lastChunkMs = 0;
+
+  withDataContext_((ctx) => {
+    while (cursor.step < job.steps.length) {
+      if (Date.now() - started + lastChunkMs > JOB_TIME_BUDGET_MS) break;
+
+      const step = job.steps[cursor.step];
+      const chunkStart = Date.now();
+      let stepDone = true;
+      let failed = false;
+      try {
+        if (step.direct) ctx.refresh();
+        if (step.total) {
+          if (cursor.total === null) cursor.total = step.total();
+          if (cursor.offset < cursor.total) {
+            step.run(cursor.offset, JOB_CHUNK_ROWS);
+            cursor.offset = Math.min(cursor.total, cursor.offset + JOB_CHUNK_ROWS);
+          }
+          stepDone = cursor.offset >= cursor.total;
+        } else {
+          step.run();
+        }
+        ctx.flush();
+      } catch (e) {
+        logError(`${job.title} step failed`, { step: step.name, error: e.message });
+        cursor.failed.push(step.name);
+        failed = true;
+      }
+
+      if (stepDone) {
+        if (!failed) logInfo(`${job.title} step completed: ${step.name}`, { total: cursor.total });
+        cursor.step++;
+        cursor.offset = 0;
+        cursor.total = null;
+      }
+      StateManager.setJobCursor(name, cursor);
+      // Write logs at each checkpoint so they survive an execution killed at the time limit
+      flushLogs_();
+      _reportJobProgress_(job, cursor);
+      lastChunkMs = Date.now() - chunkStart;
+    }
+  });
+
+  if (cursor.step < job.steps.length) {
+    _scheduleJobResume_(name, cursor);
+    return false;
+  }
+
+  _deleteJobTrigger_(cursor);
+  StateManager.deleteJobCursor(name);
+  logInfo(`${job.title} completed`, { job: name, runs: cursor.runs, failed: cursor.failed, startedAt: cursor.startedAt });
+  toast(cursor.failed.length
+    ? `${job.title} finished with errors in: ${cursor.failed.join(', ')}. Check SYS_LOGS for details.`
+    : `${job.title} complete!`, cursor.failed.length ? 'Warning' : 'Success', 5);
+  return true;
+}
+
+/**
+ * Shows a job's progress, e.g. "Step 6/7: Active Sync - 1,000/3,400 rows".
+ * @param {Object} job - Job definition
+ * @param {Object} cursor - Job cursor
+ */
+function _reportJobProgress_(job, cursor) {
+  if (cursor.step >= job.steps.length) return;
+  const step = job.steps[cursor.step];
+  const rows = cursor.total !== null
+    ? ` - ${cursor.offset.toLocaleString('en-US')}/${cursor.total.toLocaleString('en-US')} rows`
+    : '';
+  toast(`${step.desc}...${rows}`, `${job.title} - Step ${cursor.step + 1}/${job.steps.length}: ${step.name}`, -1);
+}
+
+/**
+ * Schedules the trigger that continues checkpointed jobs (one at a time).
+ * @param {string} name - Job name
+ * @param {Object} cursor - Job cursor (stores the trigger ID)
+ */
+function _scheduleJobResume_(name, cursor) {
+  _deleteJobTrigger_(cursor);
+  try {
+    cursor.triggerId = ScriptApp.newTrigger('Resume_Jobs_').timeBased().after(JOB_RESUME_DELAY_MS).create().getUniqueId();
+    StateManager.setJobCursor(name, cursor);
+    logInfo('Job checkpointed; resume scheduled', { job: name, step: cursor.step, offset: cursor.offset, total: cursor.total });
+  } catch (e) {
+    logWarn('Failed to schedule job resume; run the job again to continue', { job: name, error: e.message });
+  }
+}
+
+/**
+ * Deletes the resume trigger recorded on a cursor.
+ * @param {Object} cursor - Job cursor
+ */
+function _deleteJobTrigger_(cursor) {
+  if (!cursor.triggerId) return;
+  try {
+    const trigger = ScriptApp.getProjectTriggers().find(t => t.getUniqueId() === cursor.triggerId);
+    if (trigger) ScriptApp.deleteTrigger(trigger);
+  } catch (e) {
+    logWarn('Failed to delete job trigger', { triggerId: cursor.triggerId, error: e.message });
+  }
+  delete cursor.triggerId;
+}
+
+/**
+ * Trigger handler: continues every checkpointed job. Reschedules itself when
+ * the document lock is busy.
+ * @returns {string} Summary of the run
+ */
+function Resume_Jobs_() {
+  return trackHandlerRun_('Resume_Jobs_', () => {
+    const resumed = [];
+    for (const name of [JOB_FULL_RESYNC]) {
+      const cursor = StateManager.getJobCursor(name);
+      if (!cursor) continue;
+      _deleteJobTrigger_(cursor);
+      StateManager.setJobCursor(name, cursor);
+
+      const ran = withLock(() => { runJobSlice_(name); return true; }, LOCK_TIMEOUT_LONG_MS);
+      if (!ran) _scheduleJobResume_(name, StateManager.getJobCursor(name) || cursor);
+      resumed.push(ran ? name : `${name} (lock busy; rescheduled)`);
+    }
+    return resumed.length ? `Resumed ${resumed.join(', ')}` : 'No jobs waiting';
+  });
+}
@@ -1,7 +1,7 @@
 /** @file LinkHygiene.gs - Link normalization and cleanup utilities. */
 
-// Full sweep (menu or Full Resync)
-function linkHygieneSweep_() {
+// Full sweep (menu or Full Resync); chunk = {offset, limit} limits it to a slice of data rows
+function linkHygieneSweep_(chunk) {
   const ss = SpreadsheetApp.getActive();
   const sheets = [
     { name: SHEET_ALL,    anchor: ANCHOR_HEADER_ALL, resumeH: H_ALL.Resume,  linkedinH: H_ALL.LinkedIn },
@@ -15,11 +15,12 @@ function linkHygieneSweep_() {
     if (!headerInfo) continue;
     const { headerMap: hm, dataStartRow } = headerInfo;
 
-    const lastRow = sh.getLastRow();
-    if (lastRow < dataStartRow) continue;
+    const firstRow = dataStartRow + (chunk ? chunk.offset : 0);
+    const lastRow = chunk ? Math.min(sh.getLastRow(), firstRow + chunk.limit - 1) : sh.getLastRow();
+    if (lastRow < firstRow) continue;
     
-    if (hm[resumeH])  _normalizeColumnLinks_URLOnly_(sh, hm[resumeH], dataStartRow, lastRow, 'Resume');
-    if (hm[linkedinH]) _normalizeColumnLinks_URLOnly_(sh, hm[linkedinH], dataStartRow, lastRow, 'LinkedIn Profile');
+    if (hm[resumeH])  _normalizeColumnLinks_URLOnly_(sh, hm[resumeH], firstRow, lastRow, 'Resume');
+    if (hm[linkedinH]) _normalizeColumnLinks_URLOnly_(sh, hm[linkedinH], firstRow, lastRow, 'LinkedIn Profile');
   }
 }
 
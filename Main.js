@@ -18,52 +18,22 @@ function Full_Resync() {
     return;
   }
   
-  ss.toast('Starting full system resync...', 'Please Wait', -1);
+  // Runs as a resumable job: it checkpoints after each chunk and continues
+  // from a trigger when the execution time limit gets close
+  const inProgress = !!StateManager.getJobCursor(JOB_FULL_RESYNC);
+  ss.toast(inProgress ? 'Continuing the resync already in progress...' : 'Starting full system resync...', 'Please Wait', -1);
   
   withLock(() => {
-    invalidateHeaderCache(reqSheet);
-    invalidateHeaderCache(allSheet);
-    invalidateHeaderCache(ss.getSheetByName(SHEET_ACTIVE));
-
-    const steps = [
-      { fn: ensureJobIds_, name: 'Job IDs', desc: 'Assigning IDs' },
-      { fn: Recompute_DaysOpen_All, name: 'Days Open', desc: 'Calculating days open' },
-      { fn: rebuildAllValidations_, name: 'Validations', desc: 'Applying dropdowns' },
-      { fn: Sweep_Autopopulate_All_From_Reqs_, name: 'Job Sync', desc: 'Syncing job details' },
-      { fn: reconcileActiveMembership_All_, name: 'Active Sync', desc: 'Updating Active sheet' },
-      { fn: linkHygieneSweep_, name: 'Links', desc: 'Cleaning links' }
-    ];
-    
-    const totalSteps = steps.length;
-    
-    for (let i = 0; i < totalSteps; i++) {
-      const step = steps[i];
-      const stepNum = i + 1;
-      
-      ss.toast(
-        `${step.desc}...`, 
-        `Step ${stepNum}/${totalSteps}: ${step.name}`, 
-        -1
-      );
-      
-      try {
-        step.fn();
-        logInfo(`Resync step completed: ${step.name}`);
-      } catch (e) {
-        logWarn(`Resync step failed: ${step.name}`, { error: e.message });
-        ss.toast(
-          `${step.name} encountered an error but sync is continuing. Check SYS_LOGS for details.`,
-          'Warning',
-          5
-        );
-      }
+    if (!inProgress) {
+      invalidateHeaderCache(reqSheet);
+      invalidateHeaderCache(allSheet);
+      invalidateHeaderCache(ss.getSheetByName(SHEET_ACTIVE));
+    }
+    if (!startJob_(JOB_FULL_RESYNC)) {
+      ss.toast('The resync will continue in the background in about a minute.', 'Resync In Progress', 10);
     }
-    
-    ss.toast('Full system resync complete!', 'Success', 5);
-    logInfo('Full resync completed successfully', { stepsCompleted: totalSteps });
-    
   }, LOCK_TIMEOUT_LONG_MS, () => {
-    enqueueAndSchedule_Reconcile(['all']);
+    _scheduleJobResume_(JOB_FULL_RESYNC, _initJobCursor_(JOB_FULL_RESYNC));
     ss.toast('Resync is queued and will run shortly.', 'System Busy', 5);
   });
 }
@@ -0,0 +1,157 @@
+/** @file Profiles.gs - Person-level profiles linking one candidate's applications across requisitions. */
+
+/**
+ * Generates a new Person ID.
+ * @returns {string} Person identifier, e.g. "P-1A2B3C4D"
+ */
+function _newPersonId_() {
+  return 'P-' + Utilities.getUuid().replace(/-/g, '').slice(0, 8).toUpperCase();
+}
+
+/**
+ * Assigns Person IDs and rebuilds the "Other Applications" summary for every
+ * Candidate Database row. Rows without a Person ID join the person that already
+ * owns their email address, or start a new person. Only changed columns are written.
+ * When rows are given (edits), only those rows get new Person IDs and only the
+ * people they belong to are recomputed.
+ * No-op when the Person ID column is missing.
+ * @param {number[]} onlyRows - Optional Candidate Database rows to limit the refresh to
+ */
+function refreshPersonProfiles_(onlyRows) {
+  withDataContext_((ctx) => {
+    const allT = ctx.table(SHEET_ALL, ANCHOR_HEADER_ALL);
+    if (!allT || !allT.headerMap[H_ALL.PersonID]) return;
+
+    const rows = allT.rows();
+    if (!rows.length) return;
+    const cell = (r, h) => allT.headerMap[h] ? r.data[h] : '';
+
+    // Existing Person IDs win; the first person seen for an email owns it
+    const personByEmail = new Map();
+    for (const r of rows) {
+      const pid = _normStr_(cell(r, H_ALL.PersonID));
+      const em = normEmail(cell(r, H_ALL.Email));
+      if (pid && em && !personByEmail.has(em)) personByEmail.set(em, pid);
+    }
+
+    const scope = onlyRows ? new Set(onlyRows) : null;
+    const personIds = rows.map(r => {
+      const pid = _normStr_(cell(r, H_ALL.PersonID));
+      if (pid) return pid;
+      if (scope && !scope.has(r.row)) return '';
+      const em = normEmail(cell(r, H_ALL.Email));
+      if (!em) return '';
+      if (!personByEmail.has(em)) personByEmail.set(em, _newPersonId_());
+      return personByEmail.get(em);
+    });
+
+    const rowsByPerson = new Map();
+    personIds.forEach((pid, i) => {
+      if (!pid) return;
+      if (!rowsByPerson.has(pid)) rowsByPerson.set(pid, []);
+      rowsByPerson.get(pid).push(i);
+    });
+
+    const touched = scope ? new Set(personIds.filter((pid, i) => pid && scope.has(rows[i].row))) : null;
+    const inScope = (i) => !touched || touched.has(personIds[i]);
+
+    const summaries = personIds.map((pid, i) => {
+      if (!pid || !inScope(i)) return '';
+      return rowsByPerson.get(pid)
+        .filter(j => j !== i)
+        .map(j => `${_normStr_(cell(rows[j], H_ALL.JobID)) || '(no Job ID)'}: ${_normStr_(cell(rows[j], H_ALL.Stage)) || 'No Status'}`)
+        .join('; ');
+    });
+
+    let written = 0;
+    rows.forEach((r, i) => {
+      if (!inScope(i)) return;
+      const updates = {};
+      if (personIds[i] !== _normStr_(cell(r, H_ALL.PersonID))) updates[H_ALL.PersonID] = personIds[i];
+      if (allT.headerMap[H_ALL.OtherApps] && summaries[i] !== _normStr_(cell(r, H_ALL.OtherApps))) {
+        updates[H_ALL.OtherApps] = summaries[i];
+      }
+      if (Object.keys(updates).length) {
+        allT.set(r.row, updates);
+        written++;
+      }
+    });
+    if (written) {
+      logInfo('Person profiles refreshed', { persons: touched ? touched.size : rowsByPerson.size, rows: rows.length, changed: written });
+    }
+  });
+}
+
+/**
+ * Copies edited profile fields from the given Candidate Database rows to every
+ * other application of the same person. Controlled by the "Propagate Profile Edits"
+ * setting. Resume and LinkedIn links are copied as hyperlinks.
+ * @param {number[]} rows - Candidate Database rows that were edited
+ * @param {string[]} headers - Edited headers (only profile fields are propagated)
+ * @returns {string[]} Job IDs of rows that received changes (for reconcile)
+ */
+function propagateProfileEdits_(rows, headers) {
+  if (!isSettingEnabled_(SETTING_PROPAGATE_PROFILE, false)) return [];
+  const fields = headers.filter(h => PROFILE_SHARED_FIELDS.includes(h));
+  if (!fields.length || !rows.length) return [];
+
+  return withDataContext_((ctx) => {
+    const allT = ctx.table(SHEET_ALL, ANCHOR_HEADER_ALL);
+    if (!allT || !allT.headerMap[H_ALL.PersonID]) return [];
+    const hm = allT.headerMap;
+
+    const { rows: candRows } = allT.candidateIndex();
+    const dataByRow = new Map(candRows.map(r => [r.row, r.data]));
+    const affectedJobIds = new Set();
+
+    for (const srcRow of rows) {
+      const src = dataByRow.get(srcRow);
+      const pid = src ? _normStr_(src[H_ALL.PersonID]) : '';
+      if (!pid) continue;
+
+      const siblings = candRows.filter(r => r.row !== srcRow && _normStr_(r.data[H_ALL.PersonID]) === pid);
+      for (const { row, data } of siblings) {
+        const updates = {};
+        for (const f of fields) {
+          if (!hm[f]) continue;
+          if (f === H_ALL.Resume || f === H_ALL.LinkedIn) {
+            const url = allT.url(srcRow, f);
+            if (url && url !== allT.url(row, f)) {
+              allT.setLink(row, f, url, f === H_ALL.Resume ? 'Resume' : 'LinkedIn Profile');
+              affectedJobIds.add(_normStr_(data[H_ALL.JobID]));
+            }
+          } else if (!_valsEqual_(src[f], data[f])) {
+            updates[f] = src[f];
+          }
+        }
+        if (Object.keys(updates).length) {
+          if (hm[H_ALL.Updated]) updates[H_ALL.Updated] = nowInTz();
+          allT.set(row, updates);
+          affectedJobIds.add(_normStr_(data[H_ALL.JobID]));
+        }
+      }
+      logInfo('Profile edits propagated', { personId: pid, fields, applications: siblings.length });
+    }
+
+    affectedJobIds.delete('');
+    return Array.from(affectedJobIds);
+  });
+}
+
+/**
+ * Admin command: adds the Person ID and Other Applications columns if missing,
+ * then links every application to its person.
+ */
+function Rebuild_Person_Profiles() {
+  withLock(() => {
+    const all = SpreadsheetApp.getActive().getSheetByName(SHEET_ALL);
+    if (!all) {
+      toast('Cannot build profiles: "Candidate Database" sheet not found.', 'Error', 10);
+      return;
+    }
+    ensureHeaderColumn_(all, ANCHOR_HEADER_ALL, H_ALL.PersonID);
+    ensureHeaderColumn_(all, ANCHOR_HEADER_ALL, H_ALL.OtherApps);
+    refreshPersonProfiles_();
+    toast('Person profiles rebuilt.', 'Complete', 5);
+  }, LOCK_TIMEOUT_LONG_MS);
+}
@@ -0,0 +1,182 @@
+/** @file QueueMonitor.gs - Admin view of queued background work, triggers and recent handler runs. */
+
+/**
+ * Runs a trigger handler and records when it ran and how it ended, for the
+ * queue monitor. Its SYS_LOGS entries are written in one batch at the end.
+ * Errors are logged, recorded and rethrown.
+ * @param {string} handler - Handler function name
+ * @param {function(): (string|undefined)} fn - Handler body; may return a one-line summary
+ * @returns {string|undefined} What fn returned
+ */
+function trackHandlerRun_(handler, fn) {
+  const started = Date.now();
+  try {
+    const result = withLogBuffer_(fn);
+    StateManager.setHandlerRun(handler, {
+      at: started, ms: Date.now() - started, ok: true, result: typeof result === 'string' ? result : 'OK',
+    });
+    return result;
+  } catch (e) {
+    logError(`${handler} failed`, { error: String((e && e.message) || e) });
+    StateManager.setHandlerRun(handler, {
+      at: started, ms: Date.now() - started, ok: false, result: String((e && e.message) || e).slice(0, 200),
+    });
+    throw e;
+  }
+}
+
+/**
+ * Short description of a task's payload.
+ * @param {{type: string, payload: Object}} task - Queued or dead-lettered task
+ * @returns {string} Description
+ */
+function _describeTaskPayload_(task) {
+  const p = task.payload || {};
+  if (p.all) return 'All candidates';
+  if (p.jobIds) return p.jobIds.join(', ');
+  if (task.type === TASK_TYPES.LINK_HYGIENE) return 'Flagged link cells';
+  if (task.type === TASK_TYPES.FORM_REFRESH) return 'Job ID choices in the form';
+  if (task.type === TASK_TYPES.NOTIFY) return _normStr_(p.message);
+  return '';
+}
+
+/**
+ * Lists the project's triggers with their status: Installed (recurring or
+ * event triggers), Scheduled (tracked one-shot triggers) or Orphaned.
+ * @param {function(number): string} fmt - Timestamp formatter
+ * @returns {Array<{handler: string, id: string, type: string, status: string, note: string}>}
+ */
+function _describeTriggers_(fmt) {
+  const trackedByHandler = new Map();
+  const worker = _getTaskWorkerSchedule_();
+  return ScriptApp.getProjectTriggers().map((t) => {
+    const handler = t.getHandlerFunction();
+    const id = t.getUniqueId();
+    if (!trackedByHandler.has(handler)) trackedByHandler.set(handler, _trackedTriggerIds_(handler));
+    const tracked = trackedByHandler.get(handler);
+    const reason = _orphanedTriggerReason_(handler, id, tracked);
+
+    let status = 'Installed';
+    let note = '';
+    if (reason) {
+      status = 'Orphaned';
+      note = reason;
+    } else if (tracked) {
+      status = 'Scheduled';
+      if (worker && worker.id === id) note = `runs about ${fmt(worker.at)}`;
+    }
+    return { handler, id, type: String(t.getEventType()), status, note };
+  }).sort((a, b) => a.handler.localeCompare(b.handler));
+}
+
+/**
+ * Sidebar data: queued tasks, Job IDs and link cells waiting, dead letters,
+ * triggers, and the last run of each tracked handler.
+ * @returns {Object} Monitor data (all values display-ready)
+ */
+function getQueueMonitorData() {
+  const tz = getTimezone_();
+  const fmt = (t) => t ? Utilities.formatDate(new Date(t), tz, 'yyyy-MM-dd HH:mm:ss') : '';
+  const now = Date.now();
+
+  const tasks = StateManager.getTaskQueue();
+  const jobIds = new Set();
+  let allJobs = false;
+  for (const t of tasks) {
+    if (t.type !== TASK_TYPES.RECONCILE && t.type !== TASK_TYPES.DAYS_OPEN) continue;
+    if (t.payload.all) allJobs = true;
+    (t.payload.jobIds || []).forEach(id => jobIds.add(id));
+  }
+  const legacyIds = StateManager.getProperty(PROP_QUEUE_JOBIDS);
+  if (legacyIds === 'all') allJobs = true;
+
+  const linkItems = Object.keys(StateManager.getDirtyLinkProperties()).map((key) => {
+    const rest = key.substring('ATS:linkdirty:'.length);
+    const rowAt = rest.lastIndexOf(':');
+    const sheetAt = rest.indexOf(':');
+    return { sheet: rest.substring(0, sheetAt), header: rest.substring(sheetAt + 1, rowAt), row: Number(rest.substring(rowAt + 1)) };
+  }).sort((a, b) => a.sheet.localeCompare(b.sheet) || a.row - b.row);
+
+  const runs = StateManager.getHandlerRuns();
+  return {
+    generatedAt: fmt(now),
+    tasks: tasks.map(t => ({
+      type: t.type,
+      detail: _describeTaskPayload_(t),
+      status: t.running ? 'Running'
+        : t.attempts ? `Retry ${t.attempts + 1} of ${TASK_MAX_ATTEMPTS}`
+        : t.runAt <= now ? 'Due' : 'Waiting',
+      runAt: fmt(t.runAt),
+      lastError: t.lastError || '',
+    })),
+    allJobs,
+    jobIds: Array.from(jobIds).sort(),
+    linkItems,
+    editsQueued: StateManager.getEditQueue().length,
+    deadLetters: StateManager.getDeadLetters().reverse().map(d => ({
+      type: d.type,
+      detail: _describeTaskPayload_(d),
+      attempts: d.attempts,
+      failedAt: fmt(d.failedAt),
+      lastError: d.lastError || '',
+    })),
+    triggers: _describeTriggers_(fmt),
+    handlers: Object.keys(runs).sort().map(handler => ({
+      handler,
+      at: fmt(runs[handler].at),
+      ok: runs[handler].ok,
+      result: runs[handler].result,
+      seconds: Math.round((runs[handler].ms || 0) / 100) / 10,
+    })),
+  };
+}
+
+/**
+ * Sidebar action: runs every queued task now, including ones waiting out a
+ * debounce delay or a retry backoff.
+ * @returns {{message: string, data: Object}} Outcome and refreshed monitor data
+ */
+function flushQueueNow() {
+  _migrateLegacyQueues_();
+  const now = Date.now();
+  const queue = _updateTaskQueue_(tasks => tasks.map(t => t.running ? t : Object.assign(t, { runAt: now })));
+  if (!queue) return { message: 'The queue is busy; try again in a moment.', data: getQueueMonitorData() };
+
+  logInfo('Task queue flushed by admin', { tasks: queue.length, user: currentUserEmail_() });
+  const summary = queue.length ? Process_Task_Queue_() : 'nothing queued';
+  return { message: `Queue flushed: ${summary}.`, data: getQueueMonitorData() };
+}
+
+/**
+ * Sidebar action: drops every waiting task and link-dirty flag. A task that is
+ * running right now is left to finish.
+ * @returns {{message: string, data: Object}} Outcome and refreshed monitor data
+ */
+function clearQueue() {
+  let cleared = 0;
+  const queue = _updateTaskQueue_((tasks) => {
+    const keep = tasks.filter(t => t.running);
+    cleared = tasks.length - keep.length;
+    return keep;
+  });
+  if (!queue) return { message: 'The queue is busy; try again in a moment.', data: getQueueMonitorData() };
+
+  const flags = Object.keys(StateManager.getDirtyLinkProperties());
+  flags.forEach(key => StateManager.deleteLinkDirtyProperty(key));
+  StateManager.deleteProperty(PROP_QUEUE_JOBIDS);
+  if (!queue.length) _deleteTaskWorkerTrigger_();
+
+  logWarn('Task queue cleared by admin', { tasks: cleared, linkFlags: flags.length, user: currentUserEmail_() });
+  return { message: `Cleared ${cleared} task(s) and ${flags.length} link flag(s).`, data: getQueueMonitorData() };
+}
+
+/**
+ * Sidebar action: deletes orphaned triggers of every handler.
+ * @returns {{message: string, data: Object}} Outcome and refreshed monitor data
+ */
+function removeOrphanedTriggers() {
+  const handlers = new Set(ScriptApp.getProjectTriggers().map(t => t.getHandlerFunction()));
+  let removed = 0;
+  handlers.forEach((handler) => { removed += _cleanupOrphanedTriggers_(handler); });
+  return { message: `Removed ${removed} orphaned trigger(s).`, data: getQueueMonitorData() };
+}
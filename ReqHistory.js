@@ -0,0 +1,197 @@
+/** @file ReqHistory.gs - Requisition lifecycle ledger (status changes, hires, reopens) and timeline view. */
+
+/**
+ * Returns the hidden Req_History sheet, creating it on first use.
+ * @returns {Sheet} The ledger sheet
+ */
+function _getReqHistorySheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(SHEET_REQ_HISTORY);
+  if (!sh) {
+    const headers = Object.values(H_REQ_HIST);
+    sh = ss.insertSheet(SHEET_REQ_HISTORY);
+    sh.hideSheet();
+    sh.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sh.setFrozenRows(1);
+  }
+  return sh;
+}
+
+/**
+ * Appends requisition events to the ledger in a single batch. Status changes
+ * carry from/to statuses; other events (hires) leave them blank. Each
+ * requisition's last status is also kept in document properties, so edits
+ * never need to read the whole ledger.
+ * @param {Array<{jobId: string, from?: string, to?: string, details?: string, user?: string}>} events
+ * @returns {number} Number of rows written
+ */
+function recordReqEvents_(events) {
+  if (!events || !events.length) return 0;
+
+  const now = nowInTz();
+  const user = currentUserEmail_();
+  const out = events
+    .filter(ev => ev.jobId)
+    .map(ev => [ev.jobId, ev.from || '', ev.to || '', now, ev.user || user, ev.details || '']);
+  if (!out.length) return 0;
+
+  try {
+    const sh = _getReqHistorySheet_();
+    sh.getRange(sh.getLastRow() + 1, 1, out.length, out[0].length).setValues(out);
+  } catch (e) {
+    logWarn('Failed to record requisition history', { count: out.length, error: e.message });
+    return 0;
+  }
+  _ensureReqStatusIndex_();
+  const last = new Map();
+  events.forEach(ev => { if (ev.jobId && ev.to) last.set(ev.jobId, ev.to); });
+  StateManager.setLastReqStatuses(last);
+  return out.length;
+}
+
+/**
+ * Reads the ledger in recorded order, optionally for one requisition.
+ * @param {string} jobId - Optional Job ID filter
+ * @returns {Array<{jobId: string, from: string, to: string, timestamp: Date, user: string, details: string}>}
+ */
+function readReqHistory_(jobId) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET_REQ_HISTORY);
+  if (!sh || sh.getLastRow() < 2) return [];
+
+  const width = Object.keys(H_REQ_HIST).length;
+  return sh.getRange(2, 1, sh.getLastRow() - 1, width).getValues()
+    .filter(r => r[0] && (!jobId || _normStr_(r[0]) === jobId))
+    .map(r => ({
+      jobId: _normStr_(r[0]),
+      from: _normStr_(r[1]),
+      to: _normStr_(r[2]),
+      timestamp: r[3] instanceof Date ? r[3] : new Date(r[3]),
+      user: _normStr_(r[4]),
+      details: _normStr_(r[5]),
+    }));
+}
+
+/**
+ * Returns the last status recorded in the ledger for a requisition.
+ * @param {string} jobId - The Job ID
+ * @returns {string} Last recorded status ('' when none)
+ */
+function getLastReqStatus_(jobId) {
+  _ensureReqStatusIndex_();
+  return StateManager.getLastReqStatus(jobId);
+}
+
+// Per-execution cache: the last-status backfill was already checked
+let _reqStatusIndexChecked = false;
+
+/**
+ * Backfills the per-Job ID last statuses from the ledger, once. Ledgers
+ * written before the statuses were kept in properties are read a single time.
+ */
+function _ensureReqStatusIndex_() {
+  if (_reqStatusIndexChecked) return;
+  _reqStatusIndexChecked = true;
+  if (StateManager.getProperty(PROP_REQ_STATUS_INDEXED)) return;
+  const last = new Map();
+  for (const ev of readReqHistory_()) {
+    if (ev.to) last.set(ev.jobId, ev.to);
+  }
+  StateManager.setLastReqStatuses(last);
+  StateManager.setProperty(PROP_REQ_STATUS_INDEXED, String(Date.now()));
+  logInfo('Requisition status index built from Req_History', { requisitions: last.size });
+}
+
+/**
+ * Moves ledger entries to a renamed Job ID.
+ * @param {string} oldId - Previous Job ID
+ * @param {string} newId - New Job ID
+ * @returns {number} Entries rewritten
+ */
+function renameReqHistory_(oldId, newId) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET_REQ_HISTORY);
+  if (!sh || sh.getLastRow() < 2) return 0;
+  const range = sh.getRange(2, 1, sh.getLastRow() - 1, 1);
+  let n = 0;
+  const values = range.getValues().map(r => {
+    if (_normStr_(r[0]) !== oldId) return r;
+    n++;
+    return [newId];
+  });
+  if (n) range.setValues(values);
+  StateManager.renameLastReqStatus(oldId, newId);
+  return n;
+}
+
+/**
+ * Builds everything the timeline dialog shows for one requisition.
+ * @param {string} jobId - The Job ID
+ * @returns {Object|null} Timeline data, or null when the requisition is not found
+ */
+function _buildReqTimeline_(jobId) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET_REQUISITIONS);
+  const headerInfo = sh && getHeaderInfo(sh, ANCHOR_HEADER_REQ);
+  if (!headerInfo) return null;
+  const { idx } = buildReqIndex(sh, headerInfo.headerMap, headerInfo.dataStartRow);
+  const row = idx.get(jobId);
+  if (!row) return null;
+
+  const req = getRowObjectByHeaders(sh, headerInfo.headerMap, row);
+  const fmt = (d) => d instanceof Date && !isNaN(d) ? Utilities.formatDate(d, getTimezone_(), 'yyyy-MM-dd HH:mm') : '';
+  const events = readReqHistory_(jobId).map(ev => ({
+    when: fmt(ev.timestamp),
+    event: ev.to ? `${ev.from || '(new)'} → ${ev.to}` : 'Hiring',
+    user: ev.user,
+    details: ev.details,
+  }));
+  const holds = StateManager.getReqHolds(jobId).map(h => ({
+    start: fmt(new Date(h.start)),
+    end: h.end ? fmt(new Date(h.end)) : 'still on hold',
+  }));
+
+  return {
+    jobId,
+    title: _normStr_(req[H_REQ.JobTitle]),
+    status: _normStr_(req[H_REQ.JobStatus]),
+    hired: _normStr_(req[H_REQ.HiredCandidateName]),
+    positions: `${Number(req[H_REQ.PositionsFilled]) || 0} of ${parseInt(req[H_REQ.HeadcountTarget], 10) || 1}`,
+    reopenCount: Number(req[H_REQ.ReopenCount]) || 0,
+    daysOpen: req[H_REQ.DaysOpen] === undefined ? '' : req[H_REQ.DaysOpen],
+    daysOnHold: Number(req[H_REQ.DaysOnHold]) || 0,
+    events,
+    holds,
+  };
+}
+
+/**
+ * Menu command: shows the full lifecycle of a requisition. Uses the selected
+ * Requisitions row when there is one, otherwise asks for a Job ID.
+ */
+function Show_Req_Timeline() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActive();
+  let jobId = '';
+
+  const active = ss.getActiveSheet();
+  if (active && active.getName() === SHEET_REQUISITIONS) {
+    const headerInfo = getHeaderInfo(active, ANCHOR_HEADER_REQ);
+    const row = active.getActiveRange() ? active.getActiveRange().getRow() : 0;
+    if (headerInfo && headerInfo.headerMap[H_REQ.JobID] && row >= headerInfo.dataStartRow) {
+      jobId = _normStr_(active.getRange(row, headerInfo.headerMap[H_REQ.JobID]).getValue());
+    }
+  }
+  if (!jobId) {
+    const prompt = ui.prompt('Requisition Timeline', 'Job ID:', ui.ButtonSet.OK_CANCEL);
+    if (prompt.getSelectedButton() !== ui.Button.OK) return;
+    jobId = _normStr_(prompt.getResponseText());
+  }
+
+  const data = jobId ? _buildReqTimeline_(jobId) : null;
+  if (!data) {
+    ui.alert('Requisition Timeline', `Requisition "${jobId}" was not found.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const template = HtmlService.createTemplateFromFile('ReqTimeline');
+  template.data = data;
+  ui.showModalDialog(template.evaluate().setWidth(720).setHeight(520), `Timeline: ${jobId}`);
+}
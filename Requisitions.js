@@ -1,46 +1,497 @@
 /** @file Requisitions.gs - Job ID generation, status transitions, days-open calculations. */
 
-function _initJobSeqIfNeeded_(sh) {
-  const yyyy = new Date().getFullYear();
-  if (StateManager.isJobIdSequenceInitialized(yyyy)) return;
-  
-  const headerInfo = getHeaderInfo(sh, ANCHOR_HEADER_REQ);
-  if (!headerInfo) return;
-  const { headerMap: hm, dataStartRow } = headerInfo;
+// ---------- Job ID Format
+// Job IDs are rendered from the "Job ID Template" setting. Supported tokens:
+//   {PREFIX}  "Job ID Prefix" setting        {DEPT}  the row's Department
+//   {YYYY}    calendar year (2027)            {YY}    calendar year (27)
+//   {FYYY}    fiscal year (2027)              {FY}    fiscal year (27)
+//   {SEQ:n}   sequence padded to n digits     {SEP}   "Job ID Separator" setting
+// Fiscal years are named by the calendar year they end in; "Fiscal Year Start Month"
+// (1-12) sets where they begin. Each distinct combination of token values other than
+// {SEQ} (e.g. ENG + FY27) gets its own sequence.
+
+const JOB_ID_TOKEN_RE = /\{(PREFIX|DEPT|YYYY|YY|FYYY|FY|SEQ|SEP)(?::(\d+))?\}/g;
+
+/**
+ * Reads the Job ID format settings.
+ * @returns {{template: string, sep: string, prefix: string, fyStartMonth: number}}
+ */
+function _getJobIdFormat_() {
+  const month = parseInt(getSettingValue_(SETTING_FY_START_MONTH, '1'), 10);
+  return {
+    template: _normStr_(getSettingValue_(SETTING_JOB_ID_TEMPLATE, DEFAULT_JOB_ID_TEMPLATE)),
+    sep: _normStr_(getSettingValue_(SETTING_JOB_ID_SEPARATOR, '-')),
+    prefix: _normStr_(getSettingValue_(SETTING_JOB_ID_PREFIX, '')),
+    fyStartMonth: month >= 1 && month <= 12 ? month : 1,
+  };
+}
+
+/**
+ * Splits a template into literal text and token parts.
+ * @param {string} template - The Job ID template
+ * @returns {Array<{lit?: string, token?: string, width?: number}>}
+ */
+function _parseJobIdTemplate_(template) {
+  const parts = [];
+  let pos = 0;
+  template.replace(JOB_ID_TOKEN_RE, (match, token, width, offset) => {
+    if (offset > pos) parts.push({ lit: template.slice(pos, offset) });
+    parts.push({ token, width: width ? +width : (token === 'SEQ' ? 4 : 0) });
+    pos = offset + match.length;
+    return match;
+  });
+  if (pos < template.length) parts.push({ lit: template.slice(pos) });
+  if (!parts.some(p => p.token === 'SEQ')) parts.push({ token: 'SEQ', width: 4 });
+  return parts;
+}
+
+/**
+ * Resolves the date and department token values for a new requisition. The
+ * year and month are read in the configured timezone, not the script's.
+ * @param {Object} fmt - Format from _getJobIdFormat_
+ * @param {Object} rowObj - Requisition row object (for {DEPT})
+ * @param {Date} date - Instant the ID is issued (e.g. new Date())
+ * @returns {Object} Token name -> value (excluding SEQ)
+ */
+function _jobIdTokenValues_(fmt, rowObj, date) {
+  const tz = getTimezone_();
+  const year = Number(Utilities.formatDate(date, tz, 'yyyy'));
+  const month = Number(Utilities.formatDate(date, tz, 'M'));
+  const fiscal = fmt.fyStartMonth > 1 && month >= fmt.fyStartMonth ? year + 1 : year;
+  return {
+    PREFIX: fmt.prefix,
+    DEPT: _normStr_(rowObj && rowObj[H_REQ.Department]).toUpperCase(),
+    YYYY: String(year),
+    YY: String(year).slice(-2),
+    FYYY: String(fiscal),
+    FY: String(fiscal).slice(-2),
+    SEP: fmt.sep,
+  };
+}
+
+/**
+ * Returns the sequence scope for a set of token values: the non-SEQ, non-SEP
+ * values in template order. The default template yields just the year, which
+ * keeps sequences created before templates were configurable.
+ * @param {Array<{lit?: string, token?: string, width?: number}>} parts - Parsed template
+ * @param {Object} values - Token name -> value
+ * @returns {string} Scope key, e.g. "ENG:27"
+ */
+function _jobIdScope_(parts, values) {
+  return parts
+    .filter(p => p.token && p.token !== 'SEQ' && p.token !== 'SEP')
+    .map(p => values[p.token])
+    .join(':');
+}
+
+/**
+ * Renders a Job ID. Separators left dangling by an empty token are collapsed.
+ * @param {Array<{lit?: string, token?: string, width?: number}>} parts - Parsed template
+ * @param {Object} values - Token name -> value (excluding SEQ)
+ * @param {number} seq - Sequence number
+ * @param {string} sep - Job ID separator setting
+ * @returns {string} The Job ID
+ */
+function _renderJobId_(parts, values, seq, sep) {
+  let id = parts.map(p => {
+    if (p.lit) return p.lit;
+    if (p.token === 'SEQ') return String(seq).padStart(p.width, '0');
+    return values[p.token];
+  }).join('');
+  if (sep) {
+    const esc = sep.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    id = id.replace(new RegExp(`(?:${esc}){2,}`, 'g'), sep)
+      .replace(new RegExp(`^(?:${esc})+|(?:${esc})+$`, 'g'), '');
+  }
+  return id;
+}
+
+/**
+ * Parses an existing Job ID against the template.
+ * @param {Array<{lit?: string, token?: string, width?: number}>} parts - Parsed template
+ * @param {Object} fmt - Format from _getJobIdFormat_
+ * @param {string} id - Job ID to parse
+ * @returns {{scope: string, seq: number}|null} Null when the ID does not match
+ */
+function _parseJobId_(parts, fmt, id) {
+  const esc = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const names = [];
+  const pattern = parts.map(p => {
+    if (p.lit) return esc(p.lit);
+    if (p.token === 'SEP') return fmt.sep ? `(?:${esc(fmt.sep)})?` : '';
+    names.push(p.token);
+    if (p.token === 'SEQ') return '(\\d+)';
+    if (p.token === 'YYYY' || p.token === 'FYYY') return '(\\d{4})';
+    if (p.token === 'YY' || p.token === 'FY') return '(\\d{2})';
+    if (p.token === 'PREFIX') return `(${esc(fmt.prefix)})?`;
+    return '(.*?)';
+  }).join('');
+
+  const m = String(id).match(new RegExp(`^${pattern}$`));
+  if (!m) return null;
+  const values = {};
+  names.forEach((name, i) => { values[name] = m[i + 1] || ''; });
+  return { scope: _jobIdScope_(parts, values), seq: Number(values.SEQ) };
+}
+
+/**
+ * Seeds a sequence scope from the highest matching Job ID already on the sheet.
+ * @param {string[]} existingIds - Job IDs currently on the Requisitions sheet
+ * @param {Array} parts - Parsed template
+ * @param {Object} fmt - Format from _getJobIdFormat_
+ * @param {string} scope - Sequence scope to initialize
+ */
+function _initJobSeqIfNeeded_(existingIds, parts, fmt, scope) {
+  if (StateManager.isJobIdSequenceInitialized(scope)) return;
 
   let maxSeq = 0;
-  const colId = hm[H_REQ.JobID];
-  if (colId) {
+  for (const id of existingIds) {
+    const parsed = _parseJobId_(parts, fmt, id);
+    if (parsed && parsed.scope === scope) maxSeq = Math.max(maxSeq, parsed.seq);
+  }
+  StateManager.setJobIdSequence(scope, maxSeq);
+}
+
+/**
+ * Allocates one Job ID per requisition row, advancing each row's sequence scope.
+ * @param {Object[]} rowObjs - Requisition row objects needing IDs
+ * @param {string[]} existingIds - Job IDs already in use (never reissued)
+ * @param {boolean} preview - When true, the sequences are not advanced
+ * @returns {string[]} New Job IDs, aligned with rowObjs
+ */
+function _allocateNextJobIds_(rowObjs, existingIds, preview) {
+  const fmt = _getJobIdFormat_();
+  const parts = _parseJobIdTemplate_(fmt.template);
+  const now = new Date();
+  const taken = new Set(existingIds);
+  const lastByScope = new Map();
+
+  const out = rowObjs.map(rowObj => {
+    const values = _jobIdTokenValues_(fmt, rowObj, now);
+    const scope = _jobIdScope_(parts, values);
+    if (!lastByScope.has(scope)) {
+      _initJobSeqIfNeeded_(existingIds, parts, fmt, scope);
+      lastByScope.set(scope, StateManager.getJobIdSequence(scope));
+    }
+    let seq = lastByScope.get(scope);
+    let id;
+    do {
+      seq += 1;
+      id = _renderJobId_(parts, values, seq, fmt.sep);
+    } while (taken.has(id));
+    taken.add(id);
+    lastByScope.set(scope, seq);
+    return id;
+  });
+
+  if (!preview) lastByScope.forEach((seq, scope) => StateManager.setJobIdSequence(scope, seq));
+  return out;
+}
+
+// ---------- Job ID Integrity
+
+/**
+ * Rejects Job ID edits that collide with another requisition. A typed
+ * single-cell edit that creates a duplicate is reverted to its old value;
+ * pasted duplicates, whose old value the event does not carry, are kept and
+ * highlighted so candidates are never cut off from the original ID.
+ * @param {Sheet} sh - The Requisitions sheet
+ * @param {Object} hm - Header map
+ * @param {number} dataStartRow - First data row
+ * @param {Object} e - The edit event
+ * @returns {string[]} Job IDs that remain duplicated
+ */
+function _enforceUniqueJobIds_(sh, hm, dataStartRow, e) {
+  const col = hm[H_REQ.JobID];
+  const range = e.range;
+  // A typed edit has a value; its oldValue is only missing when the cell was blank
+  const typed = e.oldValue !== undefined || e.value !== undefined;
+  if (col && typed && range.getNumRows() === 1 && range.getNumColumns() === 1 && range.getRow() >= dataStartRow) {
+    const id = _normStr_(range.getValue());
+    const ids = sh.getRange(dataStartRow, col, sh.getLastRow() - dataStartRow + 1, 1).getValues();
+    const i = range.getRow() - dataStartRow;
+    if (id && ids.some((r, j) => j !== i && _normStr_(r[0]) === id)) {
+      range.setValue(e.oldValue !== undefined ? e.oldValue : '');
+      logWarn('Duplicate Job ID edit reverted', { row: range.getRow(), jobId: id });
+      toast(`Job ID "${id}" is already used by another requisition. The edit was reverted.`, 'Duplicate Job ID', 8);
+    }
+  }
+  const editedRows = Array.from({ length: range.getNumRows() }, (_, i) => range.getRow() + i);
+  return _highlightDuplicateJobIds_(sh, hm, dataStartRow, editedRows);
+}
+
+/**
+ * Highlights every Job ID cell shared by more than one requisition and clears
+ * the highlight once a collision is resolved. The user is only told about
+ * duplicates that involve one of the edited rows.
+ * @param {Sheet} sh - The Requisitions sheet
+ * @param {Object} hm - Header map
+ * @param {number} dataStartRow - First data row
+ * @param {number[]} editedRows - Optional rows just edited; omitted, nothing is toasted
+ * @returns {string[]} Duplicated Job IDs
+ */
+function _highlightDuplicateJobIds_(sh, hm, dataStartRow, editedRows) {
+  const col = hm[H_REQ.JobID];
+  const last = sh.getLastRow();
+  if (!col || last < dataStartRow) return [];
+
+  const idRange = sh.getRange(dataStartRow, col, last - dataStartRow + 1, 1);
+  const ids = idRange.getValues().map(r => _normStr_(r[0]));
+  const counts = new Map();
+  ids.forEach(id => { if (id) counts.set(id, (counts.get(id) || 0) + 1); });
+  const duplicates = new Set();
+  let changed = false;
+  const backgrounds = idRange.getBackgrounds().map((r, i) => {
+    const dup = ids[i] && counts.get(ids[i]) > 1;
+    if (dup) duplicates.add(ids[i]);
+    const current = String(r[0]).toLowerCase();
+    if (dup && current !== DUPLICATE_JOB_ID_COLOR) { changed = true; return [DUPLICATE_JOB_ID_COLOR]; }
+    if (!dup && current === DUPLICATE_JOB_ID_COLOR) { changed = true; return [null]; }
+    return [r[0]];
+  });
+  if (changed) idRange.setBackgrounds(backgrounds);
+
+  if (duplicates.size) {
+    logWarn('Duplicate Job IDs on Requisitions', { jobIds: Array.from(duplicates) });
+    const edited = new Set((editedRows || [])
+      .map(row => ids[row - dataStartRow])
+      .filter(id => duplicates.has(id)));
+    if (edited.size) {
+      toast(`Duplicate Job IDs highlighted: ${Array.from(edited).join(', ')}. Run System Admin > Repair Job IDs to fix.`, 'Duplicate Job ID', 10);
+    }
+  }
+  return Array.from(duplicates);
+}
+
+/**
+ * Finds duplicated Job IDs, IDs that do not match the Job ID template, and
+ * gaps in each sequence scope.
+ * @param {Array<{row: number, data: Object}>} reqRows - Rows from buildReqIndex
+ * @returns {{duplicates: Array, malformed: Array, gaps: Array<{scope: string, missing: number[]}>}}
+ */
+function _findJobIdProblems_(reqRows) {
+  const fmt = _getJobIdFormat_();
+  const parts = _parseJobIdTemplate_(fmt.template);
+  const firstRowById = new Map();
+  const seqsByScope = new Map();
+  const duplicates = [], malformed = [];
+
+  for (const { row, data } of reqRows) {
+    const jobId = _normStr_(data[H_REQ.JobID]);
+    if (!jobId) continue;
+    if (firstRowById.has(jobId)) {
+      duplicates.push({ row, jobId, data, keptRow: firstRowById.get(jobId) });
+      continue;
+    }
+    firstRowById.set(jobId, row);
+    const parsed = _parseJobId_(parts, fmt, jobId);
+    if (!parsed) {
+      malformed.push({ row, jobId, data });
+      continue;
+    }
+    if (!seqsByScope.has(parsed.scope)) seqsByScope.set(parsed.scope, new Set());
+    seqsByScope.get(parsed.scope).add(parsed.seq);
+  }
+
+  const gaps = [];
+  seqsByScope.forEach((seqs, scope) => {
+    const max = Math.max(...seqs);
+    const missing = [];
+    for (let n = 1; n <= max; n++) if (!seqs.has(n)) missing.push(n);
+    if (missing.length) gaps.push({ scope, missing });
+  });
+  return { duplicates, malformed, gaps };
+}
+
+/**
+ * Plans re-issued IDs for duplicated and malformed Job IDs.
+ * @param {Sheet} sh - The Requisitions sheet
+ * @param {Object} headerInfo - Requisitions header info
+ * @param {boolean} preview - When true, sequences are not advanced
+ * @returns {{problems: Object, changes: Array<{row: number, oldId: string, newId: string, title: string, keptTitle?: string}>}}
+ */
+function _planJobIdRepair_(sh, headerInfo, preview) {
+  const { headerMap: hm, dataStartRow } = headerInfo;
+  const { rows } = buildReqIndex(sh, hm, dataStartRow);
+  const problems = _findJobIdProblems_(rows);
+  const targets = problems.duplicates.concat(problems.malformed).sort((a, b) => a.row - b.row);
+
+  const existingIds = rows.map(r => _normStr_(r.data[H_REQ.JobID])).filter(Boolean);
+  const newIds = targets.length ? _allocateNextJobIds_(targets.map(t => t.data), existingIds, preview) : [];
+  const dataByRow = new Map(rows.map(r => [r.row, r.data]));
+
+  const changes = targets.map((t, i) => ({
+    row: t.row,
+    oldId: t.jobId,
+    newId: newIds[i],
+    title: _normStr_(t.data[H_REQ.JobTitle]),
+    keptTitle: t.keptRow ? _normStr_(dataByRow.get(t.keptRow)[H_REQ.JobTitle]) : undefined,
+  }));
+  return { problems, changes };
+}
+
+/**
+ * Renames a Job ID on every candidate row and stage history entry that references it
+ * (and moves the requisition's hold intervals on a full rename).
+ * @param {string} oldId - The Job ID being replaced
+ * @param {string} newId - The replacement Job ID
+ * @param {Function} matches - Optional filter (Candidate Database row object -> boolean);
+ *   when given, only matching candidates (and their Active rows and history) move
+ * @returns {{all: number, active: number, history: number}} Rows rewritten per sheet
+ */
+function _cascadeJobIdRename_(oldId, newId, matches) {
+  const ss = SpreadsheetApp.getActive();
+  const counts = { all: 0, active: 0, history: 0 };
+  const movedEmails = new Set();
+  const movedUidKeys = new Set();
+
+  const rewrite = (sh, anchor, jobIdHeader, emailHeader, shouldMove) => {
+    if (!sh) return 0;
+    const headerInfo = getHeaderInfo(sh, anchor);
+    if (!headerInfo || !headerInfo.headerMap[jobIdHeader]) return 0;
+    const { headerMap: hm, dataStartRow } = headerInfo;
     const last = sh.getLastRow();
-    if (last >= dataStartRow) {
-      const vals = sh.getRange(dataStartRow, colId, last - dataStartRow + 1, 1).getValues();
-      for (let i = 0; i < vals.length; i++) {
-        const v = (vals[i][0] || '').toString().trim();
-        const m = v.match(/^(\d{4})-(\d{4})$/);
-        if (m && +m[1] === yyyy) maxSeq = Math.max(maxSeq, +m[2]);
+    if (last < dataStartRow) return 0;
+
+    const values = sh.getRange(dataStartRow, 1, last - dataStartRow + 1, sh.getLastColumn()).getValues();
+    const col = hm[jobIdHeader] - 1;
+    let n = 0;
+    const out = values.map(r => {
+      if (_normStr_(r[col]) !== oldId) return [r[col]];
+      const obj = {};
+      Object.entries(hm).forEach(([h, c]) => { if (c - 1 < r.length) obj[h] = r[c - 1]; });
+      if (!shouldMove(obj, normEmail(obj[emailHeader]))) return [r[col]];
+      n++;
+      return [newId];
+    });
+    if (n) sh.getRange(dataStartRow, col + 1, out.length, 1).setValues(out);
+    return n;
+  };
+
+  counts.all = rewrite(ss.getSheetByName(SHEET_ALL), ANCHOR_HEADER_ALL, H_ALL.JobID, H_ALL.Email, (obj, email) => {
+    if (matches && !matches(obj)) return false;
+    movedEmails.add(email);
+    if (_normStr_(obj[H_ALL.UID])) movedUidKeys.add(candidateKey_(obj));
+    return true;
+  });
+  counts.active = rewrite(ss.getSheetByName(SHEET_ACTIVE), ANCHOR_HEADER_ACT, H_ACT.JobID, H_ACT.Email,
+    (obj, email) => !matches || movedEmails.has(email));
+
+  const hist = ss.getSheetByName(SHEET_STAGE_HISTORY);
+  if (hist && hist.getLastRow() > 1) {
+    const range = hist.getRange(2, 1, hist.getLastRow() - 1, 2);
+    const values = range.getValues();
+    values.forEach(r => {
+      if (_normStr_(r[1]) !== oldId) return;
+      const key = String(r[0]);
+      if (key.startsWith('uid:')) {
+        // UID keys do not contain the Job ID; only the Job ID column moves
+        if (matches && !movedUidKeys.has(key)) return;
+      } else {
+        const email = key.slice(key.indexOf('|') + 1);
+        if (matches && !movedEmails.has(email)) return;
+        if (key.startsWith(oldId + '|')) r[0] = newId + key.slice(oldId.length);
       }
-    }
+      r[1] = newId;
+      counts.history++;
+    });
+    if (counts.history) range.setValues(values);
   }
-  StateManager.setJobIdSequence(yyyy, maxSeq);
+
+  if (!matches) {
+    StateManager.renameReqHolds(oldId, newId);
+    counts.reqHistory = renameReqHistory_(oldId, newId);
+  }
+
+  logInfo('Job ID renamed on candidate records', { oldId, newId, ...counts });
+  return counts;
 }
 
-function _allocateNextJobIds_(count) {
-  const yyyy = new Date().getFullYear();
-  let last = StateManager.getJobIdSequence(yyyy);
-  const out = [];
-  for (let i = 0; i < count; i++) {
-    last += 1;
-    out.push(`${yyyy}-${String(last).padStart(4,'0')}`);
+/**
+ * Admin command: finds duplicated Job IDs, IDs that do not match the Job ID
+ * template, and sequence gaps. Proposes re-issued IDs and, once confirmed,
+ * applies them to Requisitions and every candidate row that references them.
+ * Gaps are reported only; sequence numbers are never reused.
+ */
+function Repair_Job_IDs() {
+  const ui = SpreadsheetApp.getUi();
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET_REQUISITIONS);
+  const headerInfo = sh && getHeaderInfo(sh, ANCHOR_HEADER_REQ);
+  if (!headerInfo || !headerInfo.headerMap[H_REQ.JobID]) {
+    ui.alert('Repair Job IDs', 'The Requisitions sheet or its Job ID column was not found.', ui.ButtonSet.OK);
+    return;
   }
-  StateManager.setJobIdSequence(yyyy, last);
-  return out;
+
+  const plan = _planJobIdRepair_(sh, headerInfo, true);
+  const { problems, changes } = plan;
+  const lines = [];
+  if (problems.duplicates.length) {
+    lines.push(`Duplicated IDs: ${problems.duplicates.length}`);
+  }
+  if (problems.malformed.length) {
+    lines.push(`IDs not matching the template: ${problems.malformed.length}`);
+  }
+  problems.gaps.forEach(g => {
+    const shown = g.missing.slice(0, 10).join(', ') + (g.missing.length > 10 ? ', ...' : '');
+    lines.push(`Sequence gap${g.scope ? ` (${g.scope})` : ''}: ${shown}`);
+  });
+
+  if (!changes.length) {
+    ui.alert('Repair Job IDs', lines.length
+      ? `No IDs need re-issuing.\n\n${lines.join('\n')}\n\nGaps are reported only; sequence numbers are never reused.`
+      : 'All Job IDs are unique and match the template.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const proposal = changes.slice(0, 25)
+    .map(c => `Row ${c.row}: ${c.oldId} -> ${c.newId}${c.title ? ` (${c.title})` : ''}`)
+    .join('\n') + (changes.length > 25 ? `\n...and ${changes.length - 25} more` : '');
+  const response = ui.alert('Repair Job IDs',
+    `${lines.join('\n')}\n\nProposed changes:\n${proposal}\n\n` +
+    'Candidate records that reference a changed ID will be updated. For duplicates, candidates ' +
+    'move only when their Job Title matches the re-issued requisition. Apply these changes?',
+    ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+
+  let applied = null;
+  withLock(() => {
+    const fresh = _planJobIdRepair_(sh, headerInfo, true);
+    if (JSON.stringify(fresh.changes) !== JSON.stringify(changes)) {
+      toast('Requisitions changed while the repair was pending. Run Repair Job IDs again.', 'Repair Cancelled', 10);
+      return;
+    }
+    const committed = _planJobIdRepair_(sh, headerInfo, false).changes;
+    const affected = new Set();
+    for (const c of committed) {
+      setRowValuesByHeaders(sh, headerInfo.headerMap, c.row, { [H_REQ.JobID]: c.newId });
+      const splitByTitle = c.keptTitle !== undefined;
+      const matches = splitByTitle
+        ? (c.title && c.title !== c.keptTitle ? (obj => _normStr_(obj[H_ALL.JobTitle]) === c.title) : (() => false))
+        : null;
+      _cascadeJobIdRename_(c.oldId, c.newId, matches);
+      affected.add(c.oldId);
+      affected.add(c.newId);
+    }
+    _highlightDuplicateJobIds_(sh, headerInfo.headerMap, headerInfo.dataStartRow);
+    syncJobIdDropdowns_();
+    enqueueTask_(TASK_TYPES.FORM_REFRESH, {}, 0);
+    enqueueAndSchedule_Reconcile(Array.from(affected));
+    applied = committed;
+  }, LOCK_TIMEOUT_LONG_MS);
+
+  if (!applied) return;
+  logInfo('Job IDs repaired', { changes: applied.map(c => `${c.oldId} -> ${c.newId}`) });
+  toast(`Re-issued ${applied.length} Job ID(s) and updated candidate records.`, 'Repair Complete', 8);
 }
 
 /**
  * Applies status-driven date stamps based on job status transitions.
  * Handles proper date logic for Open, On Hold, Closed, and Hired statuses.
+ * Status changes since the last recorded one are appended to Req_History.
+ * @param {number[]} rows - Requisition rows to process
+ * @param {string} note - Optional detail recorded with any status change (e.g. what caused it)
  */
-function applyReqStatusTransitionsForRows_(rows) {
+function applyReqStatusTransitionsForRows_(rows, note) {
   const ss = SpreadsheetApp.getActive();
   const sh = ss.getSheetByName(SHEET_REQUISITIONS);
   if (!sh) return;
@@ -48,7 +499,9 @@ function applyReqStatusTransitionsForRows_(rows) {
   const headerInfo = getHeaderInfo(sh, ANCHOR_HEADER_REQ);
   if (!headerInfo) return;
   const { headerMap: hm, dataStartRow } = headerInfo;
-  const now = nowDetroit();
+  const now = nowInTz();
+  const lastStatuses = new Map();
+  const events = [];
 
   for (const row of rows) {
     if (row < dataStartRow) continue;
@@ -57,10 +510,29 @@ function applyReqStatusTransitionsForRows_(rows) {
     const status = _normStr_(rowObj[H_REQ.JobStatus]);
 
     // When moving to a non-terminal state, clear the hired name field
-    if (status !== 'Hired' && hm[H_REQ.HiredCandidateName] && rowObj[H_REQ.HiredCandidateName]) {
+    // (kept while a multi-headcount requisition has seats filled)
+    const seatsFilled = Number(rowObj[H_REQ.PositionsFilled] || 0) > 0;
+    if (status !== 'Hired' && !seatsFilled && hm[H_REQ.HiredCandidateName] && rowObj[H_REQ.HiredCandidateName]) {
       up[H_REQ.HiredCandidateName] = '';
     }
 
+    const jobId = _normStr_(rowObj[H_REQ.JobID]);
+    if (jobId) _trackHoldInterval_(jobId, status, rowObj[H_REQ.OnHoldDate], now);
+
+    if (jobId && !lastStatuses.has(jobId)) lastStatuses.set(jobId, getLastReqStatus_(jobId));
+    const from = jobId ? lastStatuses.get(jobId) : status;
+    if (from !== status) {
+      const reopened = REOPEN_FROM_STATUSES.has(from) && OPEN_STATUSES.has(status);
+      const reopenCount = Number(rowObj[H_REQ.ReopenCount]) || 0;
+      const details = [
+        !from ? 'First recorded' : '',
+        reopened ? `Reopened${reopenCount ? ` (${reopenCount} total)` : ''}` : '',
+        note || '',
+      ].filter(Boolean).join('; ');
+      events.push({ jobId, from, to: status, details });
+      lastStatuses.set(jobId, status);
+    }
+
     switch (status) {
       case 'Open':
         // Only set Opened Date if it's not already set
@@ -118,6 +590,7 @@ function applyReqStatusTransitionsForRows_(rows) {
       setRowValuesByHeaders(sh, hm, row, up);
     }
   }
+  recordReqEvents_(events);
 }
 
 function ensureJobIds_() {
@@ -135,20 +608,21 @@ function ensureJobIds_() {
   const colId = hm[H_REQ.JobID], colTitle = hm[H_REQ.JobTitle], colStatus = hm[H_REQ.JobStatus];
   if (!colId || !colTitle || !colStatus) return;
 
-  _initJobSeqIfNeeded_(sh);
-
   const values = sh.getRange(dataStartRow, 1, last - dataStartRow + 1, sh.getLastColumn()).getValues();
 
-  let need = 0;
+  const existingIds = [];
+  const needing = [];
   for (let i = 0; i < values.length; i++) {
     const jobId = (values[i][colId-1] || '').toString().trim();
     const title = (values[i][colTitle-1] || '').toString().trim();
     const status = (values[i][colStatus-1] || '').toString().trim();
-    if ((title || status) && !jobId) {
-      need++;
+    if (jobId) {
+      existingIds.push(jobId);
+    } else if (title || status) {
+      needing.push(hm[H_REQ.Department] ? { [H_REQ.Department]: values[i][hm[H_REQ.Department]-1] } : {});
     }
   }
-  const newIds = need > 0 ? _allocateNextJobIds_(need) : [];
+  const newIds = needing.length > 0 ? _allocateNextJobIds_(needing, existingIds) : [];
   
   let newIdPtr = 0;
   for (let i = 0; i < values.length; i++) {
@@ -166,7 +640,7 @@ function ensureJobIds_() {
       if (newIdPtr < newIds.length) {
         updates[H_REQ.JobID] = newIds[newIdPtr++];
         if(hm[H_REQ.Created] && !rowObj[H_REQ.Created]) {
-           updates[H_REQ.Created] = nowDetroit();
+           updates[H_REQ.Created] = nowInTz();
         }
       }
     }
@@ -177,38 +651,150 @@ function ensureJobIds_() {
   }
 }
 
+/**
+ * Opens a hold interval when a requisition goes On Hold and closes it when the
+ * requisition leaves On Hold. Intervals survive On Hold Date being cleared, so
+ * every hold/resume cycle is kept.
+ * @param {string} jobId - The Job ID
+ * @param {string} status - The requisition's current status
+ * @param {Date|string} onHoldDate - The On Hold Date cell (seeds holds that predate tracking)
+ * @param {Date} now - Transition time
+ */
+function _trackHoldInterval_(jobId, status, onHoldDate, now) {
+  const holds = StateManager.getReqHolds(jobId);
+  const open = holds.length && !holds[holds.length - 1].end ? holds[holds.length - 1] : null;
+
+  if (status === 'On Hold' && !open) {
+    const start = onHoldDate ? new Date(onHoldDate) : now;
+    holds.push({ start: (isNaN(start) ? now : start).toISOString(), end: null });
+    StateManager.setReqHolds(jobId, holds);
+  } else if (status !== 'On Hold' && open) {
+    open.end = now.toISOString();
+    StateManager.setReqHolds(jobId, holds);
+  }
+}
+
+/**
+ * Business days a requisition spent On Hold between its opening and endDate.
+ * @param {Array<{start: string, end: string|null}>} holds - Hold intervals
+ * @param {Date|string} opened - Opened Date
+ * @param {Date} endDate - End of the Days Open window
+ * @param {string} calendar - Holiday calendar name
+ * @returns {number} Paused business days
+ */
+function _businessDaysOnHold_(holds, opened, endDate, calendar) {
+  const from = new Date(opened);
+  return holds.reduce((sum, h) => {
+    const start = new Date(Math.max(new Date(h.start), from));
+    const end = new Date(Math.min(h.end ? new Date(h.end) : endDate, endDate));
+    return sum + businessDaysBetween(start, end, calendar);
+  }, 0);
+}
+
+/**
+ * Reads the per-priority SLA targets from SETTINGS.
+ * @returns {Map<string, number>|null} Lower-cased priority ("*" = any) -> business days,
+ *   or null when the setting is missing
+ */
+function getPrioritySlaTargets_() {
+  const rules = getSettingMap_(SETTING_PRIORITY_SLA);
+  if (!rules) return null;
+  const targets = new Map();
+  rules.forEach((values, priority) => {
+    const days = parseInt(values[0], 10);
+    if (days > 0) targets.set(priority.toLowerCase(), days);
+    else logWarn('Invalid priority SLA ignored', { priority, value: values[0] });
+  });
+  return targets;
+}
+
+/**
+ * Reads the share of the SLA after which a requisition is At Risk ("80", "80%" or 0.8).
+ * @returns {number} Ratio between 0 and 1
+ */
+function _getSlaAtRiskRatio_() {
+  const raw = getSettingValue_(SETTING_SLA_AT_RISK, null);
+  let ratio = parseFloat(raw);
+  if (ratio > 1) ratio /= 100;
+  return ratio > 0 && ratio <= 1 ? ratio : DEFAULT_SLA_AT_RISK_RATIO;
+}
+
+/**
+ * Evaluates a requisition against its priority's SLA. Only open requisitions
+ * (Open / On Hold) are rated; everything else gets a blank status.
+ * @param {Map<string, number>} targets - From getPrioritySlaTargets_()
+ * @param {number} ratio - At Risk ratio
+ * @param {string} priority - Requisition Priority
+ * @param {string} status - Job Status
+ * @param {number} daysOpen - Business days open (excluding time On Hold)
+ * @returns {string} SLA_STATUS value or ''
+ */
+function _slaStatusFor_(targets, ratio, priority, status, daysOpen) {
+  if (!targets || !OPEN_STATUSES.has(status)) return '';
+  const target = targets.get(_normStr_(priority).toLowerCase()) || targets.get('*');
+  if (!target) return '';
+  if (daysOpen > target) return SLA_STATUS.BREACHED;
+  if (daysOpen >= target * ratio) return SLA_STATUS.AT_RISK;
+  return SLA_STATUS.ON_TRACK;
+}
+
+/**
+ * Recomputes Days Open, Days On Hold and (when priority SLAs are configured)
+ * SLA Status for the given Requisitions rows.
+ * @param {number[]} rows - Requisitions rows
+ */
 function Recompute_DaysOpen_Rows_(rows) {
   const ss = SpreadsheetApp.getActive();
   const sh = ss.getSheetByName(SHEET_REQUISITIONS);
   if (!sh || !rows || !rows.length) return;
   
-  const headerInfo = getHeaderInfo(sh, ANCHOR_HEADER_REQ);
+  let headerInfo = ensureHeaderColumn_(sh, ANCHOR_HEADER_REQ, H_REQ.DaysOnHold);
+  const slaTargets = getPrioritySlaTargets_();
+  if (headerInfo && slaTargets) headerInfo = ensureHeaderColumn_(sh, ANCHOR_HEADER_REQ, H_REQ.SLAStatus);
   if (!headerInfo) return;
-  const { headerMap: hm, dataStartRow } = headerInfo;
+  const slaRatio = _getSlaAtRiskRatio_();
 
-  if (!hm[H_REQ.DaysOpen] || !hm[H_REQ.Opened] || !hm[H_REQ.JobStatus]) return;
+  withDataContext_((ctx) => {
+    const reqT = ctx.table(SHEET_REQUISITIONS, ANCHOR_HEADER_REQ);
+    if (!reqT) return;
+    const { headerMap: hm, dataStartRow } = reqT;
+    if (!hm[H_REQ.DaysOpen] || !hm[H_REQ.Opened] || !hm[H_REQ.JobStatus]) return;
 
-  for (const row of rows) {
-    if (row < dataStartRow) continue;
-    const vals = getRowObjectByHeaders(sh, hm, row);
-    const status = _normStr_(vals[H_REQ.JobStatus]);
-    const opened = vals[H_REQ.Opened] || '';
-    const closed = vals[H_REQ.ClosedDate] || '';
-    const hired  = vals[H_REQ.PositionHiredDate] || '';
-    
-    let endDate = new Date();
-    if (status !== 'Open' && status !== 'On Hold') {
-      if (closed) endDate = new Date(closed);
-      else if (hired) endDate = new Date(hired);
-    }
-    const days = opened ? businessDaysBetween(opened, endDate) : 0;
-    if (String(days) !== String(vals[H_REQ.DaysOpen])) {
-      setRowValuesByHeaders(sh, hm, row, { [H_REQ.DaysOpen]: days });
+    for (const row of rows) {
+      if (row < dataStartRow) continue;
+      const vals = reqT.rowObject(row);
+      const status = _normStr_(vals[H_REQ.JobStatus]);
+      const opened = vals[H_REQ.Opened] || '';
+      const closed = vals[H_REQ.ClosedDate] || '';
+      const hired  = vals[H_REQ.PositionHiredDate] || '';
+      const jobId  = _normStr_(vals[H_REQ.JobID]);
+      
+      let endDate = new Date();
+      if (status !== 'Open' && status !== 'On Hold') {
+        if (closed) endDate = new Date(closed);
+        else if (hired) endDate = new Date(hired);
+      }
+      // Time On Hold is paused time: shown separately and excluded from Days Open
+      const calendar = getHolidayCalendarForLocation_(vals[H_REQ.ReportingLocation]);
+      const onHold = opened && jobId ? _businessDaysOnHold_(StateManager.getReqHolds(jobId), opened, endDate, calendar) : 0;
+      const days = opened ? Math.max(0, businessDaysBetween(opened, endDate, calendar) - onHold) : 0;
+      const updates = {};
+      if (String(days) !== String(vals[H_REQ.DaysOpen])) updates[H_REQ.DaysOpen] = days;
+      if (hm[H_REQ.DaysOnHold] && String(onHold) !== String(vals[H_REQ.DaysOnHold])) updates[H_REQ.DaysOnHold] = onHold;
+      if (hm[H_REQ.SLAStatus]) {
+        const sla = _slaStatusFor_(slaTargets, slaRatio, vals[H_REQ.Priority], status, days);
+        if (sla !== _normStr_(vals[H_REQ.SLAStatus])) updates[H_REQ.SLAStatus] = sla;
+      }
+      if (Object.keys(updates).length) reqT.set(row, updates);
     }
-  }
+  });
 }
 
 function Recompute_DaysOpen_All() {
+  return trackHandlerRun_('Recompute_DaysOpen_All', _recomputeDaysOpenAll_);
+}
+
+function _recomputeDaysOpenAll_() {
   const ss = SpreadsheetApp.getActive();
   const sh = ss.getSheetByName(SHEET_REQUISITIONS);
   if (!sh) return;
@@ -222,4 +808,32 @@ function Recompute_DaysOpen_All() {
 
   const allRows = Array.from({length: last - dataStartRow + 1}, (_, i) => dataStartRow + i);
   Recompute_DaysOpen_Rows_(allRows);
-}
\ No newline at end of file
+  return `${allRows.length} requisitions`;
+}
+
+/**
+ * Cascades a Job ID edited on Requisitions to the candidates filed under the old ID.
+ * Skipped when the old ID is still used by another requisition (the edit only
+ * resolved a duplicate) or when the edit was reverted.
+ * @param {Sheet} sh - The Requisitions sheet
+ * @param {Object} hm - Header map
+ * @param {number} dataStartRow - First data row
+ * @param {Object} e - The edit event (single Job ID cell)
+ * @returns {string[]} Job IDs affected by the rename (old and new), or empty
+ */
+function _propagateJobIdRename_(sh, hm, dataStartRow, e) {
+  const oldId = _normStr_(e.oldValue);
+  const newId = _normStr_(e.range.getValue());
+  if (!oldId || !newId || oldId === newId) return [];
+
+  const ids = sh.getRange(dataStartRow, hm[H_REQ.JobID], sh.getLastRow() - dataStartRow + 1, 1).getValues();
+  if (ids.some(r => _normStr_(r[0]) === oldId)) {
+    logInfo('Job ID rename not cascaded: old ID still used by another requisition', { oldId, newId });
+    return [];
+  }
+
+  const counts = _cascadeJobIdRename_(oldId, newId);
+  logInfo('Job ID renamed on Requisitions', { oldId, newId, row: e.range.getRow(), user: currentUserEmail_(), ...counts });
+  toast(`Job ID ${oldId} renamed to ${newId}: ${counts.all} candidate record(s) updated.`, 'Job ID Renamed', 6);
+  return [oldId, newId];
+}
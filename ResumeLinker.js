@@ -56,6 +56,7 @@ function processUploadedResumes(resumeData) {
     // Track results
     let linkedCount = 0;
     let createdCount = 0;
+    const newRowIndices = [];
     const failedFiles = []; // Track which files failed and why
     const jobIdsToReconcile = new Set();
 
@@ -100,7 +101,7 @@ function processUploadedResumes(resumeData) {
 
         if (existingRow) {
           // Match found - update existing candidate's timestamp
-          safeSetValue(allSheet, H_ALL.Updated, allSheet.getRange(existingRow, hm[H_ALL.Updated]), nowDetroit());
+          safeSetValue(allSheet, H_ALL.Updated, allSheet.getRange(existingRow, hm[H_ALL.Updated]), nowInTz());
           linkedCount++;
         } else if (emails.length > 0 || phones.length > 0) {
           // No match - create new candidate
@@ -111,8 +112,9 @@ function processUploadedResumes(resumeData) {
           newRowObj[H_ALL.LinkedIn] = linkedinUrls[0] || '';
           newRowObj[H_ALL.Resume] = driveUrl || '';  // Store Drive URL if available
           newRowObj[H_ALL.Source] = 'Resume Import';
-          newRowObj[H_ALL.Created] = nowDetroit();
-          newRowObj[H_ALL.Updated] = nowDetroit();
+          newRowObj[H_ALL.UID] = newCandidateUid_();
+          newRowObj[H_ALL.Created] = nowInTz();
+          newRowObj[H_ALL.Updated] = nowInTz();
 
           const currentLastRow = Math.max(allSheet.getLastRow(), headerInfo.headerRow);
           const newRowIdx = currentLastRow + 1;
@@ -158,6 +160,7 @@ function processUploadedResumes(resumeData) {
             jobIdsToReconcile.add(String(newRowObj[H_ALL.JobID]).trim());
           }
 
+          newRowIndices.push(newRowIdx);
           createdCount++;
         } else {
           // No contact info found in resume
@@ -169,6 +172,10 @@ function processUploadedResumes(resumeData) {
       }
     }
 
+    if (newRowIndices.length > 0) {
+      refreshPersonProfiles_(newRowIndices);
+    }
+
     // Batch reconciliation for all created candidates
     if (jobIdsToReconcile.size > 0) {
       reconcileActiveMembership_ByJobIds_(Array.from(jobIdsToReconcile));
@@ -290,6 +297,7 @@ function processResumeLinks(resumeData) {
     // Track results
     let linkedCount = 0;
     let createdCount = 0;
+    const newRowIndices = [];
     const failedFiles = [];
 
     // Process each URL
@@ -318,8 +326,9 @@ function processResumeLinks(resumeData) {
         newRowObj[H_ALL.Phone] = '';  // No phone available from URL only
         newRowObj[H_ALL.Resume] = driveUrl;
         newRowObj[H_ALL.Source] = 'Resume Link Import';
-        newRowObj[H_ALL.Created] = nowDetroit();
-        newRowObj[H_ALL.Updated] = nowDetroit();
+        newRowObj[H_ALL.UID] = newCandidateUid_();
+        newRowObj[H_ALL.Created] = nowInTz();
+        newRowObj[H_ALL.Updated] = nowInTz();
 
         const currentLastRow = Math.max(allSheet.getLastRow(), headerInfo.headerRow);
         const newRowIdx = currentLastRow + 1;
@@ -344,6 +353,7 @@ function processResumeLinks(resumeData) {
         // Update URL map for deduplication within this batch
         urlMap.set(normalizedUrl, newRowIdx);
 
+        newRowIndices.push(newRowIdx);
         createdCount++;
       } catch (err) {
         logWarn('Failed to process resume link', { filename: resume.filename, error: err.message });
@@ -351,6 +361,10 @@ function processResumeLinks(resumeData) {
       }
     }
 
+    if (newRowIndices.length > 0) {
+      refreshPersonProfiles_(newRowIndices);
+    }
+
     // Show toast notification in the spreadsheet
     const failedCount = failedFiles.length;
     const summary = `Resume links processed: ${linkedCount} already existed, ${createdCount} created, ${failedCount} failed`;
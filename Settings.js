@@ -35,4 +35,83 @@ function getDropdownConfigurations() {
     }
   }
   return configMap;
-}
\ No newline at end of file
+}
+
+/**
+ * Returns the candidate workflow stages in the order they are listed in SETTINGS.
+ * Accepts the Stage column header with or without its line break.
+ * @returns {string[]} Ordered stage names (empty if the column is missing)
+ */
+function getCandidateStageOrder_() {
+  const configurations = getDropdownConfigurations();
+  for (const [header, options] of configurations) {
+    const flat = String(header).replace(/\s+/g, ' ').trim();
+    if (flat === H_ALL.Stage.replace(/\s+/g, ' ')) {
+      return options.map(o => String(o).trim()).filter(Boolean);
+    }
+  }
+  return [];
+}
+
+/**
+ * Returns the first value listed under a SETTINGS header, for single-value settings.
+ * @param {string} header - The SETTINGS column header
+ * @param {*} fallback - Value returned when the column is missing or empty
+ * @returns {*} The configured value or the fallback
+ */
+function getSettingValue_(header, fallback) {
+  const options = getDropdownConfigurations().get(header);
+  return options && options.length ? options[0] : fallback;
+}
+
+/**
+ * Returns every value listed under a SETTINGS header, trimmed.
+ * @param {string} header - The SETTINGS column header
+ * @returns {string[]} Listed values (empty when the column is missing)
+ */
+function getSettingList_(header) {
+  return (getDropdownConfigurations().get(header) || []).map(_normStr_);
+}
+
+/**
+ * Reads a yes/no style SETTINGS value.
+ * @param {string} header - The SETTINGS column header
+ * @param {boolean} fallback - Value used when the setting is missing
+ * @returns {boolean} True when the setting is Yes/True/On/1
+ */
+function isSettingEnabled_(header, fallback) {
+  const v = getSettingValue_(header, null);
+  if (v === null) return !!fallback;
+  if (v === true) return true;
+  return /^(yes|y|true|on|1)$/i.test(String(v).trim());
+}
+
+/**
+ * Reads a rule-style SETTINGS column where each cell is "Key -> value, value"
+ * (or "Key = value, value"). Keys and values are compared case-insensitively
+ * by callers; "*" as a key applies to every key.
+ * @param {string} header - The SETTINGS column header
+ * @returns {Map<string, string[]>|null} Key -> values, or null when the column is missing
+ */
+function getSettingMap_(header) {
+  const options = getDropdownConfigurations().get(header);
+  if (!options) return null;
+  return parseSettingRules_(options);
+}
+
+/**
+ * Parses rule lines into a map. Lines without a separator are ignored.
+ * @param {string[]} lines - Rule lines such as "Open -> On Hold, Closed"
+ * @returns {Map<string, string[]>} Key -> values (repeated keys are merged)
+ */
+function parseSettingRules_(lines) {
+  const rules = new Map();
+  for (const line of lines) {
+    const m = String(line).match(/^(.+?)\s*(?:->|→|=)\s*(.*)$/);
+    if (!m) continue;
+    const key = m[1].trim();
+    const values = m[2].split(',').map(v => v.trim()).filter(Boolean);
+    rules.set(key, (rules.get(key) || []).concat(values));
+  }
+  return rules;
+}
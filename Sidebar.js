@@ -8,4 +8,15 @@ function showImportSidebar() {
       .setTitle('Importing Toolkit')
       .setWidth(350);
   SpreadsheetApp.getUi().showSidebar(html);
-}
\ No newline at end of file
+}
+
+/**
+ * Shows the admin sidebar listing queued background work, triggers and the
+ * last run of each background handler.
+ */
+function showQueueMonitorSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile('QueueMonitor.html')
+      .setTitle('Queue & Trigger Monitor')
+      .setWidth(350);
+  SpreadsheetApp.getUi().showSidebar(html);
+}
@@ -0,0 +1,202 @@
+/** @file StageHistory.gs - Append-only ledger of candidate workflow stage transitions. */
+
+/**
+ * Returns the hidden Stage_History sheet, creating it on first use.
+ * @returns {Sheet} The ledger sheet
+ */
+function _getStageHistorySheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(SHEET_STAGE_HISTORY);
+  if (!sh) {
+    const headers = Object.values(H_STAGE_HIST);
+    sh = ss.insertSheet(SHEET_STAGE_HISTORY);
+    sh.hideSheet();
+    sh.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sh.setFrozenRows(1);
+  }
+  return sh;
+}
+
+/**
+ * Appends stage transitions to the ledger in a single batch.
+ * Entries where the stage did not actually change are ignored.
+ * @param {Array<{key: string, jobId: string, from: string, to: string, user?: string}>} transitions
+ * @returns {number} Number of rows written
+ */
+function recordStageTransitions_(transitions) {
+  if (!transitions || !transitions.length) return 0;
+
+  const now = nowInTz();
+  const out = [];
+  for (const t of transitions) {
+    const from = _normStr_(t.from);
+    const to = _normStr_(t.to);
+    if (!t.key || from === to) continue;
+    out.push([t.key, _normStr_(t.jobId), from, to, now, t.user || currentUserEmail_()]);
+  }
+  if (!out.length) return 0;
+
+  try {
+    const sh = _getStageHistorySheet_();
+    sh.getRange(sh.getLastRow() + 1, 1, out.length, out[0].length).setValues(out);
+  } catch (e) {
+    logWarn('Failed to record stage transitions', { count: out.length, error: e.message });
+    return 0;
+  }
+  return out.length;
+}
+
+/**
+ * Builds a stage transition entry for a Candidate Database row object. Entries
+ * are keyed by candidateKey_, so a candidate's history survives email
+ * corrections and Job ID renames once they have a Candidate UID.
+ * @param {Object} rowObj - Row object keyed by Candidate Database headers
+ * @param {string} from - Previous stage
+ * @param {string} to - New stage
+ * @param {string} user - Acting user (defaults to the current user)
+ * @returns {Object|null} Transition entry or null when the row has no identity
+ */
+function stageTransitionFor_(rowObj, from, to, user) {
+  const jobId = _normStr_(rowObj[H_ALL.JobID]);
+  const email = normEmail(rowObj[H_ALL.Email]);
+  if (!_normStr_(rowObj[H_ALL.UID]) && !jobId && !email) return null;
+  return { key: candidateKey_(rowObj), jobId, from, to, user };
+}
+
+/**
+ * Returns the ledger keys a candidate's entries may be stored under, most
+ * specific first: the Candidate UID key, then the "jobId|email" key used for
+ * entries recorded before the row had a UID.
+ * @param {Object} rowObj - Candidate Database or Active Candidates row object
+ * @returns {string[]} Ledger keys to look up in order
+ */
+function stageHistoryKeysFor_(rowObj) {
+  const legacy = keyFor(_normStr_(rowObj[H_ALL.JobID]), normEmail(rowObj[H_ALL.Email]));
+  const key = candidateKey_(rowObj);
+  return key === legacy ? [key] : [key, legacy];
+}
+
+/**
+ * Moves ledger entries recorded under "jobId|email" keys onto the Candidate
+ * UID key of the same candidate, so their history reads as one.
+ * @param {Map<string, string>} uidByKey - keyFor(jobId, email) -> Candidate UID
+ * @returns {number} Number of entries rekeyed
+ */
+function rekeyStageHistoryToUids_(uidByKey) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET_STAGE_HISTORY);
+  if (!sh || sh.getLastRow() < 2) return 0;
+
+  const range = sh.getRange(2, 1, sh.getLastRow() - 1, 1);
+  const values = range.getValues();
+  let n = 0;
+  values.forEach(r => {
+    const uid = uidByKey.get(String(r[0]));
+    if (!uid) return;
+    r[0] = `uid:${uid}`;
+    n++;
+  });
+  if (n) range.setValues(values);
+  return n;
+}
+
+/**
+ * Reads the full ledger in recorded order.
+ * @returns {Array<{key: string, jobId: string, from: string, to: string, timestamp: Date, user: string}>}
+ */
+function readStageHistory_() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET_STAGE_HISTORY);
+  if (!sh || sh.getLastRow() < 2) return [];
+
+  const width = Object.keys(H_STAGE_HIST).length;
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, width).getValues();
+  return values
+    .filter(r => r[0])
+    .map(r => ({
+      key: String(r[0]),
+      jobId: _normStr_(r[1]),
+      from: _normStr_(r[2]),
+      to: _normStr_(r[3]),
+      timestamp: r[4] instanceof Date ? r[4] : new Date(r[4]),
+      user: _normStr_(r[5]),
+    }));
+}
+
+/**
+ * Returns the most recently recorded stage for each candidate key.
+ * @returns {Map<string, string>} Candidate key -> last recorded stage
+ */
+function getLastRecordedStages_() {
+  const last = new Map();
+  for (const entry of readStageHistory_()) last.set(entry.key, entry.to);
+  return last;
+}
+
+/**
+ * Works out each edited row's stage before a Candidate Database edit.
+ * Typed single-cell edits use the event's oldValue (blank when the cell was
+ * empty). Pastes and multi-cell edits fall back to the last stage recorded in
+ * the ledger, then to the stage on the row's Active Candidates copy, which is
+ * not synced until after the edit.
+ * @param {Sheet} sh - The Candidate Database sheet
+ * @param {Object} hm - Header map
+ * @param {number[]} rows - Edited data rows
+ * @param {Object} e - The edit event
+ * @returns {Map<number, {obj: Object, from: (string|null)}>} Row -> current row object and
+ *   previous stage (null when it cannot be known)
+ */
+function previousStagesForEdit_(sh, hm, rows, e) {
+  const range = e.range;
+  const typed = range.getNumRows() === 1 && range.getNumColumns() === 1 &&
+    (e.oldValue !== undefined || e.value !== undefined);
+  const lastStages = typed ? null : getLastRecordedStages_();
+  let active = null;
+
+  const out = new Map();
+  for (const row of rows) {
+    const obj = getRowObjectByHeaders(sh, hm, row);
+    let from = null;
+    if (typed) {
+      from = _normStr_(e.oldValue);
+    } else {
+      const key = stageHistoryKeysFor_(obj).find(k => lastStages.has(k));
+      if (key) {
+        from = lastStages.get(key);
+      } else {
+        if (!active) active = _readActiveStages_();
+        const actRow = active.built && findCandidateRow_(active.built, obj);
+        if (actRow) from = _normStr_(active.dataByRow.get(actRow)[H_ACT.Stage]);
+      }
+    }
+    out.set(row, { obj, from });
+  }
+  return out;
+}
+
+/**
+ * Indexes the Active Candidates rows for looking up a candidate's synced stage.
+ * @returns {{built: (Object|null), dataByRow: Map<number, Object>}} Index (null when the sheet is missing)
+ */
+function _readActiveStages_() {
+  const act = SpreadsheetApp.getActive().getSheetByName(SHEET_ACTIVE);
+  const actHeaderInfo = act && getHeaderInfo(act, ANCHOR_HEADER_ACT);
+  if (!actHeaderInfo || !actHeaderInfo.headerMap[H_ACT.Stage]) return { built: null, dataByRow: new Map() };
+  const built = buildCandidateIndex(act, actHeaderInfo.headerMap, actHeaderInfo.dataStartRow);
+  return { built, dataByRow: new Map(built.rows.map(r => [r.row, r.data])) };
+}
+
+/**
+ * Records stage edits made directly on the Candidate Database. Rows whose
+ * previous stage cannot be known, or whose stage did not change, are skipped.
+ * @param {Map<number, {obj: Object, from: (string|null)}>} previous - Result of
+ *   previousStagesForEdit_ (after enforceCandidateWorkflow_ has reverted illegal moves)
+ */
+function recordStageEdits_(previous) {
+  const user = currentUserEmail_();
+  const transitions = [];
+  previous.forEach(({ obj, from }) => {
+    if (from === null) return;
+    const entry = stageTransitionFor_(obj, from, _normStr_(obj[H_ALL.Stage]), user);
+    if (entry) transitions.push(entry);
+  });
+  recordStageTransitions_(transitions);
+}
@@ -0,0 +1,172 @@
+/** @file StageSla.gs - Per-stage SLAs measured from the date a candidate entered their current stage. */
+
+/**
+ * Reads the per-stage SLA targets from SETTINGS.
+ * @returns {Map<string, number>|null} Lower-cased stage -> business days allowed,
+ *   or null when the setting is missing
+ */
+function getStageSlaTargets_() {
+  const rules = getSettingMap_(SETTING_STAGE_SLA);
+  if (!rules) return null;
+  const targets = new Map();
+  rules.forEach((values, stage) => {
+    const days = parseInt(values[0], 10);
+    if (days > 0) targets.set(stage.toLowerCase(), days);
+    else logWarn('Invalid stage SLA ignored', { stage, value: values[0] });
+  });
+  return targets;
+}
+
+/**
+ * Evaluates every Candidate Database row against its stage's SLA. The stage
+ * entry date is the latest Stage_History transition into the current stage;
+ * candidates without one (e.g. never moved) fall back to their Created Date.
+ * Days are business days on the requisition's holiday calendar.
+ * @returns {{results: Array<Object>, configured: boolean}} One result per candidate row:
+ *   { row, key, keys, name, jobId, jobTitle, stage, recruiter, entered, days, target, status }
+ *   (keys are the candidate's ledger keys from stageHistoryKeysFor_; key is the first)
+ */
+function computeStageSlas_() {
+  const targets = getStageSlaTargets_();
+  const ss = SpreadsheetApp.getActive();
+  const all = ss.getSheetByName(SHEET_ALL);
+  const allHeaderInfo = all && getHeaderInfo(all, ANCHOR_HEADER_ALL);
+  if (!targets || !allHeaderInfo) return { results: [], configured: !!targets };
+
+  const reqInfo = new Map();
+  const req = ss.getSheetByName(SHEET_REQUISITIONS);
+  const reqHeaderInfo = req && getHeaderInfo(req, ANCHOR_HEADER_REQ);
+  if (reqHeaderInfo && req.getLastRow() >= reqHeaderInfo.dataStartRow) {
+    const { headerMap: hm, dataStartRow } = reqHeaderInfo;
+    const values = req.getRange(dataStartRow, 1, req.getLastRow() - dataStartRow + 1, req.getLastColumn()).getValues();
+    const cell = (r, h) => hm[h] ? _normStr_(r[hm[h] - 1]) : '';
+    for (const r of values) {
+      const jobId = cell(r, H_REQ.JobID);
+      if (jobId) reqInfo.set(jobId, { recruiter: cell(r, H_REQ.JobOwner), location: cell(r, H_REQ.ReportingLocation) });
+    }
+  }
+
+  const lastEntry = new Map();
+  for (const h of readStageHistory_()) lastEntry.set(h.key, h);
+
+  const ratio = _getSlaAtRiskRatio_();
+  const now = new Date();
+  const { rows } = buildCandidateIndex(all, allHeaderInfo.headerMap, allHeaderInfo.dataStartRow);
+  const results = rows.map(({ row, data }) => {
+    const stage = _normStr_(data[H_ALL.Stage]);
+    const jobId = _normStr_(data[H_ALL.JobID]);
+    const keys = stageHistoryKeysFor_(data);
+    const info = reqInfo.get(jobId) || { recruiter: '', location: '' };
+    const result = {
+      row, key: keys[0], keys, stage, jobId,
+      name: _normStr_(data[H_ALL.FullName]),
+      jobTitle: _normStr_(data[H_ALL.JobTitle]),
+      recruiter: info.recruiter,
+      entered: null, days: 0, target: targets.get(stage.toLowerCase()) || 0, status: '',
+    };
+    if (!result.target) return result;
+
+    const entry = lastEntry.get(keys.find(k => lastEntry.has(k)));
+    const entered = entry && entry.to === stage ? entry.timestamp : data[H_ALL.Created];
+    if (!entered || isNaN(new Date(entered))) return result;
+
+    result.entered = new Date(entered);
+    result.days = businessDaysBetween(result.entered, now, getHolidayCalendarForLocation_(info.location));
+    if (result.days > result.target) result.status = SLA_STATUS.BREACHED;
+    else if (result.days >= result.target * ratio) result.status = SLA_STATUS.AT_RISK;
+    else result.status = SLA_STATUS.ON_TRACK;
+    return result;
+  });
+  return { results, configured: true };
+}
+
+/**
+ * Writes a Stage SLA Status column in one batch, only when a value changed.
+ * @param {Sheet} sh - Candidate sheet
+ * @param {Object} headerInfo - Fresh header info containing the column
+ * @param {string} header - Stage SLA Status header
+ * @param {function(number, Object): string} statusFor - Row number and row data -> status
+ * @returns {number} Number of changed cells
+ */
+function _writeStageSlaColumn_(sh, headerInfo, header, statusFor) {
+  const { headerMap: hm, dataStartRow } = headerInfo;
+  const lastRow = sh.getLastRow();
+  if (!hm[header] || lastRow < dataStartRow) return 0;
+
+  const { rows } = buildCandidateIndex(sh, hm, dataStartRow);
+  const range = sh.getRange(dataStartRow, hm[header], lastRow - dataStartRow + 1, 1);
+  const current = range.getValues();
+  const next = current.map(r => [r[0]]);
+  let changed = 0;
+  for (const { row, data } of rows) {
+    const value = statusFor(row, data);
+    if (_normStr_(current[row - dataStartRow][0]) === value) continue;
+    next[row - dataStartRow][0] = value;
+    changed++;
+  }
+  if (changed) range.setValues(next);
+  return changed;
+}
+
+/**
+ * Daily trigger / menu command: flags candidates who have stayed in their
+ * stage longer than the "Stage SLA (Business Days)" setting allows, on both
+ * Candidate Database and Active Candidates.
+ * @returns {string} Summary of the run
+ */
+function Evaluate_Stage_SLAs() {
+  return trackHandlerRun_('Evaluate_Stage_SLAs', _evaluateStageSlas_);
+}
+
+/**
+ * Body of Evaluate_Stage_SLAs.
+ * @returns {string} Summary of the run
+ */
+function _evaluateStageSlas_() {
+  const { results, configured } = computeStageSlas_();
+  if (!configured) {
+    logInfo('Stage SLAs not configured - skipping evaluation', { setting: SETTING_STAGE_SLA });
+    return 'Not configured';
+  }
+
+  const ss = SpreadsheetApp.getActive();
+  const statusByRow = new Map(results.map(r => [r.row, r.status]));
+  const statusByKey = new Map();
+  results.forEach(r => r.keys.forEach(k => { if (!statusByKey.has(k)) statusByKey.set(k, r.status); }));
+
+  const all = ss.getSheetByName(SHEET_ALL);
+  const allHeaderInfo = all && ensureHeaderColumn_(all, ANCHOR_HEADER_ALL, H_ALL.StageSLA);
+  const changedAll = allHeaderInfo
+    ? _writeStageSlaColumn_(all, allHeaderInfo, H_ALL.StageSLA, (row) => statusByRow.get(row) || '')
+    : 0;
+
+  const act = ss.getSheetByName(SHEET_ACTIVE);
+  const actHeaderInfo = act && ensureHeaderColumn_(act, ANCHOR_HEADER_ACT, H_ACT.StageSLA);
+  const changedAct = actHeaderInfo
+    ? _writeStageSlaColumn_(act, actHeaderInfo, H_ACT.StageSLA,
+      (row, data) => statusByKey.get(stageHistoryKeysFor_(data).find(k => statusByKey.has(k))) || '')
+    : 0;
+
+  const breached = results.filter(r => r.status === SLA_STATUS.BREACHED).length;
+  logInfo('Stage SLAs evaluated', { candidates: results.length, breached, changedAll, changedAct });
+  if (breached) {
+    enqueueNotification_('Stage SLAs Breached',
+      `${breached} candidate(s) are past their stage SLA. See the Stage SLA Status column or Stale Candidates on the dashboard.`);
+  }
+  return `${breached} breached`;
+}
+
+/**
+ * Builds the Stale Candidates dashboard list: every candidate past their
+ * stage SLA, grouped by recruiter and longest-waiting first.
+ * @returns {Array[]} Header row followed by one row per stale candidate
+ */
+function _buildStaleCandidateRows_() {
+  const header = ['Recruiter', 'Candidate', 'Job ID', 'Job Title', 'Stage', 'Days In Stage', 'SLA (Days)'];
+  const { results } = computeStageSlas_();
+  const rows = results
+    .filter(r => r.status === SLA_STATUS.BREACHED)
+    .map(r => [r.recruiter || 'Unassigned', r.name, r.jobId, r.jobTitle, r.stage, r.days, r.target])
+    .sort((a, b) => String(a[0]).localeCompare(String(b[0])) || b[5] - a[5]);
+  return [header].concat(rows);
+}
@@ -67,9 +67,30 @@ const StateManager = {
   // ---------- Recursion Guard ----------
   
   /**
-   * Sets a flag to prevent recursive function calls
+   * Sets the flag that prevents recursive function calls, tagged with the
+   * execution that holds it
+   * @param {string} owner - Execution ID of the holder
+   * @param {number} expires - Time (ms since epoch) after which the guard is stale
    */
-  setRecursionGuard: () => StateManager._setProperty(CACHE_KEYS.REC_GUARD(), '1'),
+  setRecursionGuard: (owner, expires) => StateManager._setProperty(CACHE_KEYS.REC_GUARD(),
+    JSON.stringify({ owner, setAt: Date.now(), expires })),
+  
+  /**
+   * Gets the recursion guard. Guards written before they carried an owner
+   * (or unreadable ones) come back with an unknown owner, already expired.
+   * @returns {{owner: string, setAt: number, expires: number}|null} Guard, or null when not set
+   */
+  getRecursionGuard: () => {
+    const value = StateManager._getProperty(CACHE_KEYS.REC_GUARD());
+    if (value === null) return null;
+    try {
+      const guard = JSON.parse(value);
+      if (guard && guard.owner && guard.expires) return guard;
+    } catch (e) {
+      // Fall through to the legacy shape
+    }
+    return { owner: 'unknown', setAt: 0, expires: 0 };
+  },
   
   /**
    * Checks if recursion guard is active
@@ -79,39 +100,46 @@ const StateManager = {
   
   /**
    * Removes the recursion guard
+   * @param {string} owner - Optional; only removes a guard held by this execution ID
    */
-  deleteRecursionGuard: () => StateManager._deleteProperty(CACHE_KEYS.REC_GUARD()),
+  deleteRecursionGuard: (owner) => {
+    if (owner) {
+      const guard = StateManager.getRecursionGuard();
+      if (!guard || guard.owner !== owner) return;
+    }
+    StateManager._deleteProperty(CACHE_KEYS.REC_GUARD());
+  },
 
   // ---------- Job ID Sequencer ----------
   
   /**
-   * Gets the current job ID sequence number for a year
-   * @param {number} year - The year (e.g., 2025)
+   * Gets the current job ID sequence number for a sequence scope
+   * @param {string|number} scope - Scope key (e.g., 2025 or "ENG:27")
    * @returns {number} Current sequence number
    */
-  getJobIdSequence: (year) => {
-    const key = `${PROP_JOBSEQ_PREFIX}${year}`;
+  getJobIdSequence: (scope) => {
+    const key = `${PROP_JOBSEQ_PREFIX}${scope}`;
     const value = StateManager._getProperty(key);
     return Number(value || '0');
   },
   
   /**
-   * Sets the job ID sequence number for a year
-   * @param {number} year - The year (e.g., 2025)
+   * Sets the job ID sequence number for a sequence scope
+   * @param {string|number} scope - Scope key (e.g., 2025 or "ENG:27")
    * @param {number} value - The sequence number
    */
-  setJobIdSequence: (year, value) => {
-    const key = `${PROP_JOBSEQ_PREFIX}${year}`;
+  setJobIdSequence: (scope, value) => {
+    const key = `${PROP_JOBSEQ_PREFIX}${scope}`;
     StateManager._setProperty(key, String(value));
   },
   
   /**
-   * Checks if job ID sequence has been initialized for a year
-   * @param {number} year - The year to check
+   * Checks if job ID sequence has been initialized for a sequence scope
+   * @param {string|number} scope - Scope key to check
    * @returns {boolean} True if initialized
    */
-  isJobIdSequenceInitialized: (year) => {
-    const key = `${PROP_JOBSEQ_PREFIX}${year}`;
+  isJobIdSequenceInitialized: (scope) => {
+    const key = `${PROP_JOBSEQ_PREFIX}${scope}`;
     return StateManager._getProperty(key) !== null;
   },
 
@@ -178,6 +206,222 @@ const StateManager = {
    */
   setSettingsHash: (hash) => StateManager._setProperty(PROP_SETTINGS_HASH, hash),
 
+  // ---------- Requisition Hold Intervals ----------
+  
+  /**
+   * Gets the On Hold intervals recorded for a requisition
+   * @param {string} jobId - The Job ID
+   * @returns {Array<{start: string, end: string|null}>} ISO timestamps; end is null while on hold
+   */
+  getReqHolds: (jobId) => {
+    const value = StateManager._getProperty(`${PROP_HOLDS_PREFIX}${jobId}`);
+    if (!value) return [];
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      logWarn('Corrupt hold intervals ignored', { jobId, error: e.message });
+      return [];
+    }
+  },
+  
+  /**
+   * Stores the On Hold intervals for a requisition (deletes the key when empty)
+   * @param {string} jobId - The Job ID
+   * @param {Array<{start: string, end: string|null}>} holds - Intervals
+   */
+  setReqHolds: (jobId, holds) => {
+    const key = `${PROP_HOLDS_PREFIX}${jobId}`;
+    if (holds && holds.length) StateManager._setProperty(key, JSON.stringify(holds));
+    else StateManager._deleteProperty(key);
+  },
+  
+  /**
+   * Moves a requisition's hold intervals to a new Job ID
+   * @param {string} oldId - Previous Job ID
+   * @param {string} newId - New Job ID
+   */
+  renameReqHolds: (oldId, newId) => {
+    const holds = StateManager.getReqHolds(oldId);
+    if (!holds.length) return;
+    StateManager.setReqHolds(newId, holds);
+    StateManager.setReqHolds(oldId, []);
+  },
+
+  // ---------- Requisition Last Status ----------
+
+  /**
+   * Gets the last status recorded in Req_History for a requisition
+   * @param {string} jobId - The Job ID
+   * @returns {string} Last recorded status ('' when none)
+   */
+  getLastReqStatus: (jobId) => StateManager._getProperty(`${PROP_REQ_STATUS_PREFIX}${jobId}`) || '',
+
+  /**
+   * Stores the last recorded status of several requisitions in one write
+   * @param {Map<string, string>} statuses - Job ID -> status
+   */
+  setLastReqStatuses: (statuses) => {
+    if (!statuses.size) return;
+    const props = {};
+    statuses.forEach((status, jobId) => { props[`${PROP_REQ_STATUS_PREFIX}${jobId}`] = status; });
+    try {
+      PropertiesService.getDocumentProperties().setProperties(props);
+    } catch (e) {
+      logWarn('Failed to set requisition statuses', { count: statuses.size, error: e.message });
+    }
+  },
+
+  /**
+   * Moves a requisition's last recorded status to a new Job ID
+   * @param {string} oldId - Previous Job ID
+   * @param {string} newId - New Job ID
+   */
+  renameLastReqStatus: (oldId, newId) => {
+    const status = StateManager.getLastReqStatus(oldId);
+    if (!status) return;
+    StateManager._setProperty(`${PROP_REQ_STATUS_PREFIX}${newId}`, status);
+    StateManager._deleteProperty(`${PROP_REQ_STATUS_PREFIX}${oldId}`);
+  },
+
+  // ---------- Resumable Job Cursors ----------
+  
+  /**
+   * Gets the checkpoint of a resumable job
+   * @param {string} name - Job name
+   * @returns {Object|null} Cursor ({step, offset, total, ...}) or null when the job is not running
+   */
+  getJobCursor: (name) => {
+    const value = StateManager._getProperty(`${PROP_JOB_PREFIX}${name}`);
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      logWarn('Corrupt job cursor ignored', { name, error: e.message });
+      return null;
+    }
+  },
+  
+  /**
+   * Stores the checkpoint of a resumable job
+   * @param {string} name - Job name
+   * @param {Object} cursor - Cursor to store
+   */
+  setJobCursor: (name, cursor) => StateManager._setProperty(`${PROP_JOB_PREFIX}${name}`, JSON.stringify(cursor)),
+  
+  /**
+   * Removes a job's checkpoint (job finished or abandoned)
+   * @param {string} name - Job name
+   */
+  deleteJobCursor: (name) => StateManager._deleteProperty(`${PROP_JOB_PREFIX}${name}`),
+
+  // ---------- Edit Replay Queue ----------
+  
+  /**
+   * Gets the edits waiting to be replayed, oldest first
+   * @returns {Array<Object>} Queued edit entries (see EditReplay.js)
+   */
+  getEditQueue: () => {
+    const value = StateManager._getProperty(PROP_EDIT_QUEUE);
+    if (!value) return [];
+    try {
+      const entries = JSON.parse(value);
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      logWarn('Corrupt edit queue ignored', { error: e.message });
+      return [];
+    }
+  },
+  
+  /**
+   * Stores the edit replay queue (deletes the key when empty)
+   * @param {Array<Object>} entries - Queued edit entries
+   */
+  setEditQueue: (entries) => {
+    if (entries && entries.length) StateManager._setProperty(PROP_EDIT_QUEUE, JSON.stringify(entries));
+    else StateManager._deleteProperty(PROP_EDIT_QUEUE);
+  },
+
+  // ---------- Task Queue ----------
+
+  /**
+   * Gets the queued background tasks, in the order they were queued
+   * @returns {Array<Object>} Tasks ({id, type, payload, attempts, runAt, ...}; see TaskQueue.js)
+   */
+  getTaskQueue: () => StateManager._getJsonList(PROP_TASK_QUEUE, 'task queue'),
+
+  /**
+   * Stores the task queue (deletes the key when empty)
+   * @param {Array<Object>} tasks - Queued tasks
+   */
+  setTaskQueue: (tasks) => StateManager._setJsonList(PROP_TASK_QUEUE, tasks),
+
+  /**
+   * Gets the tasks that kept failing and were set aside, oldest first
+   * @returns {Array<Object>} Dead-letter entries ({id, type, payload, attempts, lastError, failedAt, ...})
+   */
+  getDeadLetters: () => StateManager._getJsonList(PROP_TASK_DEAD, 'dead-letter list'),
+
+  /**
+   * Stores the dead-letter list (deletes the key when empty)
+   * @param {Array<Object>} tasks - Dead-letter entries
+   */
+  setDeadLetters: (tasks) => StateManager._setJsonList(PROP_TASK_DEAD, tasks),
+
+  /**
+   * Reads a JSON array property
+   * @param {string} key - Property key
+   * @param {string} what - Description used when the value is corrupt
+   * @returns {Array} Stored array, or [] when missing or corrupt
+   */
+  _getJsonList: (key, what) => {
+    const value = StateManager._getProperty(key);
+    if (!value) return [];
+    try {
+      const list = JSON.parse(value);
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      logWarn(`Corrupt ${what} ignored`, { error: e.message });
+      return [];
+    }
+  },
+
+  /**
+   * Stores a JSON array property (deletes the key when empty)
+   * @param {string} key - Property key
+   * @param {Array} list - Array to store
+   */
+  _setJsonList: (key, list) => {
+    if (list && list.length) StateManager._setProperty(key, JSON.stringify(list));
+    else StateManager._deleteProperty(key);
+  },
+
+  // ---------- Handler Run History ----------
+
+  /**
+   * Records the latest run of a trigger handler
+   * @param {string} handler - Handler function name
+   * @param {{at: number, ms: number, ok: boolean, result: string}} run - Run summary
+   */
+  setHandlerRun: (handler, run) => StateManager._setProperty(`${PROP_HANDLER_RUN_PREFIX}${handler}`, JSON.stringify(run)),
+
+  /**
+   * Gets the latest recorded run of every trigger handler
+   * @returns {Object<string, Object>} Handler name -> run summary
+   */
+  getHandlerRuns: () => {
+    const allProps = StateManager._getProperties();
+    const runs = {};
+    for (const key in allProps) {
+      if (!key.startsWith(PROP_HANDLER_RUN_PREFIX)) continue;
+      try {
+        runs[key.substring(PROP_HANDLER_RUN_PREFIX.length)] = JSON.parse(allProps[key]);
+      } catch (e) {
+        logWarn('Corrupt handler run ignored', { key, error: e.message });
+      }
+    }
+    return runs;
+  },
+
   // ---------- Generic Property Access ----------
   
   /**
@@ -0,0 +1,370 @@
+/** @file TaskQueue.gs - Durable queue of typed background tasks with retries, backoff and a dead-letter list. */
+
+/**
+ * Returns how a task type runs and how queued payloads of that type combine.
+ * run(payload) throws to have the task retried. merge(queued, payload) returns
+ * the combined payload, or null when both must run; types without merge only
+ * drop exact duplicates.
+ * @param {string} type - Task type (TASK_TYPES)
+ * @returns {{run: function(Object), merge: function(Object, Object): Object|null}|null} Null when unknown
+ */
+function _getTaskType_(type) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b) ? a : null;
+  switch (type) {
+    case TASK_TYPES.RECONCILE:
+      return { run: _runReconcileTask_, merge: _mergeJobIdPayloads_ };
+    case TASK_TYPES.DAYS_OPEN:
+      return { run: _runDaysOpenTask_, merge: _mergeJobIdPayloads_ };
+    case TASK_TYPES.LINK_HYGIENE:
+      return { run: _runLinkHygieneTask_, merge: same };
+    case TASK_TYPES.FORM_REFRESH:
+      return { run: () => _refreshJobIdChoicesInForm_(), merge: same };
+    case TASK_TYPES.NOTIFY:
+      return { run: _runNotifyTask_, merge: same };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Combines two {jobIds} / {all: true} payloads; a full run absorbs everything.
+ * @param {Object} a - Queued payload
+ * @param {Object} b - New payload
+ * @returns {Object} Combined payload
+ */
+function _mergeJobIdPayloads_(a, b) {
+  if (a.all || b.all) return { all: true };
+  return { jobIds: Array.from(new Set([...(a.jobIds || []), ...(b.jobIds || [])])) };
+}
+
+/**
+ * Queues a background task and makes sure the worker is scheduled. A waiting
+ * task of the same type absorbs the payload when the type allows it, keeping
+ * its place in the queue and its run time (so bursts are debounced).
+ * @param {string} type - Task type (TASK_TYPES)
+ * @param {Object} payload - Task data (JSON-serializable)
+ * @param {number} delayMs - Delay before the task may run
+ * @returns {string|null} ID of the task holding the payload, or null when it was not queued
+ */
+function enqueueTask_(type, payload, delayMs) {
+  const def = _getTaskType_(type);
+  if (!def) {
+    logWarn('Unknown task type not queued', { type });
+    return null;
+  }
+
+  const data = payload || {};
+  let id = null;
+  const queue = _updateTaskQueue_((tasks) => {
+    // Tasks that are running or waiting to retry keep their payload
+    const target = tasks.find(t => t.type === type && !t.running && !t.attempts && def.merge(t.payload, data));
+    if (target) {
+      target.payload = def.merge(target.payload, data);
+      id = target.id;
+      return tasks;
+    }
+    const now = Date.now();
+    id = Utilities.getUuid().slice(0, 8);
+    tasks.push({ id, type, payload: data, attempts: 0, runAt: now + (delayMs || 0), createdAt: now });
+    return tasks;
+  }, 2000);
+
+  if (!queue) {
+    logWarn('Could not acquire queue lock, task not queued', { type, payload: data });
+    return null;
+  }
+  _scheduleTaskWorker_();
+  return id;
+}
+
+/**
+ * Runs fn on the task queue under the script lock and stores what it returns.
+ * @param {function(Array<Object>): Array<Object>} fn - Receives and returns the queue
+ * @param {number} timeoutMs - How long to wait for the lock
+ * @returns {Array<Object>|null} The stored queue, or null when the lock was busy
+ */
+function _updateTaskQueue_(fn, timeoutMs = 5000) {
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(timeoutMs)) return null;
+  try {
+    const tasks = fn(StateManager.getTaskQueue());
+    StateManager.setTaskQueue(tasks);
+    return tasks;
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Trigger handler: runs due tasks in queue order under the document lock, then
+ * schedules itself for the next one. Retries again shortly when the lock is busy.
+ * @returns {string} Summary of the run
+ */
+function Process_Task_Queue_() {
+  return trackHandlerRun_('Process_Task_Queue_', () => {
+    _deleteTaskWorkerTrigger_();
+
+    const summary = withLock(() => _runDueTasks_(), LOCK_TIMEOUT_LONG_MS);
+    _scheduleTaskWorker_(summary ? 0 : Date.now() + TASK_LOCK_RETRY_MS);
+    return summary ? `${summary.completed} completed, ${summary.failed} failed` : 'Lock busy; retry scheduled';
+  });
+}
+
+/**
+ * Runs due tasks one at a time until none are due or the time budget is spent.
+ * Each task is marked running while it runs; successful tasks are removed and
+ * failed ones are retried later (see _recordTaskFailure_). Must hold the
+ * document lock, so a task still marked running at the start belongs to an
+ * execution that died, and counts as a failed attempt.
+ * @returns {{completed: number, failed: number}} Task counts
+ */
+function _runDueTasks_() {
+  const started = Date.now();
+  _updateTaskQueue_(tasks => tasks
+    .map(t => t.running ? _recordTaskFailure_(t, 'Execution ended before the task finished') : t)
+    .filter(Boolean));
+
+  let completed = 0;
+  let failed = 0;
+  while (Date.now() - started < JOB_TIME_BUDGET_MS) {
+    let task = null;
+    _updateTaskQueue_((tasks) => {
+      const now = Date.now();
+      task = tasks.find(t => !t.running && t.runAt <= now) || null;
+      if (task) Object.assign(task, { running: true, startedAt: now });
+      return tasks;
+    });
+    if (!task) break;
+
+    const def = _getTaskType_(task.type);
+    let error = null;
+    try {
+      if (!def) throw new Error(`Unknown task type "${task.type}"`);
+      def.run(task.payload);
+    } catch (e) {
+      error = e;
+    }
+    if (error) failed++;
+    else completed++;
+
+    _updateTaskQueue_((tasks) => {
+      const i = tasks.findIndex(t => t.id === task.id);
+      if (i < 0) return tasks;
+      const next = error ? _recordTaskFailure_(tasks[i], error.message) : null;
+      if (next) tasks[i] = next;
+      else tasks.splice(i, 1);
+      return tasks;
+    }, 10000);
+    flushLogs_();
+  }
+
+  if (completed || failed) logInfo('Task queue processed', { completed, failed });
+  return { completed, failed };
+}
+
+/**
+ * Records a failed run. The task is retried after TASK_BACKOFF_BASE_MS,
+ * doubling with each attempt up to TASK_BACKOFF_MAX_MS; after
+ * TASK_MAX_ATTEMPTS it moves to the dead-letter list instead.
+ * Call with the script lock held (inside _updateTaskQueue_).
+ * @param {Object} task - The failed task
+ * @param {string} message - Error message
+ * @returns {Object|null} The task to keep queued, or null when it was dead-lettered
+ */
+function _recordTaskFailure_(task, message) {
+  const attempts = (task.attempts || 0) + 1;
+  const lastError = String(message || 'Unknown error').slice(0, 200);
+  const { id, type, payload, createdAt } = task;
+
+  if (attempts >= TASK_MAX_ATTEMPTS) {
+    const dead = StateManager.getDeadLetters();
+    dead.push({ id, type, payload, attempts, createdAt, lastError, failedAt: Date.now() });
+    if (dead.length > TASK_DEAD_LETTER_MAX) {
+      logWarn('Dead-letter list full; oldest entries dropped', { dropped: dead.length - TASK_DEAD_LETTER_MAX });
+    }
+    StateManager.setDeadLetters(dead.slice(-TASK_DEAD_LETTER_MAX));
+    logError('Task failed too often; moved to dead-letter list', { id, type, attempts, error: lastError });
+    return null;
+  }
+
+  const delay = Math.min(TASK_BACKOFF_MAX_MS, TASK_BACKOFF_BASE_MS * Math.pow(2, attempts - 1));
+  logWarn('Task failed; will retry', { id, type, attempts, retryInSeconds: Math.round(delay / 1000), error: lastError });
+  return { id, type, payload, attempts, createdAt, runAt: Date.now() + delay, lastError };
+}
+
+/**
+ * Queues a notification for the task worker.
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ * @returns {string|null} Task ID, or null when it was not queued
+ */
+function enqueueNotification_(title, message) {
+  return enqueueTask_(TASK_TYPES.NOTIFY, { title, message }, 0);
+}
+
+/**
+ * Runs a notification task: records the message in SYS_LOGS and shows it to
+ * anyone who has the spreadsheet open. (Email would need the send_mail scope,
+ * which this add-on does not request.)
+ * @param {{title: string, message: string}} payload - Notification
+ */
+function _runNotifyTask_(payload) {
+  const message = _normStr_(payload.message);
+  if (!message) return;
+  const title = _normStr_(payload.title) || 'ATS';
+  logInfo(`Notification: ${title}`, { message });
+  toast(message, title, 10);
+}
+
+/**
+ * Schedules the worker for the earliest waiting task unless a trigger that
+ * fires early enough is already pending.
+ * @param {number} notBefore - Optional earliest time to run (ms since epoch)
+ */
+function _scheduleTaskWorker_(notBefore) {
+  const waiting = StateManager.getTaskQueue().filter(t => !t.running);
+  if (!waiting.length) return;
+  const runAt = Math.max(notBefore || 0, Math.min(...waiting.map(t => t.runAt)));
+
+  // Under the queue lock, so a trigger created by another scheduler is tracked before cleanup sees it
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(2000)) {
+    logWarn('Could not acquire queue lock, task queue worker not scheduled', { tasks: waiting.length });
+    return;
+  }
+  try {
+    _cleanupOrphanedTriggers_('Process_Task_Queue_');
+    const scheduled = _getTaskWorkerSchedule_();
+    if (scheduled && scheduled.at <= runAt &&
+        ScriptApp.getProjectTriggers().some(t => t.getUniqueId() === scheduled.id)) {
+      return;
+    }
+    _deleteTaskWorkerTrigger_();
+
+    const trigger = ScriptApp.newTrigger('Process_Task_Queue_')
+      .timeBased()
+      .after(Math.max(1000, runAt - Date.now()))
+      .create();
+    StateManager.setProperty(PROP_TASK_SCHEDULED, JSON.stringify({ id: trigger.getUniqueId(), at: runAt }));
+    logInfo('Scheduled task queue worker', { triggerId: trigger.getUniqueId(), tasks: waiting.length });
+  } catch (e) {
+    if (typeof isAuthorizationError === 'function' && isAuthorizationError(e.message)) {
+      logWarn('Cannot schedule trigger - Script Triggers permission not granted. ' +
+              'Background sync is disabled. Grant permission via System Admin > Authorization.',
+              { error: e.message });
+    } else {
+      logWarn('Failed to schedule task queue worker', { error: e.message });
+    }
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Reads the pending worker trigger.
+ * @returns {{id: string, at: number}|null} Trigger ID and planned run time, or null
+ */
+function _getTaskWorkerSchedule_() {
+  const value = StateManager.getProperty(PROP_TASK_SCHEDULED);
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Deletes the pending worker trigger, if any.
+ */
+function _deleteTaskWorkerTrigger_() {
+  const scheduled = _getTaskWorkerSchedule_();
+  if (!scheduled) {
+    StateManager.deleteProperty(PROP_TASK_SCHEDULED);
+    return;
+  }
+  try {
+    const trigger = ScriptApp.getProjectTriggers().find(t => t.getUniqueId() === scheduled.id);
+    if (trigger) ScriptApp.deleteTrigger(trigger);
+  } catch (e) {
+    logWarn('Failed to delete task queue trigger', { triggerId: scheduled.id, error: e.message });
+  } finally {
+    StateManager.deleteProperty(PROP_TASK_SCHEDULED);
+  }
+}
+
+/**
+ * Puts dead-lettered tasks back on the queue with a fresh retry count.
+ * @param {string[]} ids - Optional task IDs (all when omitted)
+ * @returns {number} Tasks requeued
+ */
+function retryDeadLetters_(ids) {
+  let requeued = 0;
+  const queue = _updateTaskQueue_((tasks) => {
+    const now = Date.now();
+    const keep = [];
+    for (const dead of StateManager.getDeadLetters()) {
+      if (ids && !ids.includes(dead.id)) {
+        keep.push(dead);
+        continue;
+      }
+      tasks.push({ id: dead.id, type: dead.type, payload: dead.payload, attempts: 0, runAt: now, createdAt: dead.createdAt });
+      requeued++;
+    }
+    StateManager.setDeadLetters(keep);
+    return tasks;
+  });
+  if (!queue) return 0;
+  if (requeued) {
+    logInfo('Dead-letter tasks requeued', { count: requeued });
+    _scheduleTaskWorker_();
+  }
+  return requeued;
+}
+
+/**
+ * Discards dead-lettered tasks.
+ * @param {string[]} ids - Optional task IDs (all when omitted)
+ * @returns {number} Tasks discarded
+ */
+function clearDeadLetters_(ids) {
+  let discarded = 0;
+  // Under the queue lock: failing tasks are dead-lettered while it is held
+  _updateTaskQueue_((tasks) => {
+    const dead = StateManager.getDeadLetters();
+    const keep = ids ? dead.filter(d => !ids.includes(d.id)) : [];
+    StateManager.setDeadLetters(keep);
+    discarded = dead.length - keep.length;
+    return tasks;
+  });
+  if (discarded) logInfo('Dead-letter tasks discarded', { count: discarded });
+  return discarded;
+}
+
+/**
+ * Menu command: lists background tasks that kept failing and offers to retry
+ * or discard them.
+ */
+function Show_Failed_Tasks() {
+  const ui = SpreadsheetApp.getUi();
+  const dead = StateManager.getDeadLetters();
+  if (!dead.length) {
+    ui.alert('Failed Background Tasks', 'No background tasks have failed.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const fmt = (t) => Utilities.formatDate(new Date(t), getTimezone_(), 'yyyy-MM-dd HH:mm');
+  const lines = dead.slice(-10).reverse().map(d =>
+    `• ${d.type} — failed ${fmt(d.failedAt)} after ${d.attempts} attempts\n   ${d.lastError}`);
+  const more = dead.length > 10 ? `\n…and ${dead.length - 10} older.` : '';
+  const answer = ui.alert('Failed Background Tasks',
+    `${dead.length} task(s) failed ${TASK_MAX_ATTEMPTS} times and were set aside:\n\n${lines.join('\n')}${more}\n\n` +
+    'Yes: retry them all now\nNo: discard them all\nCancel: keep them',
+    ui.ButtonSet.YES_NO_CANCEL);
+
+  if (answer === ui.Button.YES) {
+    toast(`Requeued ${retryDeadLetters_()} task(s).`, 'Failed Background Tasks', 5);
+  } else if (answer === ui.Button.NO) {
+    toast(`Discarded ${clearDeadLetters_()} task(s).`, 'Failed Background Tasks', 5);
+  }
+}
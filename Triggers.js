@@ -46,15 +46,24 @@ function onOpen(e) {
     .addSubMenu(ui.createMenu('👥 Candidate Management')
       .addItem('📥 Import Candidates', 'showImportSidebar')
       .addItem('🔄 Sync All Data', 'Full_Resync')
-      .addItem('📝 Setup Candidate Form', 'InitOrRepair_Form'))
+      .addItem('📝 Setup Candidate Form', 'InitOrRepair_Form')
+      .addItem('🧑 Rebuild Person Profiles', 'Rebuild_Person_Profiles')
+      .addItem('↩️ Undo Hire', 'Undo_Hire')
+      .addItem('⏱️ Check Stage SLAs', 'Evaluate_Stage_SLAs'))
 
     .addSubMenu(ui.createMenu('📄 Requisition Management')
-      .addItem('📅 Update Days Open', 'Recompute_DaysOpen_All'))
+      .addItem('📅 Update Days Open', 'Recompute_DaysOpen_All')
+      .addItem('🕘 Requisition Timeline', 'Show_Req_Timeline'))
 
     .addSubMenu(ui.createMenu('⚡ System Admin Functions')
       .addItem('🔧 Install/Repair Triggers', 'Install_Triggers')
       .addItem('✅ Rebuild Data Validations', 'Rebuild_Validations')
       .addItem('🧹 Clean Up Links', 'linkHygieneSweep_')
+      .addItem('📊 Refresh Dashboard Metrics', 'Refresh_Dashboard_Metrics')
+      .addItem('🆔 Backfill Candidate UIDs', 'Migrate_Backfill_Candidate_UIDs')
+      .addItem('🔧 Repair Job IDs', 'Repair_Job_IDs')
+      .addItem('🧯 Failed Background Tasks', 'Show_Failed_Tasks')
+      .addItem('📡 Queue & Trigger Monitor', 'showQueueMonitorSidebar')
       .addItem('📋 Check Authorization Status', 'showAuthorizationStatus')
       .addItem('🔑 Authorize Script', 'promptForAuthorizationIfNeeded'))
 
@@ -101,6 +110,8 @@ function Install_Triggers() {
   ScriptApp.newTrigger('processFormSubmission').forSpreadsheet(id).onFormSubmit().create();
   ScriptApp.newTrigger('refreshJobIdChoicesInForm').timeBased().everyHours(1).create();
   ScriptApp.newTrigger('Recompute_DaysOpen_All').timeBased().atHour(3).nearMinute(10).everyDays(1).create();
+  ScriptApp.newTrigger('Evaluate_Stage_SLAs').timeBased().atHour(3).nearMinute(40).everyDays(1).create();
+  ScriptApp.newTrigger('Refresh_Dashboard_Metrics').timeBased().atHour(4).nearMinute(10).everyDays(1).create();
 
   // Rebuild data validations to ensure dropdown menus are populated
   try {
@@ -118,7 +129,9 @@ function Install_Triggers() {
     '• Change Trigger - Handles structural changes\n' +
     '• Form Submit - Processes new candidate submissions\n' +
     '• Hourly - Updates Job ID choices in the form\n' +
-    '• Daily (3:10 AM) - Recalculates "Days Open" metrics\n\n' +
+    '• Daily (3:10 AM) - Recalculates "Days Open" metrics\n' +
+    '• Daily (3:40 AM) - Flags candidates past their stage SLA\n' +
+    '• Daily (4:10 AM) - Refreshes stage velocity, SLA and stale-candidate dashboard metrics\n\n' +
     'Dropdown menus have been configured with your settings.\n\n' +
     'Your ATS will now run automatically!',
     SpreadsheetApp.getUi().ButtonSet.OK
@@ -185,11 +198,7 @@ function onEdit_Installable(e) {
   const headerGuardPassed = handleHeaderGuard(e);
   if (!headerGuardPassed) return;
 
-  const handler = {
-    [SHEET_ALL]:          handleEditAllCandidates,
-    [SHEET_ACTIVE]:       handleEditActiveCandidates,
-    [SHEET_REQUISITIONS]: handleEditRequisitions,
-  }[name];
+  const handler = _editHandlerFor_(name);
 
   if (handler) {
     try {
@@ -200,6 +209,19 @@ function onEdit_Installable(e) {
   }
 }
 
+/**
+ * Returns the onEdit handler for a tracked sheet.
+ * @param {string} sheetName - Sheet name
+ * @returns {Function|undefined} Handler taking the edit event
+ */
+function _editHandlerFor_(sheetName) {
+  return {
+    [SHEET_ALL]:          handleEditAllCandidates,
+    [SHEET_ACTIVE]:       handleEditActiveCandidates,
+    [SHEET_REQUISITIONS]: handleEditRequisitions,
+  }[sheetName];
+}
+
 function onChange_Installable(e) {
   const t = e && e.changeType; 
   if (!t) return;
@@ -282,25 +304,70 @@ function handleEditAllCandidates(e) {
       }
     }
     
+    // Previous stages are worked out once and shared by the workflow check and the ledger
+    let previousStages = null;
+    if (hm[H_ALL.Stage] && rangesIntersectColumns_(range, hm[H_ALL.Stage])) {
+      try {
+        previousStages = previousStagesForEdit_(sh, hm, dataRows, e);
+      } catch (error) {
+        logWarn('Error reading previous stages', { error: error.message });
+      }
+    }
+    
     try {
-      stampCreatedAndUpdated_All_(sh, dataRows);
+      enforceCandidateWorkflow_(sh, hm, dataRows, previousStages);
     } catch (error) {
-      logWarn('Error stamping timestamps', { error: error.message });
+      logWarn('Error enforcing candidate workflow', { error: error.message });
     }
     
-    if (hm[H_ALL.JobID] && rangesIntersectColumns_(range, hm[H_ALL.JobID])) {
+    if (previousStages) {
       try {
-        autopopulateAllFromJobId_(dataRows);
+        recordStageEdits_(previousStages);
       } catch (error) {
-        logWarn('Error auto-populating from Job ID', { error: error.message });
+        logWarn('Error recording stage history', { error: error.message });
       }
     }
     
-    const affectedJobIds = _collectJobIdsFromAll_(sh, hm, dataRows);
+    // Stamping, autopopulate and profile updates share one read of the sheets
+    let propagatedJobIds = [];
+    withDataContext_(() => {
+      try {
+        stampCreatedAndUpdated_All_(sh, dataRows);
+      } catch (error) {
+        logWarn('Error stamping timestamps', { error: error.message });
+      }
+    
+      if (hm[H_ALL.JobID] && rangesIntersectColumns_(range, hm[H_ALL.JobID])) {
+        try {
+          autopopulateAllFromJobId_(dataRows);
+        } catch (error) {
+          logWarn('Error auto-populating from Job ID', { error: error.message });
+        }
+      }
+    
+      try {
+        propagatedJobIds = propagateProfileEdits_(dataRows, headersInRange_(hm, range));
+      } catch (error) {
+        logWarn('Error propagating profile edits', { error: error.message });
+      }
+    
+      // A changed Person ID can leave its old person's summaries stale, so that one rebuilds everyone
+      const profileHeaders = [H_ALL.Email, H_ALL.JobID, H_ALL.Stage];
+      const personIdEdited = hm[H_ALL.PersonID] && rangesIntersectColumns_(range, hm[H_ALL.PersonID]);
+      if (personIdEdited || profileHeaders.some(h => hm[h] && rangesIntersectColumns_(range, hm[h]))) {
+        try {
+          refreshPersonProfiles_(personIdEdited ? undefined : dataRows);
+        } catch (error) {
+          logWarn('Error refreshing person profiles', { error: error.message });
+        }
+      }
+    });
+    
+    const affectedJobIds = Array.from(new Set(_collectJobIdsFromAll_(sh, hm, dataRows).concat(propagatedJobIds)));
     if (affectedJobIds.length) {
       enqueueAndSchedule_Reconcile(affectedJobIds);
     }
-  });
+  }, LOCK_TIMEOUT_MS, () => deferEdit_(e));
 }
 
 function handleEditActiveCandidates(e) {
@@ -322,30 +389,66 @@ function handleEditActiveCandidates(e) {
     if (dataRows.length === 0) return;
     
     const affected = new Set();
+    const upsertedAllRows = [];
+    let workflow = null;
     
-    for (const row of dataRows) {
+    if (hmAct[H_ACT.Stage] && rangesIntersectColumns_(range, hmAct[H_ACT.Stage])) {
       try {
-        const obj = getRowObjectByHeaders(sh, hmAct, row);
-        const jobId = (obj[H_ACT.JobID] || '').toString().trim();
-        const email = normEmail(obj[H_ACT.Email]);
+        workflow = getCandidateWorkflow_();
+        _reportWorkflowViolations_('Stage Change Blocked',
+          revertIllegalStageMoves_(sh, hmAct, _previousStagesForActiveEdit_(sh, hmAct, dataRows, e), workflow));
+      } catch (error) {
+        logWarn('Error enforcing candidate workflow', { error: error.message });
+      }
+    }
+    
+    withDataContext_((ctx) => {
+      const actT = ctx.table(SHEET_ACTIVE, ANCHOR_HEADER_ACT);
+      if (!actT) return;
+      for (const row of dataRows) {
+        try {
+          const obj = Object.assign({}, actT.rowObject(row));
+          const jobId = (obj[H_ACT.JobID] || '').toString().trim();
+          const email = normEmail(obj[H_ACT.Email]);
         
-        if (!jobId || !email) continue;
+          if (!jobId || !email) continue;
         
-        const key = keyFor(jobId, email);
-        markRecentEdit(SHEET_ACTIVE, key);
-        logInfo('Marked Active row as recently edited', { key: key, row: row });
+          const key = candidateKey_(obj);
+          markRecentEdit(SHEET_ACTIVE, key);
+          logInfo('Marked Active row as recently edited', { key: key, row: row });
         
-        upsertAllFromActive_(obj);
-        affected.add(jobId);
+          const allRow = upsertAllFromActive_(obj);
+          if (allRow) upsertedAllRows.push(allRow);
+          affected.add(jobId);
+        } catch (error) {
+          logWarn('Error processing Active Candidates edit', { row, error: error.message });
+        }
+      }
+    });
+    
+    if (upsertedAllRows.length) {
+      try {
+        const all = SpreadsheetApp.getActive().getSheetByName(SHEET_ALL);
+        const allHeaderInfo = getHeaderInfo(all, ANCHOR_HEADER_ALL);
+        _reportWorkflowViolations_('Candidate Missing Fields',
+          flagStageRequirements_(all, allHeaderInfo.headerMap, upsertedAllRows, workflow || getCandidateWorkflow_()));
+      } catch (error) {
+        logWarn('Error checking stage requirements', { error: error.message });
+      }
+      try {
+        withDataContext_(() => {
+          propagateProfileEdits_(upsertedAllRows, headersInRange_(hmAct, range)).forEach(j => affected.add(j));
+          refreshPersonProfiles_(upsertedAllRows);
+        });
       } catch (error) {
-        logWarn('Error processing Active Candidates edit', { row, error: error.message });
+        logWarn('Error updating person profiles from Active edit', { error: error.message });
       }
     }
     
     if (affected.size) {
       enqueueAndSchedule_Reconcile(Array.from(affected));
     }
-  });
+  }, LOCK_TIMEOUT_MS, () => deferEdit_(e));
 }
 
 function handleEditRequisitions(e) {
@@ -366,12 +469,39 @@ function handleEditRequisitions(e) {
     
     if (meaningfulRows.length === 0) return;
     
+    if (hm[H_REQ.JobID] && rangesIntersectColumns_(range, hm[H_REQ.JobID])) {
+      try {
+        _enforceUniqueJobIds_(sh, hm, dataStartRow, e);
+      } catch (error) {
+        logWarn('Error checking Job ID uniqueness', { error: error.message });
+      }
+    }
+    
+    if (hm[H_REQ.JobStatus] && rangesIntersectColumns_(range, hm[H_REQ.JobStatus])) {
+      try {
+        enforceReqStatusWorkflow_(sh, hm, meaningfulRows, e);
+      } catch (error) {
+        logWarn('Error enforcing requisition status workflow', { error: error.message });
+      }
+    }
+    
     try {
       ensureJobIds_();
     } catch (error) {
       logWarn('Error ensuring Job IDs', { error: error.message });
     }
     
+    let renamedJobIds = [];
+    const singleCell = range.getNumRows() === 1 && range.getNumColumns() === 1;
+    if (singleCell && hm[H_REQ.JobID] && range.getColumn() === hm[H_REQ.JobID]) {
+      try {
+        renamedJobIds = _propagateJobIdRename_(sh, hm, dataStartRow, e);
+        if (renamedJobIds.length) enqueueTask_(TASK_TYPES.FORM_REFRESH, {}, 0);
+      } catch (error) {
+        logWarn('Error propagating Job ID rename', { error: error.message });
+      }
+    }
+    
     try {
       applyReqStatusTransitionsForRows_(meaningfulRows);
     } catch (error) {
@@ -393,9 +523,9 @@ function handleEditRequisitions(e) {
       }
     }
 
-    const jobIds = _collectJobIdsFromReqs_(sh, hm, meaningfulRows);
+    const jobIds = Array.from(new Set(_collectJobIdsFromReqs_(sh, hm, meaningfulRows).concat(renamedJobIds)));
     if (jobIds.length > 0) {
       enqueueAndSchedule_Reconcile(jobIds);
     }
-  });
+  }, LOCK_TIMEOUT_MS, () => deferEdit_(e));
 }
\ No newline at end of file
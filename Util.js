@@ -1,23 +1,30 @@
 /** @file Util.gs - Logging, locks, header cache, range helpers, URL helpers, row readers/writers. */
 
 // ---------- Logging
+// SYS_LOGS entries waiting to be written, and how many withLogBuffer_ scopes are open
+let _logBuffer = [];
+let _logScopeDepth = 0;
+// Per-execution caches of the SYS_LOGS sheet and the logging settings
+let _sysLogSheet = null;
+let _logMinLevel = null;
+let _logMaxRows = null;
+
+/**
+ * Logs a debug message (dropped unless the "Log Level" setting is DEBUG)
+ * @param {string} msg - The message to log
+ * @param {Object} ctx - Optional context object
+ */
+function logDebug(msg, ctx) {
+  _log_('DEBUG', msg, ctx);
+}
+
 /**
  * Logs an informational message to console and SYS_LOGS sheet
  * @param {string} msg - The message to log
  * @param {Object} ctx - Optional context object
  */
 function logInfo(msg, ctx) {
-  try {
-    console.log(`${LOG_PREFIX} ${msg}`, ctx || '');
-    const ss = SpreadsheetApp.getActive();
-    let sh = ss.getSheetByName(SHEET_SYS_LOG);
-    if (!sh) {
-      sh = ss.insertSheet(SHEET_SYS_LOG);
-      sh.hideSheet();
-      sh.getRange(1,1,1,3).setValues([['Timestamp','Level','Message']]);
-    }
-    sh.appendRow([new Date(), 'INFO', `${msg} ${ctx ? JSON.stringify(ctx) : ''}`]);
-  } catch (_) {}
+  _log_('INFO', msg, ctx);
 }
 
 /**
@@ -26,22 +33,180 @@ function logInfo(msg, ctx) {
  * @param {Object} ctx - Optional context object
  */
 function logWarn(msg, ctx) {
+  _log_('WARN', msg, ctx);
+}
+
+/**
+ * Logs an error to console and SYS_LOGS sheet; errors are written at once,
+ * along with anything buffered before them.
+ * @param {string} msg - The message to log
+ * @param {Object} ctx - Optional context object
+ */
+function logError(msg, ctx) {
+  _log_('ERROR', msg, ctx);
+}
+
+/**
+ * Writes an entry to console and queues it for SYS_LOGS. Inside a
+ * withLogBuffer_ scope the entry waits for the batch write at the end of the
+ * scope; outside one it is written straight away. Never throws.
+ * @param {string} level - Key of LOG_LEVELS
+ * @param {string} msg - The message to log
+ * @param {Object} ctx - Optional context object
+ */
+function _log_(level, msg, ctx) {
   try {
-    console.warn(`${LOG_PREFIX} ${msg}`, ctx || '');
-    const ss = SpreadsheetApp.getActive();
-    let sh = ss.getSheetByName(SHEET_SYS_LOG);
-    if (!sh) {
-      sh = ss.insertSheet(SHEET_SYS_LOG);
-      sh.hideSheet();
-      sh.getRange(1,1,1,3).setValues([['Timestamp','Level','Message']]);
-    }
-    sh.appendRow([new Date(), 'WARN', `${msg} ${ctx ? JSON.stringify(ctx) : ''}`]);
+    if (LOG_LEVELS[level] < _getLogMinLevel_()) return;
+    const line = `${LOG_PREFIX} ${msg}`;
+    if (level === 'ERROR') console.error(line, ctx || '');
+    else if (level === 'WARN') console.warn(line, ctx || '');
+    else console.log(line, ctx || '');
+
+    _logBuffer.push([new Date(), level, msg, _formatLogContext_(ctx), getExecutionId_()]);
+    if (!_logScopeDepth || level === 'ERROR' || _logBuffer.length >= LOG_BUFFER_MAX_ENTRIES) flushLogs_();
   } catch (_) {}
 }
 
+/**
+ * Serializes a log context for the Context column.
+ * @param {*} ctx - Context object
+ * @returns {string} JSON, shortened to LOG_CONTEXT_MAX_CHARS ('' when there is no context)
+ */
+function _formatLogContext_(ctx) {
+  if (ctx === undefined || ctx === null || ctx === '') return '';
+  let json;
+  try {
+    json = JSON.stringify(ctx);
+  } catch (_) {
+    json = String(ctx);
+  }
+  return json.length > LOG_CONTEXT_MAX_CHARS ? `${json.slice(0, LOG_CONTEXT_MAX_CHARS)}…` : json;
+}
+
+/**
+ * Returns the minimum level from the "Log Level" setting (DEBUG, INFO, WARN or ERROR).
+ * @returns {number} Value from LOG_LEVELS
+ */
+function _getLogMinLevel_() {
+  if (_logMinLevel !== null) return _logMinLevel;
+  // Set first: reading SETTINGS can log
+  _logMinLevel = LOG_LEVELS[DEFAULT_LOG_LEVEL];
+  const configured = _normStr_(getSettingValue_(SETTING_LOG_LEVEL, DEFAULT_LOG_LEVEL)).toUpperCase();
+  if (LOG_LEVELS[configured]) {
+    _logMinLevel = LOG_LEVELS[configured];
+  } else {
+    logWarn('Unknown Log Level setting; using the default', { configured, level: DEFAULT_LOG_LEVEL });
+  }
+  return _logMinLevel;
+}
+
+/**
+ * Returns the "Log Retention (Rows)" setting.
+ * @returns {number} Maximum number of entries kept in SYS_LOGS
+ */
+function _getLogMaxRows_() {
+  if (_logMaxRows !== null) return _logMaxRows;
+  _logMaxRows = DEFAULT_LOG_MAX_ROWS;
+  const configured = Number(getSettingValue_(SETTING_LOG_MAX_ROWS, DEFAULT_LOG_MAX_ROWS));
+  if (configured >= 1) {
+    _logMaxRows = Math.floor(configured);
+  } else {
+    logWarn('Invalid Log Retention (Rows) setting; using the default', { rows: DEFAULT_LOG_MAX_ROWS });
+  }
+  return _logMaxRows;
+}
+
+/**
+ * Returns the SYS_LOGS sheet, creating it hidden if missing. Sheets created
+ * before the Context and Correlation ID columns get the missing headers.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The log sheet
+ */
+function _getSysLogSheet_() {
+  if (_sysLogSheet) return _sysLogSheet;
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(SHEET_SYS_LOG);
+  if (!sh) {
+    sh = ss.insertSheet(SHEET_SYS_LOG);
+    sh.hideSheet();
+  }
+  const width = SYS_LOG_HEADERS.length;
+  if (sh.getMaxColumns() < width) sh.insertColumnsAfter(sh.getMaxColumns(), width - sh.getMaxColumns());
+  const headers = sh.getRange(1, 1, 1, width).getValues()[0];
+  if (SYS_LOG_HEADERS.some((h, i) => headers[i] !== h)) sh.getRange(1, 1, 1, width).setValues([SYS_LOG_HEADERS]);
+  _sysLogSheet = sh;
+  return sh;
+}
+
+/**
+ * Writes buffered entries to SYS_LOGS in one batch, then trims the sheet.
+ * Failures go to console only, since logging them would recurse.
+ */
+function flushLogs_() {
+  if (!_logBuffer.length) return;
+  const rows = _logBuffer;
+  _logBuffer = [];
+  try {
+    const sh = _getSysLogSheet_();
+    const start = sh.getLastRow() + 1;
+    const missing = start + rows.length - 1 - sh.getMaxRows();
+    if (missing > 0) sh.insertRowsAfter(sh.getMaxRows(), missing);
+    sh.getRange(start, 1, rows.length, SYS_LOG_HEADERS.length).setValues(rows);
+    _trimSysLogs_(sh);
+  } catch (e) {
+    console.warn(`${LOG_PREFIX} Failed to write SYS_LOGS`, { entries: rows.length, error: e.message });
+  }
+}
+
+/**
+ * Deletes the oldest SYS_LOGS entries once the sheet holds more than the
+ * retention limit plus LOG_TRIM_SLACK_ROWS, keeping the newest entries.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sh - The log sheet
+ */
+function _trimSysLogs_(sh) {
+  const maxRows = _getLogMaxRows_();
+  const entries = sh.getLastRow() - 1;
+  if (entries <= maxRows + LOG_TRIM_SLACK_ROWS) return;
+  sh.deleteRows(2, entries - maxRows);
+  console.log(`${LOG_PREFIX} SYS_LOGS trimmed`, { removed: entries - maxRows, kept: maxRows });
+}
+
+/**
+ * Runs fn with SYS_LOGS writes buffered. Scopes nest; entries are written when
+ * the outermost scope ends, even if fn throws. Long-running work calls
+ * flushLogs_ at its checkpoints (job chunks, queued tasks) so an execution
+ * killed at the time limit loses at most the entries since the last one.
+ * @param {function(): *} fn - The function to run
+ * @returns {*} Result of fn()
+ */
+function withLogBuffer_(fn) {
+  _logScopeDepth++;
+  try {
+    return fn();
+  } finally {
+    _logScopeDepth--;
+    if (!_logScopeDepth) flushLogs_();
+  }
+}
+
 // ---------- Lock + recursion guard (non-blocking; optional onBusy callback)
+// ID of the current execution (see getExecutionId_)
+let _executionId = null;
+
+/**
+ * Returns an ID unique to the current execution, created on first use.
+ * @returns {string} Execution ID
+ */
+function getExecutionId_() {
+  if (!_executionId) _executionId = Utilities.getUuid().slice(0, 8);
+  return _executionId;
+}
+
 /**
- * Executes a function with a document lock to prevent concurrent modifications
+ * Executes a function with a document lock to prevent concurrent modifications.
+ * The recursion guard carries the owning execution's ID and an expiry, so a
+ * guard left behind by an execution that was killed (e.g. at the time limit)
+ * is reclaimed once older than REC_GUARD_MAX_AGE_MS instead of blocking
+ * every later call.
  * @param {Function} fn - The function to execute
  * @param {number} timeoutMs - Lock timeout in milliseconds
  * @param {Function} onBusy - Optional callback if lock cannot be acquired
@@ -56,27 +221,97 @@ function withLock(fn, timeoutMs = LOCK_TIMEOUT_MS, onBusy) {
     }
     return;
   }
+  const owner = getExecutionId_();
+  let guarded = false;
   try {
-    if (StateManager.isRecursionGuardSet()) {
-      logWarn('Recursion blocked', {});
-      return;
+    const guard = StateManager.getRecursionGuard();
+    if (guard) {
+      if (guard.expires > Date.now()) {
+        logWarn('Recursion blocked', { owner: guard.owner, sameExecution: guard.owner === owner });
+        return;
+      }
+      logWarn('Stale recursion guard reclaimed', {
+        owner: guard.owner,
+        setAt: guard.setAt ? new Date(guard.setAt).toISOString() : 'unknown',
+      });
     }
-    StateManager.setRecursionGuard();
-    return fn();
+    StateManager.setRecursionGuard(owner, Date.now() + REC_GUARD_MAX_AGE_MS);
+    guarded = true;
+    return withLogBuffer_(fn);
   } finally {
-    StateManager.deleteRecursionGuard();
+    if (guarded) StateManager.deleteRecursionGuard(owner);
     SpreadsheetApp.flush();
     lock.releaseLock();
   }
 }
 
 // ---------- Time + keys
+// Per-execution cache of the resolved timezones
+let _timezoneCache = null;
+
 /**
- * Returns current date/time in Detroit timezone
- * @returns {Date} Current date in Detroit timezone
+ * Checks whether a string is an IANA timezone name (e.g. "America/Los_Angeles").
+ * @param {string} tz - Timezone name
+ * @returns {boolean} True when the runtime recognizes the zone
  */
-function nowDetroit() { 
-  return new Date(Utilities.formatDate(new Date(), TZ, "yyyy-MM-dd'T'HH:mm:ss")); 
+function _isValidTimezone_(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Returns the spreadsheet's own timezone (File > Settings), or '' when unavailable.
+ * @returns {string} Timezone name
+ */
+function getSpreadsheetTimezone_() {
+  try {
+    return SpreadsheetApp.getActive().getSpreadsheetTimeZone() || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Returns the timezone used for timestamps and dates: the "Timezone" setting
+ * when it names a valid zone, otherwise the spreadsheet's timezone.
+ * @returns {string} Timezone name
+ */
+function getTimezone_() {
+  if (_timezoneCache) return _timezoneCache;
+
+  const configured = _normStr_(getSettingValue_(SETTING_TIMEZONE, ''));
+  if (configured && !_isValidTimezone_(configured)) {
+    logWarn('Invalid Timezone setting ignored', { timezone: configured });
+  }
+  _timezoneCache = (configured && _isValidTimezone_(configured) ? configured : '') ||
+    getSpreadsheetTimezone_() || DEFAULT_TZ;
+  return _timezoneCache;
+}
+
+/**
+ * Returns the current time for stamping Created/Updated/Hired and similar dates.
+ * The result shows the wall-clock time of getTimezone_() when written to the
+ * spreadsheet (which renders dates in its own timezone).
+ * @returns {Date} Current date/time
+ */
+function nowInTz() {
+  const now = new Date();
+  const wallClock = Utilities.formatDate(now, getTimezone_(), "yyyy-MM-dd'T'HH:mm:ss");
+  const sheetOffset = Utilities.formatDate(now, getSpreadsheetTimezone_() || getTimezone_(), 'XXX');
+  return new Date(wallClock + sheetOffset);
+}
+
+/**
+ * Returns the current date/time.
+ * @deprecated Use nowInTz(); kept for existing scripts that call it.
+ * @returns {Date} Current date/time
+ */
+function nowDetroit() {
+  return nowInTz();
 }
 
 /**
@@ -138,6 +373,64 @@ function keyFor(jobId, email) {
   return `${jid}|${em}`;
 }
 
+/**
+ * Returns the email of the user behind the current execution.
+ * Falls back to the effective user, then to 'unknown' when the
+ * userinfo.email scope has not been granted.
+ * @returns {string} User email or 'unknown'
+ */
+function currentUserEmail_() {
+  try {
+    const active = Session.getActiveUser().getEmail();
+    if (active) return active;
+  } catch (_) {}
+  try {
+    const effective = Session.getEffectiveUser().getEmail();
+    if (effective) return effective;
+  } catch (_) {}
+  return 'unknown';
+}
+
+/**
+ * Generates a new system-managed Candidate UID.
+ * @returns {string} A unique candidate identifier
+ */
+function newCandidateUid_() {
+  return Utilities.getUuid();
+}
+
+/**
+ * Returns the sync identity for a candidate row object: its Candidate UID when
+ * assigned, otherwise the legacy "jobId|email" composite key. Works for both
+ * Candidate Database and Active Candidates rows (the headers share names).
+ * @param {Object} obj - Row object keyed by header names
+ * @returns {string} Identity key
+ */
+function candidateKey_(obj) {
+  const uid = (obj[H_ALL.UID] || '').toString().trim();
+  if (uid) return `uid:${uid}`;
+  return keyFor(obj[H_ALL.JobID], obj[H_ALL.Email]);
+}
+
+/**
+ * Hashes a list of cell values (32-bit FNV-1a) to detect changed rows cheaply.
+ * Dates hash by their time in whole seconds, so a value read back from the
+ * sheet matches the one written.
+ * @param {Array<*>} values - Cell values
+ * @returns {string} 8-character hex fingerprint
+ */
+function fingerprint_(values) {
+  const s = values
+    .map(v => v instanceof Date ? String(Math.round(v.getTime() / 1000)) : (v == null ? '' : String(v).trim()))
+    .join('\u001f');
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
 // ---------- DYNAMIC HEADER MAPPING ----------
 /**
  * Retrieves or caches header information for a sheet
@@ -187,6 +480,30 @@ function getHeaderInfo(sheet, anchorHeader) {
   return headerInfo;
 }
 
+/**
+ * Ensures a header exists on a sheet, appending it after the last column
+ * of the header row when missing.
+ * @param {Sheet} sheet - The sheet to update
+ * @param {string} anchorHeader - The sheet's anchor header
+ * @param {string} header - The header to ensure
+ * @param {Object} opts - Optional { hidden: true } to hide a newly added column
+ * @returns {Object|null} Fresh header info
+ */
+function ensureHeaderColumn_(sheet, anchorHeader, header, opts) {
+  const headerInfo = getHeaderInfo(sheet, anchorHeader);
+  if (!headerInfo || headerInfo.headerMap[header]) return headerInfo;
+
+  const col = sheet.getLastColumn() + 1;
+  if (col > sheet.getMaxColumns()) sheet.insertColumnsAfter(sheet.getMaxColumns(), 1);
+  sheet.getRange(headerInfo.headerRow, col).setValue(header);
+  if (opts && opts.hidden) sheet.hideColumns(col);
+
+  invalidateHeaderCache(sheet);
+  refreshDataContext_(sheet.getName());
+  logInfo('Added missing header column', { sheet: sheet.getName(), header, col });
+  return getHeaderInfo(sheet, anchorHeader);
+}
+
 /**
  * Invalidates cached header information for a sheet
  * @param {Sheet} sheet - The sheet to invalidate cache for
@@ -343,36 +660,108 @@ function getRowObjectByHeaders(sh, hm, row){
 }
 
 // ---------- Index builders
+/**
+ * Converts a block of sheet values into row objects keyed by header.
+ * @param {Array[]} values - Row values starting at firstRow
+ * @param {Object} hm - Header map
+ * @param {number} firstRow - Sheet row of values[0]
+ * @returns {Array<{row: number, data: Object}>} One entry per row
+ */
+function rowObjectsFromValues_(values, hm, firstRow) {
+  const entries = Object.entries(hm);
+  return values.map((vals, i) => {
+    const obj = {};
+    for (const [h, c] of entries) {
+      if (c - 1 < vals.length) obj[h] = vals[c - 1];
+    }
+    return { row: firstRow + i, data: obj };
+  });
+}
+
+/**
+ * Indexes candidate row objects by composite key and Candidate UID.
+ * Rows without a Job ID or email are left out.
+ * @param {Array<{row: number, data: Object}>} rowObjs - From rowObjectsFromValues_
+ * @returns {Object} Object with index (Map), rows (Array), uidIndex (Map) and rowUid (Map)
+ */
+function indexCandidateRows_(rowObjs) {
+  const built = { index: new Map(), rows: [], uidIndex: new Map(), rowUid: new Map() };
+  for (const entry of rowObjs) addToCandidateIndex_(built, entry);
+  return built;
+}
+
+/**
+ * Adds one row object to a candidate index (skipped without Job ID and email).
+ * @param {Object} built - Index from indexCandidateRows_
+ * @param {{row: number, data: Object}} entry - Row object
+ */
+function addToCandidateIndex_(built, entry) {
+  const obj = entry.data;
+  const jid = (obj[H_ALL?.JobID] || obj[H_ACT?.JobID] || '').toString().trim();
+  const em  = normEmail(obj[H_ALL?.Email] || obj[H_ACT?.Email] || '');
+  const uid = (obj[H_ALL.UID] || '').toString().trim();
+  if (!jid && !em) return;
+  built.index.set(keyFor(jid, em), entry.row);
+  if (uid) {
+    built.uidIndex.set(uid, entry.row);
+    built.rowUid.set(entry.row, uid);
+  }
+  built.rows.push(entry);
+}
+
+/**
+ * Indexes requisition row objects by Job ID.
+ * @param {Array<{row: number, data: Object}>} rowObjs - From rowObjectsFromValues_
+ * @returns {Object} Object with idx (Map) and rows (Array)
+ */
+function indexReqRows_(rowObjs) {
+  const idx = new Map();
+  for (const entry of rowObjs) {
+    const jid = (entry.data[H_REQ.JobID] || '').toString().trim();
+    if (jid) idx.set(jid, entry.row);
+  }
+  return { idx, rows: rowObjs };
+}
+
+/**
+ * Reads a sheet's data rows into row objects.
+ * @param {Sheet} sh - The sheet
+ * @param {Object} hm - Header map
+ * @param {number} dataStartRow - First row of data
+ * @returns {Array<{row: number, data: Object}>} One entry per data row
+ */
+function _readRowObjects_(sh, hm, dataStartRow) {
+  const lastRow = sh.getLastRow();
+  if (lastRow < dataStartRow) return [];
+  const rng = sh.getRange(dataStartRow, 1, lastRow - dataStartRow + 1, sh.getLastColumn()).getValues();
+  return rowObjectsFromValues_(rng, hm, dataStartRow);
+}
+
 /**
  * Builds an index of candidates from a sheet
  * @param {Sheet} sh - The sheet to index
  * @param {Object} hm - Header map
  * @param {number} dataStartRow - First row of data
- * @returns {Object} Object with index (Map) and rows (Array)
+ * @returns {Object} Object with index (Map), rows (Array), uidIndex (Map) and rowUid (Map)
  */
 function buildCandidateIndex(sh, hm, dataStartRow){
-  const lastRow = sh.getLastRow();
-  const lastCol = sh.getLastColumn();
-  const index = new Map(), rows = [];
-  if (lastRow < dataStartRow) return { index, rows };
-
-  const numRows = lastRow - dataStartRow + 1;
-  const rng = sh.getRange(dataStartRow, 1, numRows, lastCol).getValues();
+  return indexCandidateRows_(_readRowObjects_(sh, hm, dataStartRow));
+}
 
-  for (let i = 0; i < rng.length; i++){
-    const r = dataStartRow + i;
-    const obj = {};
-    for (const [h, c] of Object.entries(hm)) {
-      if (c - 1 < rng[i].length) obj[h] = rng[i][c - 1];
-    }
-    const jid = (obj[H_ALL?.JobID] || obj[H_ACT?.JobID] || '').toString().trim();
-    const em  = normEmail(obj[H_ALL?.Email] || obj[H_ACT?.Email] || '');
-    if (jid || em) { 
-      index.set(keyFor(jid, em), r);
-      rows.push({row: r, data: obj});
-    }
-  }
-  return { index, rows };
+/**
+ * Finds a candidate's row in an index from buildCandidateIndex.
+ * Matches on Candidate UID first; falls back to the composite key only
+ * when the matched row has no UID of its own.
+ * @param {Object} built - Result of buildCandidateIndex
+ * @param {Object} obj - Row object to look up
+ * @returns {number|undefined} Row number
+ */
+function findCandidateRow_(built, obj) {
+  const uid = (obj[H_ALL.UID] || '').toString().trim();
+  if (uid && built.uidIndex.has(uid)) return built.uidIndex.get(uid);
+  const row = built.index.get(keyFor(obj[H_ALL.JobID], obj[H_ALL.Email]));
+  if (row && uid && built.rowUid.has(row)) return undefined;
+  return row;
 }
 
 /**
@@ -383,25 +772,7 @@ function buildCandidateIndex(sh, hm, dataStartRow){
  * @returns {Object} Object with idx (Map) and rows (Array)
  */
 function buildReqIndex(sh, hm, dataStartRow){
-  const lastRow = sh.getLastRow();
-  const lastCol = sh.getLastColumn();
-  const idx = new Map(), rows = [];
-  if (lastRow < dataStartRow) return { idx, rows };
-
-  const numRows = lastRow - dataStartRow + 1;
-  const rng = sh.getRange(dataStartRow, 1, numRows, lastCol).getValues();
-
-  for (let i = 0; i < rng.length; i++){
-    const r = dataStartRow + i;
-    const obj = {};
-    for (const [h, c] of Object.entries(hm)) {
-       if (c - 1 < rng[i].length) obj[h] = rng[i][c - 1];
-    }
-    const jid = (obj[H_REQ.JobID] || '').toString().trim();
-    if (jid) idx.set(jid, r);
-    rows.push({row: r, data: obj});
-  }
-  return { idx, rows };
+  return indexReqRows_(_readRowObjects_(sh, hm, dataStartRow));
 }
 
 // ---------- URL helpers
@@ -442,8 +813,23 @@ function extractUrl(sh, row, col){
  * @param {string} label - The display label
  */
 function setHyperlink(sh, row, col, url, label){
+  const formula = hyperlinkFormula_(url, label, sh.getName(), row, col);
+  if (!formula) return;
+  safeRangeOp(sh, null, sh.getRange(row, col), 'setFormula', rg => rg.setFormula(formula));
+}
+
+/**
+ * Builds the HYPERLINK formula used for link cells.
+ * @param {string} url - The URL (http/https/mailto/tel only)
+ * @param {string} label - The display label
+ * @param {string} sheetName - For the warning when the URL is rejected
+ * @param {number} row - For the warning
+ * @param {number} col - For the warning
+ * @returns {string} The formula, or '' when the URL is empty or invalid
+ */
+function hyperlinkFormula_(url, label, sheetName, row, col) {
   const u = (url || '').toString().trim();
-  if (!u) return;
+  if (!u) return '';
 
   // Validate URL format - only allow http/https/mailto/tel protocols
   if (!u.match(/^(https?:\/\/.+|mailto:.+|tel:.+)/i)) {
@@ -451,17 +837,13 @@ function setHyperlink(sh, row, col, url, label){
       url: u,
       row,
       col,
-      sheet: sh.getName()
+      sheet: sheetName
     });
-    return;
+    return '';
   }
   
   // Escape special characters to prevent formula injection
-  const escapedUrl = _escapeForFormula_(u);
-  const escapedLabel = _escapeForFormula_(label);
-  
-  safeRangeOp(sh, null, sh.getRange(row, col), 'setFormula',
-    rg => rg.setFormula(`=HYPERLINK("${escapedUrl}","${escapedLabel}")`));
+  return `=HYPERLINK("${_escapeForFormula_(u)}","${_escapeForFormula_(label)}")`;
 }
 
 /**
@@ -473,51 +855,16 @@ function _escapeForFormula_(s) {
   return String(s).replace(/"/g, '""'); 
 }
 
-// ---------- US Holidays for business days calculation
-const US_HOLIDAYS = [
-  // 2024
-  '2024-01-01', // New Year's Day
-  '2024-01-15', // MLK Day
-  '2024-02-19', // Presidents Day
-  '2024-05-27', // Memorial Day
-  '2024-07-04', // Independence Day
-  '2024-09-02', // Labor Day
-  '2024-10-14', // Columbus Day
-  '2024-11-11', // Veterans Day
-  '2024-11-28', // Thanksgiving
-  '2024-12-25', // Christmas
-  // 2025
-  '2025-01-01', // New Year's Day
-  '2025-01-20', // MLK Day
-  '2025-02-17', // Presidents Day
-  '2025-05-26', // Memorial Day
-  '2025-07-04', // Independence Day
-  '2025-09-01', // Labor Day
-  '2025-10-13', // Columbus Day
-  '2025-11-11', // Veterans Day
-  '2025-11-27', // Thanksgiving
-  '2025-12-25', // Christmas
-  // 2026
-  '2026-01-01', // New Year's Day
-  '2026-01-19', // MLK Day
-  '2026-02-16', // Presidents Day
-  '2026-05-25', // Memorial Day
-  '2026-07-03', // Independence Day (observed)
-  '2026-09-07', // Labor Day
-  '2026-10-12', // Columbus Day
-  '2026-11-11', // Veterans Day
-  '2026-11-26', // Thanksgiving
-  '2026-12-25', // Christmas
-];
-
-/**
- * Calculates business days between two dates, excluding weekends and US holidays.
- * Uses optimized algorithm for large date ranges.
+/**
+ * Calculates business days between two dates, excluding weekends, the holidays
+ * of the given calendar and company closure dates (see Holidays.js).
+ * Counts the start date but not the end date.
  * @param {Date|string} a - Start date
  * @param {Date|string} b - End date
+ * @param {string} calendar - Holiday calendar name (defaults to the "Holiday Calendar" setting)
  * @returns {number} Number of business days
  */
-function businessDaysBetween(a, b) {
+function businessDaysBetween(a, b, calendar) {
   if (!a || !b) return 0;
   
   const s = new Date(a), e = new Date(b);
@@ -527,50 +874,34 @@ function businessDaysBetween(a, b) {
   if (e <= s) return 0;
   
   const totalDays = Math.floor((e - s) / (1000 * 60 * 60 * 24));
+  const fullWeeks = Math.floor(totalDays / 7);
+  let businessDays = fullWeeks * 5; // 5 business days per week
   
-  // Optimize for date ranges > 14 days using full week calculation
-  if (totalDays > 14) {
-    const fullWeeks = Math.floor(totalDays / 7);
-    const remainingDays = totalDays % 7;
-    
-    let businessDays = fullWeeks * 5; // 5 business days per week
-    
-    // Add remaining days (excluding weekends)
-    const remainingStart = new Date(s);
-    remainingStart.setDate(remainingStart.getDate() + (fullWeeks * 7));
-    
-    for (let i = 0; i < remainingDays; i++) {
-      const day = new Date(remainingStart);
-      day.setDate(day.getDate() + i);
-      const dayOfWeek = day.getDay();
-      if (dayOfWeek !== 0 && dayOfWeek !== 6) businessDays++;
-    }
-    
-    // Subtract holidays that fall on business days
-    for (const holiday of US_HOLIDAYS) {
-      const hDate = new Date(holiday);
-      if (hDate >= s && hDate < e) {
-        const dayOfWeek = hDate.getDay();
-        if (dayOfWeek !== 0 && dayOfWeek !== 6) businessDays--;
-      }
-    }
-    
-    return businessDays;
+  // Add remaining days (excluding weekends)
+  const remainingStart = new Date(s);
+  remainingStart.setDate(remainingStart.getDate() + (fullWeeks * 7));
+  for (let i = 0; i < totalDays % 7; i++) {
+    const day = new Date(remainingStart);
+    day.setDate(day.getDate() + i);
+    const dayOfWeek = day.getDay();
+    if (dayOfWeek !== 0 && dayOfWeek !== 6) businessDays++;
   }
   
-  // For short ranges, use simple day-by-day (still fast enough)
-  let n = 0;
-  for (let d = new Date(s); d < e; d.setDate(d.getDate() + 1)) { 
-    const k = d.getDay(); 
-    if (k !== 0 && k !== 6) {
-      // Check if it's a holiday
-      const dateStr = Utilities.formatDate(d, TZ, 'yyyy-MM-dd');
-      if (!US_HOLIDAYS.includes(dateStr)) {
-        n++;
-      }
-    }
+  // Subtract holidays that fall on business days inside [start, end)
+  // Holiday dates are stored as spreadsheet-timezone days (see Holidays.js), so
+  // the range keys are taken from the original instants in that timezone too
+  const tz = getSpreadsheetTimezone_() || getTimezone_();
+  const startKey = Utilities.formatDate(new Date(a), tz, 'yyyy-MM-dd');
+  const endKey = Utilities.formatDate(new Date(b), tz, 'yyyy-MM-dd');
+  for (let year = Number(startKey.slice(0, 4)); year <= Number(endKey.slice(0, 4)); year++) {
+    getHolidaysForYear_(calendar, year).forEach(key => {
+      if (key < startKey || key >= endKey) return;
+      const dayOfWeek = new Date(key + 'T00:00:00Z').getUTCDay();
+      if (dayOfWeek !== 0 && dayOfWeek !== 6) businessDays--;
+    });
   }
-  return n;
+  
+  return businessDays;
 }
 
 // ---------- Misc helpers
@@ -613,6 +944,17 @@ function rangesIntersectColumns_(range, col) {
   return col >= a && col <= b;
 }
 
+/**
+ * Returns the headers whose columns fall inside a range
+ * @param {Object} hm - Header map (header name -> column number)
+ * @param {Range} range - The edited range
+ * @returns {string[]} Header names covered by the range
+ */
+function headersInRange_(hm, range) {
+  const a = range.getColumn(), b = range.getLastColumn();
+  return Object.keys(hm).filter(h => hm[h] >= a && hm[h] <= b);
+}
+
 // ---------- Template Formatting System (handles empty sheet case)
 /**
  * Captures template formatting BEFORE inserting rows.
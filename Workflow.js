@@ -0,0 +1,360 @@
+/** @file Workflow.gs - Allowed transitions and required fields for requisition statuses and candidate stages. */
+
+// Notes written by the workflow start with this marker so they can be cleared safely
+const WORKFLOW_NOTE_PREFIX = '⚠ Workflow: ';
+
+// ---------- Shared rule helpers
+
+/**
+ * Normalizes a status, stage or header name for comparison
+ * (case-insensitive, line breaks and repeated spaces collapsed).
+ */
+function _wfKey_(s) {
+  return _normStr_(s).replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Re-keys a rule map with normalized keys.
+ * @param {Map<string, string[]>|null} rules - Map from getSettingMap_/parseSettingRules_
+ * @returns {Map<string, string[]>|null}
+ */
+function _normalizeRules_(rules) {
+  if (!rules) return null;
+  const out = new Map();
+  rules.forEach((values, key) => out.set(_wfKey_(key), values));
+  return out;
+}
+
+/**
+ * Checks a move between two states against a transition table.
+ * Moves from a blank state, or from a state the table does not mention, are allowed;
+ * when an edit carries no old value, callers pass the last recorded state instead
+ * of a blank one.
+ * "*" allows any state; "Later Stages" allows any state after the current one in wf.order.
+ * @param {{transitions: Map|null, terminal: Set<string>, order?: string[]}} wf - Workflow definition (normalized keys)
+ * @param {string} from - Previous state
+ * @param {string} to - New state
+ * @returns {string} Why the move is not allowed, or '' when it is
+ */
+function checkTransition_(wf, from, to) {
+  const f = _wfKey_(from), t = _wfKey_(to);
+  if (!f || f === t) return '';
+  if (wf.terminal && wf.terminal.has(f)) return `"${from}" is a final state and cannot be changed to "${to}".`;
+  if (!wf.transitions) return '';
+
+  const allowed = (wf.transitions.get(f) || []).concat(wf.transitions.get('*') || []);
+  if (!wf.transitions.has(f) && !wf.transitions.has('*')) return '';
+  if (allowed.some(a => a === '*' || _wfKey_(a) === t)) return '';
+  if (wf.order && allowed.some(a => _wfKey_(a) === _wfKey_(TRANSITION_LATER_STAGES))) {
+    const order = wf.order.map(_wfKey_);
+    if (order.indexOf(f) >= 0 && order.indexOf(t) > order.indexOf(f)) return '';
+  }
+  return `"${from}" can only move to: ${allowed.join(', ') || '(nothing)'}.`;
+}
+
+/**
+ * Lists the required fields that are blank for a state. Each requirement is a
+ * header name; "A | B" is satisfied by either field. Pseudo-fields are resolved
+ * through the special callback.
+ * @param {Map<string, string[]>} requirements - State -> requirements (normalized keys)
+ * @param {string} state - The state being entered
+ * @param {Object} rowObj - Row object keyed by header
+ * @param {Function} special - Optional (requirement) -> boolean|undefined for pseudo-fields
+ * @returns {string[]} Missing requirements (alternatives joined with "or")
+ */
+function missingRequirements_(requirements, state, rowObj, special) {
+  const reqs = requirements && requirements.get(_wfKey_(state));
+  if (!reqs || !reqs.length) return [];
+
+  const byKey = new Map(Object.keys(rowObj).map(h => [_wfKey_(h), rowObj[h]]));
+  const satisfied = (field) => {
+    const resolved = special ? special(field) : undefined;
+    if (resolved !== undefined) return resolved;
+    return !isBlank(byKey.get(_wfKey_(field)));
+  };
+
+  return reqs
+    .map(r => r.split('|').map(a => a.trim()).filter(Boolean))
+    .filter(alts => alts.length && !alts.some(satisfied))
+    .map(alts => alts.join(' or '));
+}
+
+/**
+ * Sets or clears the workflow note on a cell. Notes not written by the workflow are kept.
+ * @param {Sheet} sh - The sheet
+ * @param {number} row - Row number
+ * @param {number} col - Column number
+ * @param {string} message - Note text, or '' to clear
+ */
+function _flagWorkflowCell_(sh, row, col, message) {
+  const cell = sh.getRange(row, col);
+  const current = cell.getNote();
+  if (message) {
+    if (current !== WORKFLOW_NOTE_PREFIX + message) cell.setNote(WORKFLOW_NOTE_PREFIX + message);
+  } else if (current && current.startsWith(WORKFLOW_NOTE_PREFIX)) {
+    cell.setNote('');
+  }
+}
+
+/**
+ * Logs every violation and shows one summary toast.
+ * @param {string} title - Toast title
+ * @param {Array<{row: number, message: string}>} violations - Violations found
+ */
+function _reportWorkflowViolations_(title, violations) {
+  if (!violations.length) return;
+  violations.forEach(v => logWarn(`${title}: ${v.message}`, { sheet: v.sheet, row: v.row }));
+  const shown = violations.slice(0, 3).map(v => `Row ${v.row}: ${v.message}`).join(' ');
+  toast(shown + (violations.length > 3 ? ` (+${violations.length - 3} more, see SYS_LOGS)` : ''), title, 10);
+}
+
+// ---------- Requisition status workflow
+
+/**
+ * Reads the requisition status workflow. Transitions are unrestricted until the
+ * "Req Status Transitions" setting exists; requirements fall back to the defaults.
+ * @returns {{transitions: Map|null, requirements: Map, terminal: Set<string>}}
+ */
+function getReqWorkflow_() {
+  return {
+    transitions: _normalizeRules_(getSettingMap_(SETTING_REQ_TRANSITIONS)),
+    requirements: _normalizeRules_(getSettingMap_(SETTING_REQ_REQUIREMENTS) || parseSettingRules_(DEFAULT_REQ_STATUS_REQUIREMENTS)),
+    terminal: new Set(),
+  };
+}
+
+/**
+ * Resolves requisition pseudo-fields ("Hired Candidate").
+ * @param {string} jobId - The requisition's Job ID
+ * @returns {Function} Callback for missingRequirements_
+ */
+function _reqSpecialFields_(jobId) {
+  let hiredCount = null;
+  return (field) => {
+    if (_wfKey_(field) !== _wfKey_(REQ_REQUIREMENT_HIRED_CANDIDATE)) return undefined;
+    if (hiredCount === null) hiredCount = _countHiredForJob_(jobId);
+    return hiredCount > 0;
+  };
+}
+
+/**
+ * Counts candidates in the Hired stage for a Job ID.
+ * @param {string} jobId - The Job ID
+ * @returns {number} Hired candidates
+ */
+function _countHiredForJob_(jobId) {
+  const all = SpreadsheetApp.getActive().getSheetByName(SHEET_ALL);
+  const headerInfo = all && getHeaderInfo(all, ANCHOR_HEADER_ALL);
+  if (!jobId || !headerInfo) return 0;
+  const { rows } = buildCandidateIndex(all, headerInfo.headerMap, headerInfo.dataStartRow);
+  return rows.filter(r => _normStr_(r.data[H_ALL.JobID]) === jobId && _normStr_(r.data[H_ALL.Stage]) === 'Hired').length;
+}
+
+/**
+ * Enforces the status workflow for an edit to the Requisitions sheet.
+ * A typed status change that is not allowed, or whose required fields are
+ * blank, is reverted. Pasted statuses carry no old value, so they are checked
+ * against the last status recorded in Req_History: illegal moves are restored
+ * to it, and rows with missing fields get a note on the status cell instead.
+ * Allowed reopens (Closed/Hired -> Open/On Hold) increment Reopen Count.
+ * @param {Sheet} sh - The Requisitions sheet
+ * @param {Object} hm - Header map
+ * @param {number[]} rows - Edited data rows
+ * @param {Object} e - The edit event
+ */
+function enforceReqStatusWorkflow_(sh, hm, rows, e) {
+  const col = hm[H_REQ.JobStatus];
+  if (!col) return;
+
+  const wf = getReqWorkflow_();
+  const range = e.range;
+  const violations = [];
+
+  // A typed edit has a value; its oldValue is only missing when the cell was blank
+  const typed = range.getNumRows() === 1 && range.getNumColumns() === 1 &&
+    (e.oldValue !== undefined || e.value !== undefined);
+  if (typed) {
+    const row = range.getRow();
+    const obj = getRowObjectByHeaders(sh, hm, row);
+    const from = _canonReqStatus_(e.oldValue);
+    const to = _canonReqStatus_(obj[H_REQ.JobStatus]);
+    if (from === to) return;
+
+    const illegal = checkTransition_(wf, from, to);
+    const missing = illegal ? [] : missingRequirements_(wf.requirements, to, obj, _reqSpecialFields_(_normStr_(obj[H_REQ.JobID])));
+    if (illegal || missing.length) {
+      range.setValue(e.oldValue !== undefined ? e.oldValue : '');
+      violations.push({ sheet: SHEET_REQUISITIONS, row, message: illegal || `"${to}" requires ${missing.join(', ')}. Status restored to "${from || '(blank)'}".` });
+    } else {
+      _flagWorkflowCell_(sh, row, col, '');
+      if (REOPEN_FROM_STATUSES.has(from) && OPEN_STATUSES.has(to)) recordReqReopen_(sh, row);
+    }
+    _reportWorkflowViolations_('Status Change Blocked', violations);
+    return;
+  }
+
+  const blocked = [];
+  for (const row of rows) {
+    const obj = getRowObjectByHeaders(sh, hm, row);
+    const jobId = _normStr_(obj[H_REQ.JobID]);
+    const from = jobId ? _canonReqStatus_(getLastReqStatus_(jobId)) : '';
+    let status = _canonReqStatus_(obj[H_REQ.JobStatus]);
+    if (from && from !== status) {
+      const illegal = checkTransition_(wf, from, status);
+      if (illegal) {
+        sh.getRange(row, col).setValue(from);
+        blocked.push({ sheet: SHEET_REQUISITIONS, row, message: `${illegal} Status restored to "${from}".` });
+        status = from;
+        obj[H_REQ.JobStatus] = from;
+      } else if (REOPEN_FROM_STATUSES.has(from) && OPEN_STATUSES.has(status)) {
+        recordReqReopen_(sh, row);
+      }
+    }
+    const missing = status ? missingRequirements_(wf.requirements, status, obj, _reqSpecialFields_(jobId)) : [];
+    const message = missing.length ? `"${status}" requires ${missing.join(', ')}.` : '';
+    _flagWorkflowCell_(sh, row, col, message);
+    if (message) violations.push({ sheet: SHEET_REQUISITIONS, row, message });
+  }
+  _reportWorkflowViolations_('Status Change Blocked', blocked);
+  _reportWorkflowViolations_('Requisition Missing Fields', violations);
+}
+
+/**
+ * Increments a requisition's Reopen Count, adding the column if needed.
+ * @param {Sheet} sh - The Requisitions sheet
+ * @param {number} row - The reopened requisition row
+ */
+function recordReqReopen_(sh, row) {
+  const headerInfo = ensureHeaderColumn_(sh, ANCHOR_HEADER_REQ, H_REQ.ReopenCount);
+  if (!headerInfo) return;
+  const cell = sh.getRange(row, headerInfo.headerMap[H_REQ.ReopenCount]);
+  const count = (Number(cell.getValue()) || 0) + 1;
+  cell.setValue(count);
+  logInfo('Requisition reopened', { row, reopenCount: count });
+}
+
+// ---------- Candidate stage workflow
+
+/**
+ * Reads the candidate stage workflow: stage order (the SETTINGS stage list),
+ * allowed next stages, terminal stages and required fields per stage.
+ * Transitions are unrestricted until "Candidate Stage Transitions" exists;
+ * requirements fall back to the defaults.
+ * @returns {{transitions: Map|null, requirements: Map, terminal: Set<string>, order: string[]}}
+ */
+function getCandidateWorkflow_() {
+  const terminal = getDropdownConfigurations().get(SETTING_TERMINAL_STAGES) || [];
+  return {
+    transitions: _normalizeRules_(getSettingMap_(SETTING_STAGE_TRANSITIONS)),
+    requirements: _normalizeRules_(getSettingMap_(SETTING_STAGE_REQUIREMENTS) || parseSettingRules_(DEFAULT_STAGE_REQUIREMENTS)),
+    terminal: new Set(terminal.map(_wfKey_)),
+    order: getCandidateStageOrder_(),
+  };
+}
+
+/**
+ * Reverts stage changes that the workflow does not allow.
+ * @param {Sheet} sh - Candidate Database or Active Candidates
+ * @param {Object} hm - Header map for that sheet
+ * @param {Map<number, {obj: Object, from: (string|null)}>} previous - Row -> row object and
+ *   prior stage (null when unknown; such rows are not checked)
+ * @param {Object} wf - Workflow from getCandidateWorkflow_
+ * @returns {Array<{sheet: string, row: number, message: string}>} Reverted moves
+ */
+function revertIllegalStageMoves_(sh, hm, previous, wf) {
+  const violations = [];
+  previous.forEach(({ obj, from }, row) => {
+    if (from === null) return;
+    const to = _normStr_(obj[H_ALL.Stage]);
+    const illegal = checkTransition_(wf, from, to);
+    if (!illegal) return;
+    sh.getRange(row, hm[H_ALL.Stage]).setValue(from);
+    obj[H_ALL.Stage] = from;
+    violations.push({ sheet: sh.getName(), row, message: `${illegal} Stage restored to "${from}".` });
+  });
+  return violations;
+}
+
+/**
+ * Notes missing required fields on each row's stage cell (and clears the note
+ * once they are filled in).
+ * @param {Sheet} sh - The Candidate Database sheet
+ * @param {Object} hm - Header map
+ * @param {number[]} rows - Rows to check
+ * @param {Object} wf - Workflow from getCandidateWorkflow_
+ * @returns {Array<{sheet: string, row: number, message: string}>} Rows with missing fields
+ */
+function flagStageRequirements_(sh, hm, rows, wf) {
+  const col = hm[H_ALL.Stage];
+  if (!col) return [];
+  const violations = [];
+  for (const row of rows) {
+    const obj = getRowObjectByHeaders(sh, hm, row);
+    const stage = _normStr_(obj[H_ALL.Stage]);
+    const missing = stage ? missingRequirements_(wf.requirements, stage, obj) : [];
+    const message = missing.length ? `"${stage}" requires ${missing.join(', ')}.` : '';
+    _flagWorkflowCell_(sh, row, col, message);
+    if (message) violations.push({ sheet: sh.getName(), row, message });
+  }
+  return violations;
+}
+
+/**
+ * Enforces the candidate workflow for an edit on the Candidate Database:
+ * illegal stage moves are reverted, missing required fields are noted.
+ * Runs before stage history is recorded so reverted moves are never logged.
+ * @param {Sheet} sh - The Candidate Database sheet
+ * @param {Object} hm - Header map
+ * @param {number[]} rows - Edited data rows
+ * @param {Map<number, {obj: Object, from: (string|null)}>|null} previous - Result of
+ *   previousStagesForEdit_ when the Stage column was edited, otherwise null. Reverted
+ *   rows have their object's stage reset so later recording sees no change.
+ */
+function enforceCandidateWorkflow_(sh, hm, rows, previous) {
+  if (!hm[H_ALL.Stage]) return;
+  const wf = getCandidateWorkflow_();
+  const reverted = previous ? revertIllegalStageMoves_(sh, hm, previous, wf) : [];
+  _reportWorkflowViolations_('Stage Change Blocked', reverted);
+  _reportWorkflowViolations_('Candidate Missing Fields', flagStageRequirements_(sh, hm, rows, wf));
+}
+
+/**
+ * Works out each edited Active Candidates row's stage before the edit: the
+ * event's oldValue for typed single-cell edits, otherwise (pastes, multi-cell
+ * edits) the stage still stored on the matching Candidate Database row
+ * (Active edits are not synced back yet).
+ * @param {Sheet} sh - The Active Candidates sheet
+ * @param {Object} hmAct - Header map
+ * @param {number[]} rows - Edited data rows
+ * @param {Object} e - The edit event
+ * @returns {Map<number, {obj: Object, from: (string|null)}>} Row -> row object and prior
+ *   stage (null when the row has no Candidate Database match)
+ */
+function _previousStagesForActiveEdit_(sh, hmAct, rows, e) {
+  const range = e.range;
+  const typed = range.getNumRows() === 1 && range.getNumColumns() === 1 &&
+    (e.oldValue !== undefined || e.value !== undefined);
+  let built = null, dataByRow = null;
+  if (!typed) {
+    const all = SpreadsheetApp.getActive().getSheetByName(SHEET_ALL);
+    const allHeaderInfo = all && getHeaderInfo(all, ANCHOR_HEADER_ALL);
+    if (allHeaderInfo) {
+      built = buildCandidateIndex(all, allHeaderInfo.headerMap, allHeaderInfo.dataStartRow);
+      dataByRow = new Map(built.rows.map(r => [r.row, r.data]));
+    }
+  }
+
+  const out = new Map();
+  for (const row of rows) {
+    const obj = getRowObjectByHeaders(sh, hmAct, row);
+    let from = null;
+    if (typed) {
+      from = _normStr_(e.oldValue);
+    } else if (built) {
+      const allRow = findCandidateRow_(built, obj);
+      if (allRow) from = _normStr_(dataByRow.get(allRow)[H_ALL.Stage]);
+    }
+    out.set(row, { obj, from });
+  }
+  return out;
+}